@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+// Batch validator: checks every document in the given folders or file list and
+// prints one summary line per file. Exits with status 1 when any file fails to
+// process or scores below --min-score, so it can gate a CI job or a grading script.
+
+import { readdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import JSZip from 'jszip';
+import mammoth from 'mammoth';
+import {
+  analyzeDocx, DOCUMENT_EXTENSIONS, GUIDES, resolveRules, RULE_SET_VERSION, useDOMParser
+} from '../lib/index.js';
+
+const USAGE = `Usage: apa-validate <folder or document>... [options]
+
+Folders are searched for ${DOCUMENT_EXTENSIONS.join(', ')} files. Only .docx and .odt can be
+read; the others are listed with the reason.
+
+Options:
+  --format <json|csv>     Format of the --output file (default: json)
+  --output <file>         Write the full results to a file
+  --min-score <n>         Fail when any document scores below n (default: 0)
+  --guide <id>            Style guide: ${Object.keys(GUIDES).join(', ')} (default: apa7,
+                          or the guide the profile is written for)
+  --paper-type <type>     student or professional, for APA (default: student)
+  --abstract-limit <n>    Abstract word limit (default: 250)
+  --profile <file.json>   Rule profile with severities and weights to use
+  -h, --help              Show this help`;
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', default: 'json' },
+        output: { type: 'string' },
+        'min-score': { type: 'string', default: '0' },
+        guide: { type: 'string' },
+        'paper-type': { type: 'string', default: 'student' },
+        'abstract-limit': { type: 'string', default: '250' },
+        profile: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const minScore = Number(values['min-score']);
+  const abstractWordLimit = Number(values['abstract-limit']);
+  const problems = [];
+  if (positionals.length === 0) problems.push('No input folder or files given');
+  if (!['json', 'csv'].includes(values.format)) problems.push(`Unknown format "${values.format}"`);
+  if (values.guide !== undefined && !GUIDES[values.guide]) problems.push(`Unknown style guide "${values.guide}"`);
+  if (!['student', 'professional'].includes(values['paper-type'])) problems.push(`Unknown paper type "${values['paper-type']}"`);
+  if (!Number.isFinite(minScore)) problems.push(`--min-score must be a number, got "${values['min-score']}"`);
+  if (!Number.isInteger(abstractWordLimit) || abstractWordLimit <= 0) {
+    problems.push(`--abstract-limit must be a positive whole number, got "${values['abstract-limit']}"`);
+  }
+  const profile = values.profile ? await readProfile(values.profile, values.guide, problems) : null;
+  if (problems.length > 0) {
+    console.error(`${problems.join('\n')}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const files = await collectFiles(positionals);
+  if (files.length === 0) {
+    console.error(`No ${DOCUMENT_EXTENSIONS.join(', ')} files found`);
+    return 2;
+  }
+
+  useDOMParser(DOMParser, XMLSerializer);
+  const options = { guide: values.guide, paperType: values['paper-type'], abstractWordLimit, profile };
+  const reports = [];
+
+  for (const file of files) {
+    try {
+      const { results } = await analyzeDocx(await readFile(file), { JSZip, mammoth }, options);
+      const passed = results.score >= minScore;
+      reports.push({ file, passed, results });
+      console.log(
+        `${passed ? 'PASS' : 'FAIL'}  ${String(results.score).padStart(3)}%  ` +
+        `${results.categories.errors.length} errors, ${results.categories.warnings.length} warnings  ${file}`
+      );
+    } catch (err) {
+      reports.push({ file, passed: false, error: err.message });
+      console.log(`ERROR  ${file}: ${err.message}`);
+    }
+  }
+
+  if (values.output) {
+    const content = values.format === 'csv' ? toCsv(reports) : toJson(reports, options, minScore);
+    await writeFile(values.output, content);
+  }
+
+  const failed = reports.filter(report => !report.passed).length;
+  console.log(`\n${reports.length - failed} of ${reports.length} documents passed (minimum score ${minScore}%)`);
+  return failed > 0 ? 1 : 0;
+}
+
+// Parse and check a profile up front, so a typo fails the run before any document is read
+async function readProfile(file, guide, problems) {
+  try {
+    const profile = JSON.parse(await readFile(file, 'utf8'));
+    resolveRules(profile, GUIDES[guide] ? guide : null);
+    return profile;
+  } catch (err) {
+    problems.push(`Cannot use profile ${file}: ${err.message}`);
+    return null;
+  }
+}
+
+// Expand folders into the documents they contain, skipping Word's "~$" lock files
+async function collectFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    const info = await stat(input).catch(() => null);
+    if (!info) {
+      console.error(`Not found: ${input}`);
+      continue;
+    }
+    if (info.isDirectory()) {
+      const entries = await readdir(input);
+      for (const entry of entries.sort()) {
+        if (isDocument(entry)) files.push(path.join(input, entry));
+      }
+    } else if (isDocument(input)) {
+      files.push(input);
+    } else {
+      console.error(`Skipping ${input}: not a document (${DOCUMENT_EXTENSIONS.join(', ')})`);
+    }
+  }
+  return files;
+}
+
+function isDocument(fileName) {
+  const base = path.basename(fileName);
+  return DOCUMENT_EXTENSIONS.includes(path.extname(base).toLowerCase()) && !base.startsWith('~$');
+}
+
+function toJson(reports, options, minScore) {
+  return JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    ruleSetVersion: RULE_SET_VERSION,
+    options: { ...options, minScore },
+    documents: reports.map(({ file, passed, error, results }) => (
+      error ? { file, passed, error } : { file, passed, ...results }
+    ))
+  }, null, 2) + '\n';
+}
+
+function toCsv(reports) {
+  const rows = [['file', 'passed', 'score', 'errors', 'warnings', 'passed_checks', 'issues']];
+  for (const { file, passed, error, results } of reports) {
+    if (error) {
+      rows.push([file, passed, '', '', '', '', error]);
+      continue;
+    }
+    const { errors, warnings, passed: passedChecks } = results.categories;
+    const issues = [...errors, ...warnings].map(item => item.issue).join('; ');
+    rows.push([file, passed, results.score, errors.length, warnings.length, passedChecks.length, issues]);
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+main().then(
+  code => { process.exitCode = code; },
+  err => {
+    console.error(err);
+    process.exitCode = 2;
+  }
+);
@@ -0,0 +1,72 @@
+import { openDocument } from './formats.js';
+import { parseDocumentModel } from './model.js';
+import { convertOdt } from './odf.js';
+import { validateDocument } from './validate.js';
+import { parseRelationships, resolvePartPath } from './xml.js';
+
+// Parts a document can do without but whose absence changes what the checks see: Google
+// Docs exports, among others, leave out the styles and settings of a .docx
+const OPTIONAL_PARTS = {
+  docx: ['word/styles.xml', 'word/settings.xml'],
+  odt: ['styles.xml']
+};
+
+// Run the whole pipeline on a .docx or .odt file. JSZip and mammoth are passed in so the
+// same code works with the bundled browser builds and the npm packages in Node.
+// `data` is an ArrayBuffer in the browser or a Buffer in Node. Unusable files
+// throw a DocumentError. `html` is mammoth's rendering of the document, for previews.
+// `results.source` says what the file was: {format: 'docx' | 'odt', missingParts}.
+export async function analyzeDocx(data, { JSZip, mammoth }, options = {}) {
+  const { docx, xml, format, missingParts } = await readDocx(data, JSZip);
+
+  // Parse first, so a document mammoth cannot read either fails with a DocumentError
+  const model = parseDocumentModel(xml);
+
+  // Get text and HTML using mammoth, which reads the converted package of an .odt
+  const bytes = format === 'docx'
+    ? data
+    : await docx.generateAsync({ type: data instanceof ArrayBuffer ? 'arraybuffer' : 'nodebuffer' });
+  const input = bytes instanceof ArrayBuffer ? { arrayBuffer: bytes } : { buffer: bytes };
+  const textResult = await mammoth.extractRawText(input);
+  const htmlResult = await mammoth.convertToHtml(input);
+
+  // Validate
+  const results = validateDocument(textResult.value, htmlResult.value, model, options);
+  results.source = { format, missingParts };
+
+  return { model, results, html: htmlResult.value };
+}
+
+// Open the file and read the XML parts parseDocumentModel takes. An .odt is converted
+// first, so `docx` is always a .docx package (a JSZip) and `xml` its parts. Parts the
+// document does not have are null.
+export async function readDocx(data, JSZip) {
+  const { format, archive } = await openDocument(data, JSZip);
+  const docx = format === 'odt' ? await convertOdt(archive, JSZip) : archive;
+  const missingParts = OPTIONAL_PARTS[format].filter(path => !archive.file(path));
+
+  const readPart = async (path) => await docx.file(path)?.async('string') ?? null;
+
+  const documentXml = await readPart('word/document.xml');
+  const stylesXml = await readPart('word/styles.xml');
+  const settingsXml = await readPart('word/settings.xml');
+  const footnotesXml = await readPart('word/footnotes.xml');
+  const endnotesXml = await readPart('word/endnotes.xml');
+  const relsXml = await readPart('word/_rels/document.xml.rels');
+
+  // Headers and footers are whatever parts the document relationships point to
+  const parts = {};
+  for (const relationship of Object.values(parseRelationships(relsXml))) {
+    if (relationship.type === 'header' || relationship.type === 'footer') {
+      const path = resolvePartPath(relationship.target);
+      parts[path] = await readPart(path);
+    }
+  }
+
+  return {
+    docx,
+    format,
+    missingParts,
+    xml: { documentXml, stylesXml, settingsXml, footnotesXml, endnotesXml, relsXml, parts }
+  };
+}
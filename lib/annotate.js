@@ -0,0 +1,128 @@
+import { readDocx } from './analyze.js';
+import { DEFAULT_GUIDE, GUIDES } from './guides/index.js';
+import { parseDocumentModel } from './model.js';
+import { addRelationship, CONTENT_TYPES, parseRelationshipsPart, registerContentType } from './package.js';
+import {
+  childElements, createWordElement, firstChild, getAttr, parseRelationships, parseXml,
+  resolvePartPath, serializeXml, WORD_NS, XML_NS
+} from './xml.js';
+
+const CATEGORY_LABELS = { errors: 'Error', warnings: 'Warning' };
+
+// Write a copy of the .docx with a Word comment on every paragraph or span an issue
+// targets. Issues without targets (missing sections, header problems) are attached to
+// the first paragraph so that no feedback is lost. Returns the new file as a Uint8Array.
+export async function annotateDocx(data, results, { JSZip }) {
+  const { docx, xml } = await readDocx(data, JSZip);
+
+  // A fresh parse gives paragraphs with the same indices the issues refer to,
+  // and a DOM we can change without touching the model the results came from
+  const model = parseDocumentModel(xml);
+  const fallback = model.paragraphs.find(p => p.text.trim()) || model.paragraphs[0];
+  if (!fallback) {
+    throw new Error('The document has no paragraphs to attach comments to');
+  }
+  const documentDoc = fallback.element.ownerDocument;
+
+  const relationships = parseRelationships(xml.relsXml);
+  const existing = Object.values(relationships).find(relationship => relationship.type === 'comments');
+  const commentsPath = existing ? resolvePartPath(existing.target) : 'word/comments.xml';
+  const commentsDoc = parseXml(await docx.file(commentsPath)?.async('string')) ||
+    parseXml(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:comments xmlns:w="${WORD_NS}"/>`);
+
+  // Comment ids only have to be unique within the document
+  let nextId = Math.max(-1, ...childElements(commentsDoc.documentElement, 'w:comment')
+    .map(comment => parseInt(getAttr(comment, 'w:id')) || 0)) + 1;
+  const date = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+  const { shortName } = GUIDES[results.guide?.id] || GUIDES[DEFAULT_GUIDE];
+  const author = { name: `${shortName} Validator`, initials: shortName.substring(0, 3).toUpperCase() };
+
+  for (const [category, label] of Object.entries(CATEGORY_LABELS)) {
+    for (const item of results.categories[category]) {
+      const targets = (item.targets || []).filter(target => model.paragraphs[target.paragraph]);
+      if (targets.length === 0) targets.push({ paragraph: fallback.index, untargeted: true });
+
+      for (const target of targets) {
+        const id = String(nextId++);
+        commentsDoc.documentElement.appendChild(
+          createComment(commentsDoc, id, author, date, label, item, target.untargeted)
+        );
+        markRange(documentDoc, model.paragraphs[target.paragraph], target, id);
+      }
+    }
+  }
+
+  docx.file('word/document.xml', serializeXml(documentDoc));
+  docx.file(commentsPath, serializeXml(commentsDoc));
+  if (!existing) {
+    const relsDoc = parseRelationshipsPart(xml.relsXml);
+    addRelationship(relsDoc, 'comments', 'comments.xml');
+    docx.file('word/_rels/document.xml.rels', serializeXml(relsDoc));
+    await registerContentType(docx, commentsPath, CONTENT_TYPES.comments);
+  }
+
+  return docx.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+}
+
+// <w:comment> with the issue as a bold first line, then the details and the fix
+function createComment(doc, id, author, date, label, item, untargeted) {
+  const comment = createWordElement(doc, 'w:comment', { 'w:id': id, 'w:author': author.name, 'w:date': date, 'w:initials': author.initials });
+
+  const heading = createWordElement(doc, 'w:p');
+  const annotationRef = createWordElement(doc, 'w:r');
+  annotationRef.appendChild(createWordElement(doc, 'w:annotationRef'));
+  heading.appendChild(annotationRef);
+  heading.appendChild(createTextRun(doc, `${label}: ${item.issue}`, true));
+  comment.appendChild(heading);
+
+  const lines = [item.details];
+  if (untargeted && item.location) lines.push(`Location: ${item.location}`);
+  if (item.fix) lines.push(`How to fix: ${item.fix}`);
+  lines.filter(Boolean).forEach(line => {
+    const paragraph = createWordElement(doc, 'w:p');
+    paragraph.appendChild(createTextRun(doc, line, false));
+    comment.appendChild(paragraph);
+  });
+
+  return comment;
+}
+
+// Wrap the target in commentRangeStart/End and add the run that shows the comment mark.
+// A character range covers the runs it overlaps; otherwise the whole paragraph is marked.
+function markRange(doc, paragraph, target, id) {
+  const element = paragraph.element;
+  const start = createWordElement(doc, 'w:commentRangeStart', { 'w:id': id });
+  const end = createWordElement(doc, 'w:commentRangeEnd', { 'w:id': id });
+  const reference = createWordElement(doc, 'w:r');
+  reference.appendChild(createWordElement(doc, 'w:commentReference', { 'w:id': id }));
+
+  const runs = target.start === undefined ? [] :
+    paragraph.runs.filter(run => run.end > target.start && run.start < target.end);
+  if (runs.length > 0) {
+    const first = runs[0].element;
+    const last = runs[runs.length - 1].element;
+    first.parentNode.insertBefore(start, first);
+    last.parentNode.insertBefore(end, last.nextSibling);
+    last.parentNode.insertBefore(reference, end.nextSibling);
+    return;
+  }
+
+  const pPr = firstChild(element, 'w:pPr');
+  element.insertBefore(start, pPr ? pPr.nextSibling : element.firstChild);
+  element.appendChild(end);
+  element.appendChild(reference);
+}
+
+function createTextRun(doc, text, bold) {
+  const run = createWordElement(doc, 'w:r');
+  if (bold) {
+    const rPr = createWordElement(doc, 'w:rPr');
+    rPr.appendChild(createWordElement(doc, 'w:b'));
+    run.appendChild(rPr);
+  }
+  const t = createWordElement(doc, 'w:t');
+  t.setAttributeNS(XML_NS, 'xml:space', 'preserve');
+  t.appendChild(doc.createTextNode(text));
+  run.appendChild(t);
+  return run;
+}
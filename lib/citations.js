@@ -0,0 +1,65 @@
+// In-text citations: parenthetical "(Smith, 2020; Jones & Lee, 2019a)" and narrative "Smith (2020)"
+
+// A year with an optional letter (2019a), or "n.d." with one after a hyphen (n.d.-a).
+// Reference entries are dated the same way.
+export const CITATION_YEAR = String.raw`(?:\d{4}[a-z]?|n\.d\.(?:-[a-z])?)`;
+
+export function findCitations(paragraph) {
+  const citations = [];
+  const { text } = paragraph;
+
+  // Narrative: one or two surnames or "et al." directly before a parenthesized year
+  const surname = String.raw`(?:(?:[Vv]an|[Vv]on|[Dd]e|[Dd]e[nr]|[Dd][aiu]|[Ll][ae])\s+)*\p{Lu}[\p{L}'’-]+`;
+  const narrativePattern = new RegExp(
+    String.raw`(${surname}(?:\s+(?:and|&)\s+${surname}|\s+et al\.)?)\s+\((${CITATION_YEAR}(?:,\s*${CITATION_YEAR})*)(?:,\s*[^)]*)?\)`,
+    'gu'
+  );
+  for (const match of text.matchAll(narrativePattern)) {
+    match[2].split(/,\s*/).forEach(year => {
+      citations.push(createCitation(paragraph, match.index, match.index + match[0].length,
+        match[1], year, true));
+    });
+  }
+
+  // Parenthetical: author-year pairs separated by semicolons
+  for (const match of text.matchAll(new RegExp(String.raw`\(([^()]*?${CITATION_YEAR}[^()]*)\)`, 'g'))) {
+    let partStart = match.index + 1;
+    for (const part of match[1].split(';')) {
+      const cite = part.trim()
+        .replace(/^(?:see also|see|e\.g\.,|i\.e\.,|cf\.)\s+/i, '')
+        .match(new RegExp(String.raw`^(.+?),\s*(${CITATION_YEAR}(?:,\s*${CITATION_YEAR})*)(?:,\s*(?:pp?\.|para\.|chap\.|Table|Figure).*)?$`));
+      if (cite && !/^\d/.test(cite[1])) {
+        cite[2].split(/,\s*/).forEach(year => {
+          const lead = part.length - part.trimStart().length;
+          citations.push(createCitation(paragraph, partStart + lead, partStart + part.trimEnd().length, cite[1], year, false));
+        });
+      }
+      partStart += part.length + 1;
+    }
+  }
+
+  return citations.sort((a, b) => a.start - b.start);
+}
+
+function createCitation(paragraph, start, end, names, year, narrative) {
+  const cleaned = names.replace(/\s*\[[^\]]+\]/g, '').trim();
+  const etAl = /\bet al\.?$/.test(cleaned);
+  const connector = cleaned.match(/\s(&|and)\s/)?.[1] || null;
+  const authors = cleaned
+    .replace(/,?\s*et al\.?$/, '')
+    .split(/,?\s+(?:&|and)\s+|,\s+/)
+    .map(name => name.trim().replace(/['’]s$/, ''))
+    .filter(Boolean);
+
+  return {
+    paragraphIndex: paragraph.index,
+    start,
+    end,
+    text: paragraph.text.slice(start, end).trim(),
+    authors,
+    etAl,
+    year,
+    narrative,
+    connector
+  };
+}
@@ -0,0 +1,45 @@
+// Compare the results of two drafts of a paper: which issues the later draft fixed, which
+// it introduced and which persist. Issues are matched on their rule id and location. The
+// paragraph numbers are left out of the location, since adding a paragraph renumbers all
+// of the ones after it, but the quoted start of the paragraph is kept. So is the first
+// paragraph of "Paragraph 3 (...) and 4 more", without the count. An issue reported twice
+// at one location needs two matches to persist twice.
+export function diffResults(before, after) {
+  const unmatched = new Map();
+  issuesOf(before).forEach(item => {
+    const key = matchKey(item);
+    if (!unmatched.has(key)) unmatched.set(key, []);
+    unmatched.get(key).push(item);
+  });
+
+  const introduced = [];
+  const persisting = [];
+  issuesOf(after).forEach(item => {
+    const earlier = unmatched.get(matchKey(item));
+    if (earlier?.length > 0) {
+      persisting.push({ before: earlier.shift(), after: item });
+    } else {
+      introduced.push(item);
+    }
+  });
+
+  return {
+    fixed: Array.from(unmatched.values()).flat(),
+    introduced,
+    persisting,
+    scoreChange: after.score - before.score
+  };
+}
+
+function issuesOf(results) {
+  return ['errors', 'warnings'].flatMap(category =>
+    results.categories[category].map(item => ({ ...item, category }))
+  );
+}
+
+function matchKey(item) {
+  const location = (item.location || '')
+    .replace(/\b(paragraph|reference|footnote|endnote) \d+/gi, '$1')
+    .replace(/ and \d+ more$/, '');
+  return `${item.rule}\n${location}`;
+}
@@ -0,0 +1,116 @@
+import { ProfileError } from './errors.js';
+import { GUIDES, selectGuide } from './guides/index.js';
+
+const SEVERITIES = ['error', 'warning', 'off'];
+const CATEGORIES = { error: 'errors', warning: 'warnings' };
+
+// Settings for every rule of a style guide, with a profile's overrides applied. A profile is JSON like
+//
+//   { "name": "PSY 101 rubric", "guide": "apa7",
+//     "rules": { "heading-case": "off", "margins": { "severity": "warning", "weight": 4 } } }
+//
+// where a plain string is shorthand for { "severity": ... }. Mistakes in a profile throw a ProfileError,
+// so a typo in a rule id cannot silently leave the default in place.
+export function resolveRules(profile = null, guideId = null) {
+  if (profile && (typeof profile !== 'object' || Array.isArray(profile))) {
+    throw new ProfileError('A rule profile must be a JSON object');
+  }
+  if (profile?.guide !== undefined && !GUIDES[profile.guide]) {
+    throw new ProfileError(`Unknown style guide "${profile.guide}" in profile; use ${Object.keys(GUIDES).join(', ')}`);
+  }
+  const guide = selectGuide(guideId, profile);
+  if (profile?.guide !== undefined && profile.guide !== guide.id) {
+    throw new ProfileError(`The profile is for ${GUIDES[profile.guide].name}, not ${guide.name}`);
+  }
+
+  const rules = Object.fromEntries(guide.rules.map(rule => [rule.id, { ...rule }]));
+  if (!profile) return rules;
+
+  for (const [id, override] of Object.entries(profile.rules || {})) {
+    const rule = rules[id];
+    if (!rule) {
+      throw new ProfileError(`Unknown ${guide.name} rule "${id}" in profile`);
+    }
+    const settings = typeof override === 'string' ? { severity: override } : override;
+    if (!settings || typeof settings !== 'object') {
+      throw new ProfileError(`Rule "${id}" must be set to a severity or an object`);
+    }
+    if (settings.severity !== undefined && !SEVERITIES.includes(settings.severity)) {
+      throw new ProfileError(`Rule "${id}" has severity "${settings.severity}"; use ${SEVERITIES.join(', ')}`);
+    }
+    for (const key of ['weight', 'maxPenalty']) {
+      if (settings[key] !== undefined && !(Number.isFinite(settings[key]) && settings[key] >= 0)) {
+        throw new ProfileError(`Rule "${id}" needs a non-negative number for ${key}`);
+      }
+    }
+    Object.assign(rule, pick(settings, ['severity', 'weight', 'maxPenalty']));
+  }
+  return rules;
+}
+
+// Collects what the checks find. Each finding costs its rule's weight, and a rule never
+// costs more than its maxPenalty, so one error repeated throughout the paper cannot
+// hide everything else in the score.
+export function createReport(profile = null, guideId = null) {
+  const rules = resolveRules(profile, guideId);
+  const categories = { errors: [], warnings: [], passed: [] };
+  const counts = {};
+  const checked = {};
+
+  const ruleFor = (id) => {
+    if (!rules[id]) throw new Error(`Check reported unregistered rule "${id}"`);
+    return rules[id];
+  };
+
+  return {
+    fail(id, finding) {
+      const rule = ruleFor(id);
+      if (rule.severity === 'off') return;
+      categories[CATEGORIES[rule.severity]].push({ ...finding, rule: id });
+      counts[id] = (counts[id] || 0) + 1;
+    },
+
+    pass(id, finding) {
+      if (ruleFor(id).severity === 'off') return;
+      categories.passed.push({ ...finding, rule: id });
+    },
+
+    // The paragraphs a check looked at, whether or not it found anything in them, for the
+    // debug inspector. `ids` is one rule id or several checked over the same paragraphs,
+    // and a paragraph is anything with the paragraph's index.
+    checked(ids, paragraphs) {
+      [].concat(ids).forEach(id => {
+        if (ruleFor(id).severity === 'off') return;
+        checked[id] = checked[id] || new Set();
+        paragraphs.forEach(p => checked[id].add(p.index));
+      });
+    },
+
+    // Errors and warnings so far, for checks that report a pass when they add none
+    findingCount() {
+      return categories.errors.length + categories.warnings.length;
+    },
+
+    finish() {
+      const summary = Object.entries(counts).map(([id, findings]) => {
+        const { severity, weight, maxPenalty } = rules[id];
+        return { id, severity, findings, penalty: Math.min(findings * weight, maxPenalty) };
+      });
+      const penalty = summary.reduce((total, rule) => total + rule.penalty, 0);
+
+      return {
+        score: Math.max(0, Math.round(100 - penalty)),
+        profile: profile?.name || null,
+        categories,
+        rules: summary,
+        checked: Object.fromEntries(Object.entries(checked).map(([id, indexes]) =>
+          [id, Array.from(indexes).sort((a, b) => a - b)]
+        ))
+      };
+    }
+  };
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
@@ -0,0 +1,17 @@
+// Problems with the uploaded file itself rather than with the validator. The code
+// is stable so callers (the API route, the CLI) can tell the cases apart.
+export class DocumentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'DocumentError';
+    this.code = code;
+  }
+}
+
+// A rule profile that cannot be applied: an unknown rule id, a bad severity or weight
+export class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+  }
+}
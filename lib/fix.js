@@ -0,0 +1,352 @@
+import { readDocx } from './analyze.js';
+import { isPageField, parseDocumentModel } from './model.js';
+import { addRelationship, CONTENT_TYPES, parseRelationshipsPart, registerContentType } from './package.js';
+import { HEADING_FORMATS } from './rules/headings.js';
+import { FONT_SIZES } from './rules/layout.js';
+import {
+  childElements, createWordElement, firstChild, getAttr, parseRelationships, parseXml, RELATIONSHIPS_NS,
+  serializeXml, WORD_NS, XML_NS
+} from './xml.js';
+
+// Word rejects parts whose property elements are out of schema order, so new
+// children are slotted in by these lists (CT_PPr, CT_RPr and CT_SectPr)
+const PARAGRAPH_PROPERTY_ORDER = [
+  'w:pStyle', 'w:keepNext', 'w:keepLines', 'w:pageBreakBefore', 'w:framePr', 'w:widowControl', 'w:numPr',
+  'w:suppressLineNumbers', 'w:pBdr', 'w:shd', 'w:tabs', 'w:suppressAutoHyphens', 'w:kinsoku', 'w:wordWrap',
+  'w:overflowPunct', 'w:topLinePunct', 'w:autoSpaceDE', 'w:autoSpaceDN', 'w:bidi', 'w:adjustRightInd',
+  'w:snapToGrid', 'w:spacing', 'w:ind', 'w:contextualSpacing', 'w:mirrorIndents', 'w:suppressOverlap', 'w:jc',
+  'w:textDirection', 'w:textAlignment', 'w:textboxTightWrap', 'w:outlineLvl', 'w:divId', 'w:cnfStyle', 'w:rPr',
+  'w:sectPr', 'w:pPrChange'
+];
+const RUN_PROPERTY_ORDER = [
+  'w:rStyle', 'w:rFonts', 'w:b', 'w:bCs', 'w:i', 'w:iCs', 'w:caps', 'w:smallCaps', 'w:strike', 'w:dstrike',
+  'w:outline', 'w:shadow', 'w:emboss', 'w:imprint', 'w:noProof', 'w:snapToGrid', 'w:vanish', 'w:webHidden',
+  'w:color', 'w:spacing', 'w:w', 'w:kern', 'w:position', 'w:sz', 'w:szCs', 'w:highlight', 'w:u', 'w:effect',
+  'w:bdr', 'w:shd', 'w:fitText', 'w:vertAlign', 'w:rtl', 'w:cs', 'w:em', 'w:lang', 'w:eastAsianLayout',
+  'w:specVanish', 'w:oMath'
+];
+const SECTION_PROPERTY_ORDER = [
+  'w:headerReference', 'w:footerReference', 'w:footnotePr', 'w:endnotePr', 'w:type', 'w:pgSz', 'w:pgMar',
+  'w:paperSrc', 'w:pgBorders', 'w:lnNumType', 'w:pgNumType', 'w:cols', 'w:formProt', 'w:vAlign', 'w:noEndnote',
+  'w:titlePg', 'w:textDirection', 'w:bidi', 'w:rtlGutter', 'w:docGrid', 'w:printerSettings', 'w:sectPrChange'
+];
+
+const APA_FONT = 'Times New Roman';
+
+// One entry per issue that has a mechanical fix, for the user to accept or skip
+export function planFixes(results) {
+  return [...results.categories.errors, ...results.categories.warnings]
+    .filter(item => item.autoFix)
+    .map((item, id) => ({ id, issue: item.issue, description: describeFix(item.autoFix), autoFix: item.autoFix }));
+}
+
+function describeFix(autoFix) {
+  const count = autoFix.paragraphs?.length;
+  switch (autoFix.type) {
+    case 'margins':
+      return `Set 1-inch margins on all sides of section ${autoFix.section + 1}`;
+    case 'font':
+      return `Change every font to ${APA_FONT} ${FONT_SIZES[APA_FONT]}pt`;
+    case 'fontSize':
+      return `Set ${count} paragraph(s) to the point size of their font`;
+    case 'doubleSpacing':
+      return `Double-space ${count} paragraph(s)`;
+    case 'heading':
+      return `Apply Level ${autoFix.level} bold, italics and alignment to paragraph ${autoFix.paragraph + 1}`;
+    case 'pageNumbers':
+      return autoFix.section === undefined
+        ? 'Add a flush-right page number to the page header'
+        : `Add a flush-right page number to the ${autoFix.slot} header of section ${autoFix.section + 1}`;
+    case 'hangingIndent':
+      return `Give ${count} reference(s) a 0.5-inch hanging indent`;
+    default:
+      return autoFix.type;
+  }
+}
+
+// Apply the accepted autoFix objects to a copy of the .docx and return it as a Uint8Array
+export async function applyFixes(data, fixes, { JSZip }) {
+  const { docx, xml } = await readDocx(data, JSZip);
+
+  // Re-parse so paragraph and section indices match the ones in the issues
+  const model = parseDocumentModel(xml);
+  const documentDoc = (model.paragraphs[0] || model.sections[0])?.element.ownerDocument;
+  const edits = { docx, xml, model, stylesDoc: parseXml(xml.stylesXml), changedParts: new Map() };
+
+  for (const fix of fixes) {
+    const paragraphs = (fix.paragraphs || []).map(index => model.paragraphs[index]).filter(Boolean);
+    switch (fix.type) {
+      case 'margins':
+        fixMargins(model.sections[fix.section]);
+        break;
+      case 'font':
+        await fixFont(edits, documentDoc);
+        break;
+      case 'fontSize':
+        paragraphs.forEach(paragraph => fixFontSize(paragraph, model, fix.sizes));
+        break;
+      case 'doubleSpacing':
+        paragraphs.forEach(paragraph => {
+          const spacing = ensureChild(ensureParagraphProperties(paragraph), 'w:spacing', PARAGRAPH_PROPERTY_ORDER);
+          setWordAttrs(spacing, { 'w:line': '480', 'w:lineRule': 'auto' });
+        });
+        break;
+      case 'heading':
+        if (model.paragraphs[fix.paragraph]) fixHeading(model.paragraphs[fix.paragraph], fix.level);
+        break;
+      case 'pageNumbers':
+        await fixPageNumbers(edits, fix);
+        break;
+      case 'hangingIndent':
+        paragraphs.forEach(paragraph => {
+          const ind = ensureChild(ensureParagraphProperties(paragraph), 'w:ind', PARAGRAPH_PROPERTY_ORDER);
+          removeAttrs(ind, ['w:firstLine', 'w:firstLineChars', 'w:hangingChars']);
+          setWordAttrs(ind, { 'w:left': '720', 'w:hanging': '720' });
+          if (ind.hasAttribute('w:start')) setWordAttrs(ind, { 'w:start': '720' });
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (documentDoc) docx.file('word/document.xml', serializeXml(documentDoc));
+  for (const [path, doc] of edits.changedParts) {
+    docx.file(path, serializeXml(doc));
+  }
+  return docx.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+}
+
+function fixMargins(section) {
+  if (!section) return;
+  const pgMar = ensureChild(section.element, 'w:pgMar', SECTION_PROPERTY_ORDER);
+  setWordAttrs(pgMar, { 'w:top': '1440', 'w:bottom': '1440', 'w:left': '1440', 'w:right': '1440' });
+  if (pgMar.hasAttribute('w:start')) setWordAttrs(pgMar, { 'w:start': '1440' });
+  if (pgMar.hasAttribute('w:end')) setWordAttrs(pgMar, { 'w:end': '1440' });
+}
+
+// Every explicit font becomes Times New Roman 12pt, and so does the document default
+async function fixFont(edits, documentDoc) {
+  const size = String(FONT_SIZES[APA_FONT] * 2);
+  const docs = [documentDoc, edits.stylesDoc, ...[...edits.model.headers, ...edits.model.footers].map(part => part.element?.ownerDocument)];
+
+  docs.filter(Boolean).forEach(doc => {
+    Array.from(doc.getElementsByTagName('w:rFonts')).forEach(setFontAttrs);
+    Array.from(doc.getElementsByTagName('w:sz')).forEach(sz => setWordAttrs(sz, { 'w:val': size }));
+    Array.from(doc.getElementsByTagName('w:szCs')).forEach(sz => setWordAttrs(sz, { 'w:val': size }));
+  });
+  [...edits.model.headers, ...edits.model.footers].forEach(part => {
+    if (part.element) edits.changedParts.set(part.part, part.element.ownerDocument);
+  });
+
+  if (!edits.stylesDoc) await addStylesPart(edits);
+  const styles = edits.stylesDoc.documentElement;
+  let docDefaults = firstChild(styles, 'w:docDefaults');
+  if (!docDefaults) {
+    docDefaults = createWordElement(edits.stylesDoc, 'w:docDefaults');
+    styles.insertBefore(docDefaults, styles.firstChild);
+  }
+  const rPrDefault = ensureChild(docDefaults, 'w:rPrDefault', ['w:rPrDefault', 'w:pPrDefault']);
+  const rPr = ensureChild(rPrDefault, 'w:rPr', ['w:rPr']);
+  setFontAttrs(ensureChild(rPr, 'w:rFonts', RUN_PROPERTY_ORDER));
+  setWordAttrs(ensureChild(rPr, 'w:sz', RUN_PROPERTY_ORDER), { 'w:val': size });
+  setWordAttrs(ensureChild(rPr, 'w:szCs', RUN_PROPERTY_ORDER), { 'w:val': size });
+  edits.changedParts.set('word/styles.xml', edits.stylesDoc);
+}
+
+function setFontAttrs(rFonts) {
+  // Theme fonts take precedence over the named ones, so they have to go
+  removeAttrs(rFonts, ['w:asciiTheme', 'w:hAnsiTheme', 'w:cstheme', 'w:eastAsiaTheme']);
+  setWordAttrs(rFonts, { 'w:ascii': APA_FONT, 'w:hAnsi': APA_FONT, 'w:cs': APA_FONT });
+}
+
+// `sizes` is the style guide's font list the finding was made against
+function fixFontSize(paragraph, model, sizes = FONT_SIZES) {
+  const font = paragraph.fonts[0] || model.defaultFont;
+  const approved = Object.keys(sizes).find(name => font && font.includes(name));
+  if (!approved) return;
+
+  const size = String(sizes[approved] * 2);
+  paragraph.runs.forEach(run => {
+    const rPr = ensureChild(run.element, 'w:rPr', ['w:rPr']);
+    setWordAttrs(ensureChild(rPr, 'w:sz', RUN_PROPERTY_ORDER), { 'w:val': size });
+    setWordAttrs(ensureChild(rPr, 'w:szCs', RUN_PROPERTY_ORDER), { 'w:val': size });
+  });
+}
+
+// Bold and italics on the heading runs, then alignment and indentation for the level
+function fixHeading(paragraph, level) {
+  const format = HEADING_FORMATS[level];
+  if (!format) return;
+
+  const text = paragraph.headingText || paragraph.text.trim();
+  const end = paragraph.text.indexOf(text) + text.length;
+  paragraph.runs.filter(run => run.text.trim() && run.start < end).forEach(run => {
+    const rPr = ensureChild(run.element, 'w:rPr', ['w:rPr']);
+    const bold = ensureChild(rPr, 'w:b', RUN_PROPERTY_ORDER);
+    removeAttrs(bold, ['w:val']);
+    const italic = ensureChild(rPr, 'w:i', RUN_PROPERTY_ORDER);
+    if (format.italic) {
+      removeAttrs(italic, ['w:val']);
+    } else {
+      setWordAttrs(italic, { 'w:val': '0' });
+    }
+  });
+
+  const pPr = ensureParagraphProperties(paragraph);
+  const ind = ensureChild(pPr, 'w:ind', PARAGRAPH_PROPERTY_ORDER);
+  removeAttrs(ind, ['w:hanging', 'w:hangingChars', 'w:firstLineChars', 'w:start']);
+  setWordAttrs(ind, { 'w:left': '0', 'w:firstLine': format.inline ? '720' : '0' });
+  setWordAttrs(ensureChild(pPr, 'w:jc', PARAGRAPH_PROPERTY_ORDER), { 'w:val': format.centered ? 'center' : 'left' });
+}
+
+// Put a PAGE field flush right in the header: after a right tab when the header already
+// has text such as a running head, otherwise in a right-aligned paragraph. Sections
+// without a header of the needed type get a new header part.
+async function fixPageNumbers(edits, fix) {
+  const { model } = edits;
+  // Without a section, every header Word shows: default, plus first-page and even-page ones in use
+  const slots = fix.section === undefined
+    ? model.sections.flatMap(section => [
+        [section, 'default'],
+        ...(section.titlePage ? [[section, 'first']] : []),
+        ...(model.settings.evenAndOddHeaders ? [[section, 'even']] : [])
+      ])
+    : [[model.sections[fix.section], fix.slot]];
+
+  for (const [section, slot] of slots) {
+    if (!section) continue;
+    const part = section.headers[slot];
+    if (part && part.fields.some(isPageField)) continue;
+
+    if (part?.element) {
+      const doc = part.element.ownerDocument;
+      const [first] = part.paragraphs;
+      if (!first) {
+        part.element.appendChild(createPageNumberParagraph(doc));
+      } else if (first.text.trim()) {
+        const pPr = ensureParagraphProperties(first);
+        const tabs = ensureChild(pPr, 'w:tabs', PARAGRAPH_PROPERTY_ORDER);
+        tabs.appendChild(createWordElement(doc, 'w:tab', { 'w:val': 'right', 'w:pos': String(textWidth(section)) }));
+        const tab = createWordElement(doc, 'w:r');
+        tab.appendChild(createWordElement(doc, 'w:tab'));
+        first.element.appendChild(tab);
+        createPageFieldRuns(doc).forEach(run => first.element.appendChild(run));
+      } else {
+        setWordAttrs(ensureChild(ensureParagraphProperties(first), 'w:jc', PARAGRAPH_PROPERTY_ORDER), { 'w:val': 'right' });
+        createPageFieldRuns(doc).forEach(run => first.element.appendChild(run));
+      }
+      part.fields.push({ instruction: 'PAGE', result: '1', paragraphIndex: 0, start: 0 });
+      edits.changedParts.set(part.part, doc);
+      continue;
+    }
+
+    // One new header part serves every section that lacks one
+    edits.newHeaderId = edits.newHeaderId || await addHeaderPart(edits);
+    const reference = createWordElement(section.element.ownerDocument, 'w:headerReference', { 'w:type': slot });
+    reference.setAttributeNS(RELATIONSHIPS_NS, 'r:id', edits.newHeaderId);
+    section.element.insertBefore(reference, section.element.firstChild);
+  }
+}
+
+// An empty styles.xml for a document without one, so the defaults have somewhere to go
+async function addStylesPart(edits) {
+  const { docx, xml } = edits;
+  edits.stylesDoc = parseXml(
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:styles xmlns:w="${WORD_NS}"/>`
+  );
+  // Some exports keep the relationship to the part they leave out
+  if (!Object.values(parseRelationships(xml.relsXml)).some(relationship => relationship.type === 'styles')) {
+    edits.relsDoc = edits.relsDoc || parseRelationshipsPart(xml.relsXml);
+    addRelationship(edits.relsDoc, 'styles', 'styles.xml');
+    edits.changedParts.set('word/_rels/document.xml.rels', edits.relsDoc);
+  }
+  await registerContentType(docx, 'word/styles.xml', CONTENT_TYPES.styles);
+}
+
+async function addHeaderPart(edits) {
+  const { docx, xml } = edits;
+  let n = 1;
+  while (docx.file(`word/header${n}.xml`)) n++;
+  const path = `word/header${n}.xml`;
+
+  const headerDoc = parseXml(
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:hdr xmlns:w="${WORD_NS}" xmlns:r="${RELATIONSHIPS_NS}"/>`
+  );
+  headerDoc.documentElement.appendChild(createPageNumberParagraph(headerDoc));
+  edits.changedParts.set(path, headerDoc);
+
+  edits.relsDoc = edits.relsDoc || parseRelationshipsPart(xml.relsXml);
+  const id = addRelationship(edits.relsDoc, 'header', `header${n}.xml`);
+  edits.changedParts.set('word/_rels/document.xml.rels', edits.relsDoc);
+  await registerContentType(docx, path, CONTENT_TYPES.header);
+  return id;
+}
+
+function createPageNumberParagraph(doc) {
+  const paragraph = createWordElement(doc, 'w:p');
+  const pPr = createWordElement(doc, 'w:pPr');
+  pPr.appendChild(createWordElement(doc, 'w:jc', { 'w:val': 'right' }));
+  paragraph.appendChild(pPr);
+  createPageFieldRuns(doc).forEach(run => paragraph.appendChild(run));
+  return paragraph;
+}
+
+// begin / instruction / separate / placeholder result / end
+function createPageFieldRuns(doc) {
+  const run = (child) => {
+    const element = createWordElement(doc, 'w:r');
+    element.appendChild(child);
+    return element;
+  };
+  const instruction = createWordElement(doc, 'w:instrText');
+  instruction.setAttributeNS(XML_NS, 'xml:space', 'preserve');
+  instruction.appendChild(doc.createTextNode(' PAGE '));
+  const placeholder = createWordElement(doc, 'w:t');
+  placeholder.appendChild(doc.createTextNode('1'));
+
+  return [
+    run(createWordElement(doc, 'w:fldChar', { 'w:fldCharType': 'begin' })),
+    run(instruction),
+    run(createWordElement(doc, 'w:fldChar', { 'w:fldCharType': 'separate' })),
+    run(placeholder),
+    run(createWordElement(doc, 'w:fldChar', { 'w:fldCharType': 'end' }))
+  ];
+}
+
+// Page width inside the margins, in twips; a US Letter page with 1-inch margins by default
+function textWidth(section) {
+  const width = parseInt(getAttr(firstChild(section.element, 'w:pgSz'), 'w:w')) || 12240;
+  return width - (section.margins.left ?? 1440) - (section.margins.right ?? 1440);
+}
+
+function ensureParagraphProperties(paragraph) {
+  return ensureChild(paragraph.element, 'w:pPr', ['w:pPr']);
+}
+
+// The named child, created in schema order when missing; names missing from `order` sort last
+function ensureChild(parent, name, order) {
+  const existing = firstChild(parent, name);
+  if (existing) return existing;
+
+  const child = createWordElement(parent.ownerDocument, name);
+  const rank = (node) => {
+    const position = order.indexOf(node.nodeName);
+    return position === -1 ? order.length : position;
+  };
+  const next = childElements(parent).find(node => rank(node) > rank(child));
+  parent.insertBefore(child, next || null);
+  return child;
+}
+
+function setWordAttrs(element, attributes) {
+  for (const [name, value] of Object.entries(attributes)) {
+    element.setAttributeNS(WORD_NS, name, value);
+  }
+}
+
+function removeAttrs(element, names) {
+  names.forEach(name => {
+    if (element.hasAttribute(name)) element.removeAttribute(name);
+  });
+}
@@ -0,0 +1,65 @@
+import { DocumentError } from './errors.js';
+
+// Extensions offered in file pickers and picked up from folders. Only .docx and .odt
+// can be read; .doc and .rtf are accepted so that they get an explanation rather than
+// being skipped without a word.
+export const DOCUMENT_EXTENSIONS = ['.docx', '.odt', '.doc', '.rtf'];
+
+// Formats are told apart by their first bytes, whatever the file is called
+const SIGNATURES = {
+  zip: [0x50, 0x4b, 0x03, 0x04],
+  doc: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1],
+  rtf: [0x7b, 0x5c, 0x72, 0x74, 0x66],
+  pdf: [0x25, 0x50, 0x44, 0x46]
+};
+
+const RESAVE = 'Open it in Word or LibreOffice and save it as .docx or .odt, then check that file';
+
+const UNREADABLE = {
+  doc: `This is a Word 97-2003 document (.doc), which cannot be read. ${RESAVE}`,
+  rtf: `This is a Rich Text Format file (.rtf), which cannot be read. ${RESAVE}`,
+  pdf: 'This is a PDF, which has lost the formatting settings the checks need. Upload the .docx or .odt it was made from'
+};
+
+// The mimetype entry every OpenDocument archive starts with
+const ODF_TYPES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.text-template': 'odt'
+};
+const ODF_OTHER = /^application\/vnd\.oasis\.opendocument\.(spreadsheet|presentation|graphics|formula)/;
+
+// Open an uploaded document and tell what it is: {format: 'docx' | 'odt', archive}, the
+// archive being the opened JSZip. Anything else throws a DocumentError that says what the
+// file is and what to do with it.
+export async function openDocument(data, JSZip) {
+  const bytes = data instanceof ArrayBuffer ? new Uint8Array(data, 0, Math.min(8, data.byteLength)) : data;
+  const signature = Object.keys(SIGNATURES).find(format =>
+    SIGNATURES[format].every((byte, i) => bytes[i] === byte)
+  );
+  if (UNREADABLE[signature]) {
+    throw new DocumentError('UNSUPPORTED_FORMAT', UNREADABLE[signature]);
+  }
+  if (signature !== 'zip') {
+    throw new DocumentError('NOT_DOCX', 'File is not a Word (.docx) or OpenDocument (.odt) document');
+  }
+
+  let archive;
+  try {
+    archive = await new JSZip().loadAsync(data);
+  } catch (err) {
+    throw new DocumentError('MALFORMED_ZIP', `File is not a readable ZIP archive: ${err.message}`);
+  }
+
+  if (archive.file('word/document.xml')) {
+    return { format: 'docx', archive };
+  }
+  const mimetype = (await archive.file('mimetype')?.async('string'))?.trim();
+  if (ODF_TYPES[mimetype]) {
+    return { format: ODF_TYPES[mimetype], archive };
+  }
+  if (ODF_OTHER.test(mimetype)) {
+    throw new DocumentError('UNSUPPORTED_FORMAT',
+      `This is an OpenDocument ${mimetype.match(ODF_OTHER)[1]}, not a text document`);
+  }
+  throw new DocumentError('NOT_DOCX', 'Archive has neither word/document.xml nor an OpenDocument text mimetype, so it is not a Word or OpenDocument file');
+}
@@ -0,0 +1,118 @@
+import { findAbstractSection, RULES as ABSTRACT_RULES, validateAbstract } from '../rules/abstract.js';
+import { RULES as CITATION_RULES, validateCitations } from '../rules/citations.js';
+import { RULES as HEADING_RULES, validateHeadings } from '../rules/headings.js';
+import {
+  RULES as LAYOUT_RULES, validateFonts, validateIndentation, validateLineSpacing, validateMargins
+} from '../rules/layout.js';
+import { RULES as NOTE_RULES, validateNotes } from '../rules/notes.js';
+import { RULES as PAGE_NUMBER_RULES, validatePageNumbers } from '../rules/pageNumbers.js';
+import { RULES as PROSE_RULES, validateProse } from '../rules/prose.js';
+import { isBlockQuote, RULES as QUOTATION_RULES, validateQuotations } from '../rules/quotations.js';
+import { parseReferenceList, RULES as REFERENCE_RULES, validateReferenceList } from '../rules/references.js';
+import { findTablesAndFigures, RULES as TABLE_RULES, validateTablesAndFigures } from '../rules/tables.js';
+import { RULES as TITLE_PAGE_RULES, validateTitlePage } from '../rules/titlePage.js';
+
+// Every APA 7 check, in the order the report runs them
+export const RULES = [
+  ...LAYOUT_RULES,
+  ...TITLE_PAGE_RULES,
+  ...PAGE_NUMBER_RULES,
+  ...ABSTRACT_RULES,
+  ...TABLE_RULES,
+  ...QUOTATION_RULES,
+  ...NOTE_RULES,
+  ...HEADING_RULES,
+  ...REFERENCE_RULES,
+  ...CITATION_RULES,
+  ...PROSE_RULES
+];
+
+export function validateApa(model, paragraphs, report, { text, paperType, abstractWordLimit }) {
+  const bodyText = paragraphs.filter(p => p.tableIndex === null);
+
+  validateFonts(model, paragraphs, report);
+  validateMargins(model, report);
+  validateLineSpacing(model, bodyText, report);
+
+  // Paragraph indentation: the abstract and block quotations are not indented
+  const referencesHeading = bodyText.find(p => p.text.trim() === 'References');
+  const abstract = findAbstractSection(bodyText);
+  const displays = findTablesAndFigures(model, bodyText);
+  const displayParagraphs = displays.flatMap(display => [display.label, display.title, display.note]);
+  const runningText = bodyText.filter(p =>
+    !p.isHeading && (!referencesHeading || p.index < referencesHeading.index) &&
+    !displayParagraphs.includes(p) && p.drawings === 0
+  );
+  // Title page lines such as the author note are not indented either
+  const textAfterTitlePage = runningText.filter(p => model.pageCount < 2 || p.page > 0);
+  const bodyParagraphs = textAfterTitlePage.filter(p =>
+    !p.isCentered && !isBlockQuote(p) && !(abstract && abstract.paragraphs.includes(p))
+  );
+  validateIndentation(bodyParagraphs, report);
+
+  // Title page and running head
+  validateTitlePage(model, paperType, report);
+
+  // Page numbers
+  validatePageNumbers(model, report);
+
+  // Abstract and keywords
+  validateAbstract(abstract, bodyText, paperType, abstractWordLimit, report);
+
+  // Tables and figures
+  validateTablesAndFigures(displays, model, bodyText, report);
+
+  // Quotations in the text after the title page, then footnotes and endnotes
+  validateQuotations(textAfterTitlePage, report);
+  validateNotes(model, report);
+
+  // Headings, leaving out the title page
+  const headings = paragraphs.filter(p => p.isHeading && (model.pageCount < 2 || p.page > 0));
+  if (headings.length > 0) {
+    report.pass('headings-present', {
+      issue: 'Document Structure',
+      details: `Found ${headings.length} headings`
+    });
+    validateHeadings(headings, report);
+  } else {
+    report.fail('headings-present', {
+      issue: 'No Headings Found',
+      details: 'Document lacks formatted headings',
+      fix: 'Use APA heading styles to organize your paper'
+    });
+  }
+
+  // References
+  const referenceEntries = referencesHeading ? parseReferenceList(bodyText, referencesHeading) : [];
+  if (referencesHeading) {
+    report.pass('references-present', {
+      issue: 'References Section',
+      details: 'Document includes References'
+    });
+    validateReferenceList(referenceEntries, report);
+  } else {
+    report.fail('references-present', {
+      issue: 'No References Section',
+      details: 'References section not found',
+      fix: 'Add References section with cited sources'
+    });
+  }
+
+  // Citations
+  if (model.citations.length > 0) {
+    report.pass('citations-present', {
+      issue: 'In-text Citations',
+      details: `Found ${model.citations.length} citations`
+    });
+    validateCitations(model.citations, referenceEntries, report);
+  } else {
+    report.fail('citations-present', {
+      issue: 'No Citations',
+      details: 'No in-text citations found',
+      fix: 'Add APA citations for all sources'
+    });
+  }
+
+  // Mechanics and bias-free language in the writer's own prose
+  validateProse(text, textAfterTitlePage.filter(p => !isBlockQuote(p)), model.citations, report);
+}
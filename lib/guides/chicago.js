@@ -0,0 +1,106 @@
+import { describeParagraphs, targetParagraphs } from '../rules/describe.js';
+import {
+  RULES as LAYOUT_RULES, validateFonts, validateIndentation, validateLineSpacing, validateMargins
+} from '../rules/layout.js';
+import { isBlockQuote } from '../rules/quotations.js';
+import { findSourceList, validateSourceList } from '../rules/sourceList.js';
+
+// Chicago (Turabian) student papers: a readable serif font at 12 points
+const CHICAGO_FONT_SIZES = { 'Times New Roman': 12, 'Palatino Linotype': 12, 'Book Antiqua': 12, 'Garamond': 12 };
+
+export const RULES = [
+  ...LAYOUT_RULES,
+  { id: 'chicago-title-page', title: 'Separate title page', severity: 'warning', weight: 3, maxPenalty: 3 },
+  { id: 'chicago-page-numbers', title: 'Page numbers', severity: 'error', weight: 5, maxPenalty: 5 },
+  { id: 'footnotes-present', title: 'Footnotes for citations', severity: 'error', weight: 8, maxPenalty: 8 },
+  { id: 'chicago-citation-style', title: 'Notes rather than author-date citations', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'bibliography-present', title: 'Bibliography', severity: 'warning', weight: 8, maxPenalty: 8 },
+  { id: 'bibliography-label', title: 'Centered Bibliography label on a new page', severity: 'error', weight: 3, maxPenalty: 6 },
+  { id: 'bibliography-hanging-indent', title: '0.5-inch hanging indent', severity: 'error', weight: 5, maxPenalty: 5 },
+  { id: 'bibliography-order', title: 'Alphabetical bibliography', severity: 'warning', weight: 2, maxPenalty: 6 }
+];
+
+export function validateChicago(model, paragraphs, report) {
+  const bodyText = paragraphs.filter(p => p.tableIndex === null);
+  const bibliography = findSourceList(bodyText, ['Bibliography']);
+  const beforeBibliography = bodyText.filter(p => !bibliography || p.index < bibliography.heading.index);
+
+  // The bibliography is single-spaced within entries, so only the text above it is checked
+  validateFonts(model, paragraphs, report, CHICAGO_FONT_SIZES);
+  validateMargins(model, report);
+  validateLineSpacing(model, beforeBibliography.filter(p => p.page > 0 || model.pageCount < 2), report);
+
+  const bodyParagraphs = beforeBibliography.filter(p =>
+    p.page > 0 && !p.isHeading && !p.isCentered && !isBlockQuote(p) && p.drawings === 0
+  );
+  validateIndentation(bodyParagraphs, report);
+
+  // Title page: the first page holds only the centered title block
+  const firstPageText = bodyText.filter(p => p.page === 0 && !p.isCentered && p.text.trim().split(/\s+/).length > 15);
+  report.checked('chicago-title-page', bodyText.filter(p => p.page === 0));
+  if (model.pageCount < 2 || firstPageText.length > 0) {
+    report.fail('chicago-title-page', {
+      issue: 'No Title Page',
+      details: 'The paper starts without a separate title page',
+      location: 'First page',
+      targets: targetParagraphs(firstPageText.slice(0, 1)),
+      fix: 'Put the title, your name, the course and the date on a page of their own, centered'
+    });
+  }
+
+  // Any position is allowed, as long as the pages are numbered
+  if (model.hasPageNumbers) {
+    report.pass('chicago-page-numbers', {
+      issue: 'Page Numbers',
+      details: 'Pages are numbered'
+    });
+  } else {
+    report.fail('chicago-page-numbers', {
+      issue: 'Missing Page Numbers',
+      details: 'No page number field found in any header or footer',
+      fix: 'Insert > Page Number, in the header or centered in the footer'
+    });
+  }
+
+  // Notes: sources are cited in numbered footnotes or endnotes, not in parentheses
+  const noteCount = bodyText.reduce((count, p) => count + p.footnoteIds.length + p.endnoteIds.length, 0);
+  if (noteCount > 0) {
+    report.pass('footnotes-present', {
+      issue: 'Footnotes',
+      details: `Found ${noteCount} note references`
+    });
+  } else {
+    report.fail('footnotes-present', {
+      issue: 'No Footnotes',
+      details: 'Chicago notes-bibliography style cites sources in footnotes',
+      fix: 'References > Insert Footnote after each sentence that uses a source'
+    });
+  }
+
+  const citations = model.citations.filter(citation => !bibliography || citation.paragraphIndex < bibliography.heading.index);
+  report.checked('chicago-citation-style', citations.map(citation => model.paragraphs[citation.paragraphIndex]));
+  citations.forEach(citation => {
+    report.fail('chicago-citation-style', {
+      issue: 'Parenthetical Citation',
+      details: `${citation.text} is an author-date citation; this style cites in footnotes`,
+      location: describeParagraphs([model.paragraphs[citation.paragraphIndex]]),
+      targets: [{ paragraph: citation.paragraphIndex, start: citation.start, end: citation.end }],
+      fix: 'Replace the parenthetical citation with a footnote'
+    });
+  });
+
+  if (bibliography) {
+    report.pass('bibliography-present', {
+      issue: 'Bibliography',
+      details: 'Document includes a bibliography'
+    });
+    validateSourceList(bibliography, 'Bibliography',
+      { label: 'bibliography-label', indent: 'bibliography-hanging-indent', order: 'bibliography-order' }, report);
+  } else {
+    report.fail('bibliography-present', {
+      issue: 'No Bibliography',
+      details: 'No "Bibliography" label found',
+      fix: 'End the paper with a new page titled Bibliography listing every source you cite'
+    });
+  }
+}
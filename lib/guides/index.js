@@ -0,0 +1,28 @@
+import { RULES as APA_RULES, validateApa } from './apa.js';
+import { RULES as CHICAGO_RULES, validateChicago } from './chicago.js';
+import { RULES as MLA_RULES, validateMla } from './mla.js';
+
+// Bump when a rule is added, removed or changes what it checks, so saved results
+// and profiles can be matched to the rules that produced them
+export const RULE_SET_VERSION = '1.3.6';
+
+export const DEFAULT_GUIDE = 'apa7';
+
+// Style guides the document can be checked against. Each one has its own rules, in the
+// order the report runs them; a rule has an id that profiles refer to, a default severity
+// ('error' or 'warning'), the points each finding costs, and the most points it can cost.
+// `validate(model, paragraphs, report, options)` runs the checks on the shared document model.
+export const GUIDES = {
+  apa7: { id: 'apa7', name: 'APA 7', shortName: 'APA', rules: APA_RULES, validate: validateApa },
+  mla9: { id: 'mla9', name: 'MLA 9', shortName: 'MLA', rules: MLA_RULES, validate: validateMla },
+  chicago17: { id: 'chicago17', name: 'Chicago 17', shortName: 'Chicago', rules: CHICAGO_RULES, validate: validateChicago }
+};
+
+// The guide a run uses: the one asked for, else the one the profile was written for, else APA 7
+export function selectGuide(guideId = null, profile = null) {
+  const id = guideId ?? profile?.guide ?? DEFAULT_GUIDE;
+  if (!GUIDES[id]) {
+    throw new Error(`Unknown style guide "${id}"; use ${Object.keys(GUIDES).join(', ')}`);
+  }
+  return GUIDES[id];
+}
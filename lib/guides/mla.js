@@ -0,0 +1,163 @@
+import { describeParagraphs, targetParagraphs } from '../rules/describe.js';
+import { isTitleCase } from '../rules/headings.js';
+import {
+  RULES as LAYOUT_RULES, validateFonts, validateIndentation, validateLineSpacing, validateMargins
+} from '../rules/layout.js';
+import { RULES as PAGE_NUMBER_RULES, validatePageNumbers } from '../rules/pageNumbers.js';
+import { isBlockQuote } from '../rules/quotations.js';
+import { findSourceList, validateSourceList } from '../rules/sourceList.js';
+
+// MLA leaves the font open as long as it is legible; these are the usual choices
+const MLA_FONT_SIZES = { 'Times New Roman': 12, 'Georgia': 12, 'Garamond': 12, 'Calibri': 12, 'Arial': 12 };
+
+const MONTHS = 'January|February|March|April|May|June|July|August|September|October|November|December';
+const MLA_DATE = new RegExp(`^\\d{1,2} (${MONTHS}) \\d{4}$`);
+const ANY_DATE = new RegExp(`^((${MONTHS})\\.? \\d{1,2},? \\d{4}|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|\\d{4}-\\d{2}-\\d{2}|\\d{1,2} (${MONTHS}) \\d{4})$`, 'i');
+
+export const RULES = [
+  ...LAYOUT_RULES,
+  ...PAGE_NUMBER_RULES,
+  { id: 'mla-header-block', title: 'Name, instructor, course and date block', severity: 'error', weight: 5, maxPenalty: 10 },
+  { id: 'mla-date-format', title: 'Day Month Year date', severity: 'warning', weight: 2, maxPenalty: 2 },
+  { id: 'mla-title', title: 'Centered, plain title case title', severity: 'error', weight: 3, maxPenalty: 3 },
+  { id: 'mla-running-head', title: 'Surname before the page number', severity: 'error', weight: 5, maxPenalty: 5 },
+  { id: 'works-cited-present', title: 'Works Cited page', severity: 'warning', weight: 8, maxPenalty: 8 },
+  { id: 'works-cited-label', title: 'Centered Works Cited label on a new page', severity: 'error', weight: 3, maxPenalty: 6 },
+  { id: 'works-cited-hanging-indent', title: '0.5-inch hanging indent', severity: 'error', weight: 5, maxPenalty: 5 },
+  { id: 'works-cited-order', title: 'Alphabetical Works Cited', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'mla-citation-style', title: 'Author-page citations', severity: 'warning', weight: 2, maxPenalty: 6 }
+];
+
+export function validateMla(model, paragraphs, report) {
+  const bodyText = paragraphs.filter(p => p.tableIndex === null);
+  const worksCited = findSourceList(bodyText, ['Works Cited', 'Work Cited']);
+  const header = bodyText.slice(0, 4);
+  const title = bodyText[4] || null;
+
+  validateFonts(model, paragraphs, report, MLA_FONT_SIZES);
+  validateMargins(model, report);
+  validateLineSpacing(model, bodyText, report);
+
+  const bodyParagraphs = bodyText.filter(p =>
+    p.index > (title ? title.index : -1) && !p.isHeading && !p.isCentered && !isBlockQuote(p) && p.drawings === 0 &&
+    (!worksCited || p.index < worksCited.heading.index)
+  );
+  validateIndentation(bodyParagraphs, report);
+
+  validateHeaderBlock(header, title, report);
+  validatePageNumbers(model, report);
+  validateRunningHead(model, header[0], report);
+
+  if (worksCited) {
+    report.pass('works-cited-present', {
+      issue: 'Works Cited Page',
+      details: 'Document includes Works Cited'
+    });
+    validateSourceList(worksCited, 'Works Cited',
+      { label: 'works-cited-label', indent: 'works-cited-hanging-indent', order: 'works-cited-order' }, report);
+  } else {
+    report.fail('works-cited-present', {
+      issue: 'No Works Cited Page',
+      details: 'No "Works Cited" label found',
+      fix: 'End the paper with a new page titled Works Cited listing every source you cite'
+    });
+  }
+
+  // MLA cites author and page, e.g. (Morrison 23); (Morrison, 1987) is APA's author-date form
+  const authorDate = model.citations.filter(citation => !worksCited || citation.paragraphIndex < worksCited.heading.index);
+  report.checked('mla-citation-style', authorDate.map(citation => model.paragraphs[citation.paragraphIndex]));
+  authorDate.forEach(citation => {
+    report.fail('mla-citation-style', {
+      issue: 'Author-Date Citation',
+      details: `${citation.text} cites a year; MLA citations give the author and page number`,
+      location: describeParagraphs([model.paragraphs[citation.paragraphIndex]]),
+      targets: [{ paragraph: citation.paragraphIndex, start: citation.start, end: citation.end }],
+      fix: 'Write the author\'s surname and the page, e.g. (Morrison 23)'
+    });
+  });
+}
+
+// First page: name, instructor, course and date, flush left on their own lines, then the title
+function validateHeaderBlock(header, title, report) {
+  const findingsBefore = report.findingCount();
+  report.checked('mla-header-block', header);
+  const date = header[3];
+  const looksLikeDate = date && (MLA_DATE.test(date.text.trim()) || ANY_DATE.test(date.text.trim()));
+  if (header.length < 4 || !looksLikeDate || header.some(p => p.page > 0)) {
+    report.fail('mla-header-block', {
+      issue: 'Missing Header Block',
+      details: 'The first page should start with four lines: your name, the instructor, the course and the date',
+      location: 'First page',
+      targets: targetParagraphs(header.slice(0, 1)),
+      fix: 'Type your name, your instructor\'s name, the course and the date on separate lines at the top left'
+    });
+    return;
+  }
+
+  report.checked('mla-date-format', [date]);
+  if (title) report.checked('mla-title', [title]);
+
+  const notFlushLeft = header.filter(p => p.isCentered || p.alignment === 'right' || p.indent > 0 || p.leftIndent > 0);
+  if (notFlushLeft.length > 0) {
+    report.fail('mla-header-block', {
+      issue: 'Header Block Alignment',
+      details: 'The name, instructor, course and date lines should be flush left',
+      location: describeParagraphs(notFlushLeft),
+      targets: targetParagraphs(notFlushLeft),
+      fix: 'Align the four header lines left with no indentation'
+    });
+  }
+
+  if (!MLA_DATE.test(date.text.trim())) {
+    report.fail('mla-date-format', {
+      issue: 'Date Format',
+      details: `"${date.text.trim()}" should be written day month year`,
+      location: describeParagraphs([date]),
+      targets: targetParagraphs([date]),
+      fix: 'Write the date as 15 October 2024'
+    });
+  }
+
+  const problems = [];
+  if (title && !title.isCentered) problems.push('centered');
+  if (title && (title.isBold || title.isItalic)) problems.push('in plain type');
+  if (title && !isTitleCase(title.text.trim())) problems.push('in title case');
+  if (problems.length > 0) {
+    report.fail('mla-title', {
+      issue: 'Title Format',
+      details: `"${title.text.trim().substring(0, 40)}" should be ${problems.join(', ')}`,
+      location: describeParagraphs([title]),
+      targets: targetParagraphs([title]),
+      fix: 'Center the title below the date, in title case without bold, italics or underlining'
+    });
+  }
+
+  if (report.findingCount() === findingsBefore) {
+    report.pass('mla-header-block', {
+      issue: 'Header Block',
+      details: 'Name, instructor, course and date appear flush left above the title'
+    });
+  }
+}
+
+// Every page header reads "Surname 1", flush right; validatePageNumbers checks the number itself
+function validateRunningHead(model, nameLine, report) {
+  const headers = model.sections.map(section => section.headers.default).filter(Boolean);
+  if (headers.length === 0 || !nameLine) return;
+
+  const surname = nameLine.text.trim().split(/\s+/).pop();
+  const missing = headers.filter(header => !header.text.includes(surname));
+  if (missing.length > 0) {
+    report.fail('mla-running-head', {
+      issue: 'Running Head Surname',
+      details: `The page header should show "${surname}" before the page number (found "${missing[0].text || 'no text'}")`,
+      location: 'Header',
+      fix: `Type ${surname} and a space before the page number in the header`
+    });
+  } else {
+    report.pass('mla-running-head', {
+      issue: 'Running Head',
+      details: `The header shows ${surname} and the page number`
+    });
+  }
+}
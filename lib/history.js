@@ -0,0 +1,101 @@
+import { RULE_SET_VERSION } from './guides/index.js';
+
+// Past validation runs, kept in the browser's IndexedDB so they survive a reload and
+// never leave the device. A run is stored under its file name, the SHA-256 of the file
+// and the time of the check:
+//
+//   { name, hash, checkedAt, guide, ruleSetVersion, score, results }
+//
+// `hash` is '' where Web Crypto was unavailable. Runs are exported and imported as
+// { "version": 1, "runs": [...] }.
+
+const DB_NAME = 'validator-history';
+const STORE = 'runs';
+const EXPORT_VERSION = 1;
+
+let database = null;
+
+function openHistory() {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      const opening = indexedDB.open(DB_NAME, 1);
+      opening.onupgradeneeded = () => {
+        opening.result.createObjectStore(STORE, { keyPath: ['name', 'hash', 'checkedAt'] });
+      };
+      opening.onsuccess = () => resolve(opening.result);
+      opening.onerror = () => reject(opening.error);
+    });
+    // A failed open (private browsing, storage turned off) is retried on the next call
+    database.catch(() => { database = null; });
+  }
+  return database;
+}
+
+async function withStore(mode, action) {
+  const db = await openHistory();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE, mode);
+    const request = action(transaction.objectStore(STORE));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// `file` is the {name, hash, checkedAt} the report is made from
+export function saveRun(file, results) {
+  return withStore('readwrite', store => store.put({
+    name: file.name,
+    hash: file.hash || '',
+    checkedAt: file.checkedAt,
+    guide: results.guide.id,
+    ruleSetVersion: RULE_SET_VERSION,
+    score: results.score,
+    results
+  }));
+}
+
+// Every run, newest first
+export async function listRuns() {
+  const runs = await withStore('readonly', store => store.getAll());
+  return runs.sort((a, b) => b.checkedAt.localeCompare(a.checkedAt));
+}
+
+export function clearHistory() {
+  return withStore('readwrite', store => store.clear());
+}
+
+export async function exportHistory() {
+  return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), runs: await listRuns() }, null, 2);
+}
+
+// Adds the runs of an exported history; a run that is already saved is replaced.
+// Returns the number of runs imported and throws an Error when the JSON is not a history.
+export async function importHistory(json) {
+  const data = JSON.parse(json);
+  if (data?.version !== EXPORT_VERSION || !Array.isArray(data.runs)) {
+    throw new Error('Not an exported validation history');
+  }
+  const invalid = data.runs.findIndex(run => !isValidRun(run));
+  if (invalid !== -1) {
+    throw new Error(`Run ${invalid + 1} of the history is incomplete`);
+  }
+
+  await withStore('readwrite', store => {
+    data.runs.forEach(run => store.put(run));
+  });
+  return data.runs.length;
+}
+
+// The history panel shows the stored score, guide and date without looking at the
+// results, so they are checked against the results rather than taken on trust
+function isValidRun(run) {
+  const results = run?.results;
+  const categories = results?.categories;
+  return typeof run?.name === 'string' && typeof run.hash === 'string' &&
+    typeof run.checkedAt === 'string' && !Number.isNaN(Date.parse(run.checkedAt)) &&
+    typeof run.ruleSetVersion === 'string' &&
+    Number.isFinite(results?.score) && run.score === results.score &&
+    typeof results.guide?.id === 'string' && run.guide === results.guide.id &&
+    ['errors', 'warnings', 'passed'].every(category => Array.isArray(categories?.[category]));
+}
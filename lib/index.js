@@ -0,0 +1,17 @@
+// Public entry point of the validation engine, shared by the web page and the CLI
+export { analyzeDocx } from './analyze.js';
+export { annotateDocx } from './annotate.js';
+export { diffResults } from './diff.js';
+export { resolveRules } from './engine.js';
+export { applyFixes, planFixes } from './fix.js';
+export { DocumentError, ProfileError } from './errors.js';
+export { DOCUMENT_EXTENSIONS } from './formats.js';
+export { DEFAULT_GUIDE, GUIDES, RULE_SET_VERSION } from './guides/index.js';
+export { clearHistory, exportHistory, importHistory, listRuns, saveRun } from './history.js';
+export { inspectDocument } from './inspect.js';
+export { parseDocumentModel } from './model.js';
+export { issueKey, renderPreview } from './preview.js';
+export { hashFile, renderReport } from './report.js';
+export { twipsToInches } from './rules/describe.js';
+export { validateDocument } from './validate.js';
+export { useDOMParser } from './xml.js';
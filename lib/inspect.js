@@ -0,0 +1,76 @@
+import { resolveStyle } from './styles.js';
+import { serializeElement } from './xml.js';
+
+/**
+ * @typedef {Object} InspectedParagraph
+ * @property {number} index
+ * @property {string} text
+ * @property {number} page
+ * @property {?string} styleId
+ * @property {string[]} styles - The paragraph style and the styles it is based on, its own name first
+ * @property {number} headingLevel - 0 for body text
+ * @property {?string} headingSource
+ * @property {boolean} bold
+ * @property {boolean} italic
+ * @property {?string} alignment
+ * @property {?number} lineSpacing - Effective w:line value, from the document defaults where the paragraph has none
+ * @property {?string} lineRule
+ * @property {number} indent
+ * @property {number} leftIndent
+ * @property {{text: string, font: ?string, size: ?number, bold: boolean, italic: boolean}[]} runs
+ * @property {string} xml - The w:p element, indented
+ * @property {{rule: string, result: string, issues: string[]}[]} rules - Every rule that checked
+ *   the paragraph, with result 'passed', 'error' or 'warning' and the issues it reported there
+ */
+
+// What the validator saw in each paragraph of `model` and what each rule made of it, for
+// the debug inspector. `results` comes from validateDocument on the same model; a rule
+// that reported a paragraph it did not list as checked, such as a section's margins on
+// the section's first paragraph, is included as well.
+export function inspectDocument(model, results) {
+  const outcomes = model.paragraphs.map(() => new Map());
+  Object.entries(results.debug.checked).forEach(([rule, indexes]) => {
+    indexes.forEach(index => outcomes[index]?.set(rule, { rule, result: 'passed', issues: [] }));
+  });
+  [['errors', 'error'], ['warnings', 'warning']].forEach(([category, result]) => {
+    results.categories[category].forEach(item => {
+      new Set(item.targets?.map(target => target.paragraph)).forEach(index => {
+        const outcome = outcomes[index];
+        if (!outcome) return;
+        if (outcome.get(item.rule)?.result !== result) outcome.set(item.rule, { rule: item.rule, result, issues: [] });
+        outcome.get(item.rule).issues.push(item.details);
+      });
+    });
+  });
+
+  return model.paragraphs.map(p => ({
+    index: p.index,
+    text: p.text,
+    page: p.page,
+    styleId: p.styleId,
+    styles: resolveStyle(model.styles, p.styleId || model.styles.defaultParagraphStyle).names,
+    headingLevel: p.isHeading ? p.headingLevel : 0,
+    headingSource: p.headingSource,
+    bold: p.isBold,
+    italic: p.isItalic,
+    alignment: p.alignment,
+    lineSpacing: p.lineSpacing ?? model.spacing.line,
+    lineRule: p.lineRule ?? model.spacing.lineRule,
+    indent: p.indent,
+    leftIndent: p.leftIndent,
+    runs: p.runs.map(({ text, font, size, bold, italic }) => ({ text, font, size, bold, italic })),
+    xml: formatXml(serializeElement(p.element)),
+    rules: Array.from(outcomes[p.index].values())
+  }));
+}
+
+// One tag per line, indented by depth; text stays on the line of its w:t
+function formatXml(xml) {
+  let depth = 0;
+  return xml.replace(/></g, '>\n<').split('\n').map(line => {
+    if (line.startsWith('</')) depth--;
+    const indented = '  '.repeat(Math.max(depth, 0)) + line;
+    if (/^<[^/?!]/.test(line) && !line.endsWith('/>') && !line.includes('</')) depth++;
+    return indented;
+  }).join('\n');
+}
@@ -0,0 +1,637 @@
+import { findCitations } from './citations.js';
+import { DocumentError } from './errors.js';
+import { isVisibleBorder, parseStyleSheet, readBorders, readParagraphProperties, readRunProperties, resolveStyle } from './styles.js';
+import { childElements, firstChild, getAttr, isToggleSet, parseRelationships, parseXml, resolvePartPath, twipsAttr } from './xml.js';
+
+/**
+ * @typedef {Object} Run
+ * @property {string} text
+ * @property {number} start - Offset of the run within its paragraph's text
+ * @property {number} end
+ * @property {boolean} bold
+ * @property {boolean} italic
+ * @property {?string} font
+ * @property {?number} size - Point size
+ * @property {boolean} inField - Part of a field result, such as a page number
+ */
+
+/**
+ * @typedef {Object} Paragraph
+ * @property {number} index - Position among all paragraphs of the document body, from 0
+ * @property {string} text
+ * @property {number} start - Offset of the paragraph within DocumentModel.text
+ * @property {number} end
+ * @property {?string} styleId
+ * @property {?string} alignment
+ * @property {boolean} isHeading
+ * @property {number} headingLevel - 1 to 5 for APA levels; levels 4 and 5 run into the paragraph
+ * @property {?string} headingText - The heading alone, without the text of an inline heading's paragraph
+ * @property {?string} headingSource - "style" when set by a heading style, "formatting" when inferred
+ * @property {boolean} isBold
+ * @property {boolean} isItalic
+ * @property {boolean} isCentered
+ * @property {number} indent - First-line indent in twips, negative when hanging
+ * @property {number} leftIndent - Left indent in twips
+ * @property {?number} lineSpacing - w:line value; 480 is double spacing
+ * @property {?string} lineRule
+ * @property {string[]} fonts
+ * @property {number[]} fontSizes
+ * @property {Run[]} runs
+ * @property {number} sectionIndex
+ * @property {number} page - Page the paragraph starts on, from 0, counting explicit and section breaks
+ * @property {?number} tableIndex - Table the paragraph sits in, or null for body text
+ * @property {string[]} footnoteIds
+ * @property {string[]} endnoteIds
+ * @property {number} drawings - Pictures, charts and other drawing objects anchored in the paragraph
+ */
+
+/**
+ * @typedef {Object} Section
+ * @property {number} index
+ * @property {{top: number, bottom: number, left: number, right: number}} margins - In twips
+ * @property {{type: string, id: string}[]} headerReferences
+ * @property {{type: string, id: string}[]} footerReferences
+ * @property {boolean} titlePage - Has a different first-page header
+ * @property {Object<string, HeaderPart>} headers - Effective default, first and even headers,
+ *   inherited from the previous section where this one has no reference of that type
+ * @property {Object<string, HeaderPart>} footers
+ * @property {string} breakType - How the section starts: nextPage, continuous, evenPage, oddPage
+ */
+
+/**
+ * @typedef {Object} Table
+ * @property {number} index
+ * @property {Paragraph[][][]} rows - Rows of cells of paragraphs
+ * @property {?string} styleId
+ * @property {Object<string, string>} borders - Border w:val by side (top, left, insideV, ...),
+ *   from the table style chain overridden by the table's own w:tblBorders
+ * @property {boolean} hasVerticalCellBorders - Some cell draws its own left or right border
+ * @property {?number} firstParagraphIndex
+ * @property {?number} lastParagraphIndex
+ */
+
+/**
+ * @typedef {Object} Field
+ * @property {string} instruction - Field code, e.g. "PAGE \* MERGEFORMAT"
+ * @property {string} result - Text Word last rendered for the field
+ * @property {?number} paragraphIndex
+ * @property {number} start - Offset within the paragraph where the field result begins
+ */
+
+/**
+ * @typedef {Object} Footnote
+ * @property {string} id
+ * @property {string} text
+ * @property {Paragraph[]} paragraphs
+ * @property {?number} paragraphIndex - Body paragraph holding the note reference, or null
+ *   for a note nothing refers to
+ */
+
+/**
+ * @typedef {Object} HeaderPart
+ * @property {string} part - Path inside the archive, e.g. "word/header1.xml"
+ * @property {string} kind - "header" or "footer"
+ * @property {string} relationshipId
+ * @property {string} text
+ * @property {Paragraph[]} paragraphs
+ * @property {Field[]} fields
+ */
+
+/**
+ * @typedef {Object} Citation
+ * @property {number} paragraphIndex
+ * @property {number} start - Offset of the citation within its paragraph's text
+ * @property {number} end
+ * @property {string} text
+ * @property {string[]} authors - Surnames or group names as written
+ * @property {boolean} etAl
+ * @property {string} year - Four digits with an optional letter, or "n.d."
+ * @property {boolean} narrative - "Smith (2020)" rather than "(Smith, 2020)"
+ * @property {?string} connector - "&" or "and" between two authors
+ */
+
+/**
+ * @typedef {Object} DocumentModel
+ * @property {string} text - Paragraph texts joined by newlines
+ * @property {Section[]} sections
+ * @property {Paragraph[]} paragraphs - Every paragraph in document order, including table cells
+ * @property {Table[]} tables
+ * @property {Field[]} fields
+ * @property {Footnote[]} footnotes
+ * @property {Footnote[]} endnotes
+ * @property {HeaderPart[]} headers
+ * @property {HeaderPart[]} footers
+ * @property {{evenAndOddHeaders: boolean}} settings
+ * @property {number} pageCount
+ * @property {Object} styles
+ * @property {Set<string>} fonts
+ * @property {?number} fontSize
+ * @property {?string} defaultFont
+ * @property {{line: ?number, lineRule: ?string}} spacing
+ * @property {Object} margins
+ * @property {boolean} hasPageNumbers - A PAGE field in some header or footer in use
+ * @property {Citation[]} citations - In-text citations before the References heading
+ */
+
+// Parse the OOXML parts of a .docx into a DocumentModel
+export function parseDocumentModel({ documentXml, stylesXml, settingsXml, footnotesXml, endnotesXml, relsXml, parts = {} }) {
+  const documentDoc = parseXml(documentXml);
+  const body = firstChild(documentDoc?.documentElement, 'w:body');
+  if (!body) {
+    throw new DocumentError('MALFORMED_DOCX', 'word/document.xml has no document body, so it cannot be read');
+  }
+
+  const styles = parseStyleSheet(parseXml(stylesXml));
+  const context = createParseContext(styles);
+  parseBlocks(body, context, null);
+
+  const model = {
+    text: context.paragraphs.map(p => p.text).join('\n'),
+    sections: context.sections,
+    paragraphs: context.paragraphs,
+    tables: context.tables,
+    fields: context.fields,
+    footnotes: parseNotes(parseXml(footnotesXml), 'w:footnote', styles),
+    endnotes: parseNotes(parseXml(endnotesXml), 'w:endnote', styles),
+    headers: [],
+    footers: [],
+    settings: {
+      evenAndOddHeaders: isToggleSet(parseXml(settingsXml)?.documentElement, 'w:evenAndOddHeaders')
+    },
+    pageCount: 1,
+    styles,
+    fonts: new Set(),
+    fontSize: null,
+    defaultFont: null,
+    spacing: {},
+    margins: {},
+    hasPageNumbers: false,
+    citations: []
+  };
+
+  // Formatting of the default paragraph style, for paragraphs that set nothing
+  const baseStyle = resolveStyle(styles, styles.defaultParagraphStyle);
+  const baseParagraph = { ...styles.defaults.paragraph, ...baseStyle.paragraph };
+  const baseRun = { ...styles.defaults.run, ...baseStyle.run };
+  model.spacing = { line: baseParagraph.line ?? null, lineRule: baseParagraph.lineRule ?? null };
+  model.fontSize = baseRun.size ?? null;
+  model.defaultFont = baseRun.font ?? null;
+
+  if (model.sections.length > 0) {
+    model.margins = model.sections[model.sections.length - 1].margins;
+  }
+
+  // Explicit breaks were counted while parsing; sections that start on a new page add one more
+  let sectionBreaks = 0;
+  model.paragraphs.forEach((paragraph, i) => {
+    const previous = model.paragraphs[i - 1];
+    if (previous && paragraph.sectionIndex !== previous.sectionIndex &&
+        model.sections[paragraph.sectionIndex]?.breakType !== 'continuous') {
+      sectionBreaks++;
+    }
+    paragraph.page += sectionBreaks;
+  });
+  model.pageCount = model.paragraphs.length > 0 ? model.paragraphs[model.paragraphs.length - 1].page + 1 : 1;
+
+  // Headers and footers, reached through w:headerReference / w:footerReference relationship ids
+  const partsById = {};
+  for (const [id, relationship] of Object.entries(parseRelationships(relsXml))) {
+    const xml = parts[resolvePartPath(relationship.target)];
+    if ((relationship.type === 'header' || relationship.type === 'footer') && xml) {
+      partsById[id] = parseHeaderPart(resolvePartPath(relationship.target), xml, styles, relationship.type, id);
+      model[`${relationship.type}s`].push(partsById[id]);
+    }
+  }
+
+  const inherited = { headers: {}, footers: {} };
+  model.sections.forEach(section => {
+    for (const [kind, references] of [['headers', section.headerReferences], ['footers', section.footerReferences]]) {
+      section[kind] = { ...inherited[kind] };
+      references.forEach(reference => {
+        if (partsById[reference.id]) section[kind][reference.type] = partsById[reference.id];
+      });
+      inherited[kind] = section[kind];
+    }
+  });
+
+  model.hasPageNumbers = [...model.headers, ...model.footers].some(part =>
+    part.fields.some(isPageField)
+  );
+
+  model.paragraphs.forEach(paragraph => {
+    paragraph.fonts.forEach(font => model.fonts.add(font));
+  });
+
+  // Where each note is referenced from
+  model.paragraphs.forEach(paragraph => {
+    for (const [notes, ids] of [[model.footnotes, paragraph.footnoteIds], [model.endnotes, paragraph.endnoteIds]]) {
+      notes.filter(note => ids.includes(note.id)).forEach(note => {
+        note.paragraphIndex = paragraph.index;
+      });
+    }
+  });
+
+  model.paragraphs.filter(p => p.tableIndex === null && !p.isHeading).forEach(inferHeading);
+
+  // Citations stop at the reference list, whose entries look like narrative citations
+  const referencesHeading = model.paragraphs.find(p => p.isHeading && p.text.trim() === 'References');
+  model.paragraphs
+    .filter(paragraph => !referencesHeading || paragraph.index < referencesHeading.index)
+    .forEach(paragraph => model.citations.push(...findCitations(paragraph)));
+
+  return model;
+}
+
+function createParseContext(styles) {
+  return {
+    styles,
+    paragraphs: [],
+    sections: [],
+    tables: [],
+    fields: [],
+    openFields: [],
+    simpleFields: 0,
+    page: 0,
+    offset: 0
+  };
+}
+
+// Walk block-level content: paragraphs, tables, content controls and section breaks
+function parseBlocks(container, context, table) {
+  for (const child of childElements(container)) {
+    if (child.nodeName === 'w:p') {
+      const paragraph = parseParagraph(child, context);
+      paragraph.tableIndex = table ? table.index : null;
+
+      const sectPr = firstChild(firstChild(child, 'w:pPr'), 'w:sectPr');
+      if (sectPr) context.sections.push(parseSection(sectPr, context.sections.length));
+    } else if (child.nodeName === 'w:tbl') {
+      parseTable(child, context);
+    } else if (child.nodeName === 'w:sdt') {
+      parseBlocks(firstChild(child, 'w:sdtContent'), context, table);
+    } else if (child.nodeName === 'w:sectPr') {
+      context.sections.push(parseSection(child, context.sections.length));
+    }
+  }
+}
+
+function parseTable(element, context) {
+  const tblPr = firstChild(element, 'w:tblPr');
+  const styleId = getAttr(firstChild(tblPr, 'w:tblStyle'), 'w:val');
+  const table = {
+    index: context.tables.length,
+    rows: [],
+    styleId,
+    borders: { ...resolveStyle(context.styles, styleId).table, ...readBorders(firstChild(tblPr, 'w:tblBorders')) },
+    hasVerticalCellBorders: false,
+    firstParagraphIndex: null,
+    lastParagraphIndex: null
+  };
+  context.tables.push(table);
+
+  const first = context.paragraphs.length;
+  for (const row of childElements(element, 'w:tr')) {
+    const cells = childElements(row, 'w:tc').map(cell => {
+      const cellBorders = readBorders(firstChild(firstChild(cell, 'w:tcPr'), 'w:tcBorders'));
+      if (isVisibleBorder(cellBorders.left) || isVisibleBorder(cellBorders.right)) {
+        table.hasVerticalCellBorders = true;
+      }
+
+      const cellFirst = context.paragraphs.length;
+      parseBlocks(cell, context, table);
+      return context.paragraphs.slice(cellFirst).filter(p => p.tableIndex === table.index);
+    });
+    table.rows.push(cells);
+  }
+
+  if (context.paragraphs.length > first) {
+    table.firstParagraphIndex = first;
+    table.lastParagraphIndex = context.paragraphs.length - 1;
+  }
+
+  Object.defineProperty(table, 'element', { value: element });
+  return table;
+}
+
+function parseSection(sectPr, index) {
+  const pgMar = firstChild(sectPr, 'w:pgMar');
+  const references = (name) => childElements(sectPr, name).map(reference => ({
+    type: getAttr(reference, 'w:type') || 'default',
+    id: getAttr(reference, 'r:id')
+  }));
+
+  const section = {
+    index,
+    margins: {
+      top: twipsAttr(pgMar, 'w:top'),
+      bottom: twipsAttr(pgMar, 'w:bottom'),
+      left: twipsAttr(pgMar, 'w:left') ?? twipsAttr(pgMar, 'w:start'),
+      right: twipsAttr(pgMar, 'w:right') ?? twipsAttr(pgMar, 'w:end')
+    },
+    headerReferences: references('w:headerReference'),
+    footerReferences: references('w:footerReference'),
+    titlePage: isToggleSet(sectPr, 'w:titlePg'),
+    breakType: getAttr(firstChild(sectPr, 'w:type'), 'w:val') || 'nextPage'
+  };
+  Object.defineProperty(section, 'element', { value: sectPr });
+  return section;
+}
+
+function parseParagraph(element, context) {
+  const { styles } = context;
+  const paragraph = {
+    index: context.paragraphs.length,
+    text: '',
+    start: context.offset,
+    end: context.offset,
+    styleId: null,
+    alignment: null,
+    isHeading: false,
+    headingLevel: 0,
+    headingText: null,
+    headingSource: null,
+    isBold: false,
+    isItalic: false,
+    isCentered: false,
+    indent: 0,
+    leftIndent: 0,
+    lineSpacing: null,
+    lineRule: null,
+    fonts: [],
+    fontSizes: [],
+    runs: [],
+    sectionIndex: context.sections.length,
+    page: context.page,
+    tableIndex: null,
+    footnoteIds: [],
+    endnoteIds: [],
+    drawings: 0
+  };
+  context.paragraphs.push(paragraph);
+  Object.defineProperty(paragraph, 'element', { value: element });
+
+  // Effective paragraph properties: docDefaults, style chain, direct formatting
+  const pPr = firstChild(element, 'w:pPr');
+  paragraph.styleId = getAttr(firstChild(pPr, 'w:pStyle'), 'w:val');
+  const paragraphStyle = resolveStyle(styles, paragraph.styleId || styles.defaultParagraphStyle);
+  const paragraphProps = {
+    ...styles.defaults.paragraph,
+    ...paragraphStyle.paragraph,
+    ...readParagraphProperties(pPr)
+  };
+
+  if (paragraphProps.pageBreakBefore && context.paragraphs.length > 1) {
+    paragraph.page = ++context.page;
+  }
+
+  paragraph.alignment = paragraphProps.alignment ?? null;
+  paragraph.isCentered = paragraphProps.alignment === 'center';
+  paragraph.indent = paragraphProps.firstLine ?? 0;
+  paragraph.leftIndent = paragraphProps.left ?? 0;
+  paragraph.lineSpacing = paragraphProps.line ?? null;
+  paragraph.lineRule = paragraphProps.lineRule ?? null;
+
+  // Headings come from the style's outline level or its built-in name
+  const headingName = paragraphStyle.names.find(name => /^heading \d$/i.test(name));
+  if (paragraphProps.outlineLevel !== undefined && paragraphProps.outlineLevel < 9) {
+    paragraph.isHeading = true;
+    paragraph.headingLevel = paragraphProps.outlineLevel + 1;
+    paragraph.headingSource = 'style';
+  } else if (headingName) {
+    paragraph.isHeading = true;
+    paragraph.headingLevel = parseInt(headingName.match(/\d/)[0]);
+    paragraph.headingSource = 'style';
+  }
+
+  parseInline(element, paragraph, paragraphStyle, context);
+
+  // A paragraph is bold or italic only when all of its visible text is
+  const visibleRuns = paragraph.runs.filter(run => run.text.trim());
+  paragraph.isBold = visibleRuns.length > 0 && visibleRuns.every(run => run.bold);
+  paragraph.isItalic = visibleRuns.length > 0 && visibleRuns.every(run => run.italic);
+
+  visibleRuns.forEach(run => {
+    if (run.font && !paragraph.fonts.includes(run.font)) paragraph.fonts.push(run.font);
+    if (run.size && !paragraph.fontSizes.includes(run.size)) paragraph.fontSizes.push(run.size);
+  });
+
+  if (paragraph.isHeading) paragraph.headingText = paragraph.text.trim();
+
+  paragraph.end = paragraph.start + paragraph.text.length;
+  context.offset = paragraph.end + 1;
+  return paragraph;
+}
+
+// Section labels are formatted like Level 1 headings but sit outside the heading hierarchy
+const SECTION_LABELS = ['Abstract', 'References', 'Author Note'];
+const COMMON_LEVEL_ONE = ['Introduction', 'Method', 'Methods', 'Results', 'Discussion', 'Conclusion'];
+
+export function isSectionLabel(text) {
+  return SECTION_LABELS.includes(text) || /^Appendix(?: [A-Z])?$/.test(text);
+}
+
+// Headings typed as plain paragraphs, recognized by APA's own formatting for each level
+function inferHeading(paragraph) {
+  const text = paragraph.text.trim();
+  const visibleRuns = paragraph.runs.filter(run => run.text.trim());
+  if (!text || visibleRuns.length === 0) return;
+
+  const mark = (level, headingText) => {
+    paragraph.isHeading = true;
+    paragraph.headingLevel = level;
+    paragraph.headingText = headingText;
+    paragraph.headingSource = 'formatting';
+  };
+
+  // Section labels and the usual Level 1 names count even when left unformatted
+  if (isSectionLabel(text) || COMMON_LEVEL_ONE.includes(text)) {
+    mark(1, text);
+    return;
+  }
+
+  // Table and figure numbers are bold too, but are labels rather than headings
+  if (/^(Table|Figure)\s+\d+/.test(text)) return;
+
+  // Levels 1-3 stand alone: short, bold, no closing punctuation
+  const short = text.split(/\s+/).length <= 15 && !/[.?!:,;]$/.test(text);
+  if (short && paragraph.isBold) {
+    if (paragraph.isCentered) mark(1, text);
+    else mark(paragraph.isItalic ? 3 : 2, text);
+    return;
+  }
+
+  // Levels 4-5 are indented, bold and end with a period, with the paragraph text running on
+  if (paragraph.indent <= 0 || !visibleRuns[0].bold) return;
+  const leading = [];
+  for (const run of paragraph.runs) {
+    if (run.text.trim() && !run.bold) break;
+    leading.push(run);
+  }
+  const headingText = leading.map(run => run.text).join('').trim();
+  const rest = paragraph.text.slice(leading[leading.length - 1].end).trim();
+  if (/[.?!]$/.test(headingText) && rest && headingText.split(/\s+/).length <= 15) {
+    mark(leading.filter(run => run.text.trim()).every(run => run.italic) ? 5 : 4, headingText);
+  }
+}
+
+// Inline containers whose runs belong to the surrounding paragraph
+const INLINE_CONTAINERS = ['w:hyperlink', 'w:ins', 'w:moveTo', 'w:smartTag', 'w:customXml', 'w:sdt', 'w:sdtContent', 'w:dir', 'w:bdo'];
+
+function parseInline(container, paragraph, paragraphStyle, context) {
+  for (const child of childElements(container)) {
+    if (child.nodeName === 'w:r') {
+      parseRun(child, paragraph, paragraphStyle, context);
+    } else if (child.nodeName === 'w:fldSimple') {
+      const field = {
+        instruction: (getAttr(child, 'w:instr') || '').trim(),
+        result: '',
+        paragraphIndex: paragraph.index,
+        start: paragraph.text.length
+      };
+      const resultStart = paragraph.text.length;
+      context.simpleFields++;
+      parseInline(child, paragraph, paragraphStyle, context);
+      context.simpleFields--;
+      field.result = paragraph.text.slice(resultStart);
+      context.fields.push(field);
+    } else if (INLINE_CONTAINERS.includes(child.nodeName)) {
+      parseInline(child, paragraph, paragraphStyle, context);
+    }
+  }
+}
+
+function parseRun(element, paragraph, paragraphStyle, context) {
+  const { styles, openFields } = context;
+  const rPr = firstChild(element, 'w:rPr');
+  const characterStyle = resolveStyle(styles, getAttr(firstChild(rPr, 'w:rStyle'), 'w:val'));
+  const runProps = {
+    ...styles.defaults.run,
+    ...paragraphStyle.run,
+    ...characterStyle.run,
+    ...readRunProperties(rPr)
+  };
+
+  let text = '';
+  for (const child of childElements(element)) {
+    const field = openFields[openFields.length - 1];
+    switch (child.nodeName) {
+      case 'w:t':
+        text += child.textContent;
+        break;
+      case 'w:tab':
+        text += '\t';
+        break;
+      case 'w:br':
+      case 'w:cr':
+        if (getAttr(child, 'w:type') !== 'page') {
+          text += '\n';
+        } else if (paragraph.text || text) {
+          context.page++;
+        } else {
+          // A break before any text moves the paragraph itself to the next page
+          paragraph.page = ++context.page;
+        }
+        break;
+      case 'w:noBreakHyphen':
+        text += '-';
+        break;
+      case 'w:footnoteReference':
+        paragraph.footnoteIds.push(getAttr(child, 'w:id'));
+        break;
+      case 'w:endnoteReference':
+        paragraph.endnoteIds.push(getAttr(child, 'w:id'));
+        break;
+      case 'w:drawing':
+      case 'w:pict':
+      case 'w:object':
+        paragraph.drawings++;
+        break;
+      // Complex fields: begin, instruction text, separate, result runs, end
+      case 'w:fldChar': {
+        const type = getAttr(child, 'w:fldCharType');
+        if (type === 'begin') {
+          openFields.push({
+            instruction: '',
+            result: '',
+            paragraphIndex: paragraph.index,
+            start: paragraph.text.length + text.length,
+            inResult: false
+          });
+        } else if (type === 'separate' && field) {
+          field.inResult = true;
+        } else if (type === 'end' && field) {
+          openFields.pop();
+          context.fields.push({
+            instruction: field.instruction.trim(),
+            result: field.result,
+            paragraphIndex: field.paragraphIndex,
+            start: field.start
+          });
+        }
+        break;
+      }
+      case 'w:instrText':
+        if (field) field.instruction += child.textContent;
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!text) return;
+  openFields.filter(field => field.inResult).forEach(field => {
+    field.result += text;
+  });
+
+  const run = {
+    text,
+    start: paragraph.text.length,
+    end: paragraph.text.length + text.length,
+    bold: Boolean(runProps.bold),
+    italic: Boolean(runProps.italic),
+    font: runProps.font ?? null,
+    size: runProps.size ?? null,
+    inField: context.simpleFields > 0 || openFields.some(field => field.inResult)
+  };
+  Object.defineProperty(run, 'element', { value: element });
+  paragraph.runs.push(run);
+  paragraph.text += text;
+}
+
+function parseHeaderPart(part, xml, styles, kind, relationshipId) {
+  const context = createParseContext(styles);
+  const root = parseXml(xml)?.documentElement;
+  parseBlocks(root, context, null);
+  const header = {
+    part,
+    kind,
+    relationshipId,
+    text: context.paragraphs.map(p => p.text).join('\n').trim(),
+    paragraphs: context.paragraphs,
+    fields: context.fields
+  };
+  Object.defineProperty(header, 'element', { value: root });
+  return header;
+}
+
+// Footnotes and endnotes, skipping the separator entries Word always writes
+function parseNotes(notesDoc, noteName, styles) {
+  if (!notesDoc) return [];
+
+  return childElements(notesDoc.documentElement, noteName)
+    .filter(note => !['separator', 'continuationSeparator', 'continuationNotice'].includes(getAttr(note, 'w:type')))
+    .map(note => {
+      const context = createParseContext(styles);
+      parseBlocks(note, context, null);
+      return {
+        id: getAttr(note, 'w:id'),
+        text: context.paragraphs.map(p => p.text).join('\n').trim(),
+        paragraphs: context.paragraphs,
+        paragraphIndex: null
+      };
+    });
+}
+
+export function isPageField(field) {
+  return /^PAGE\b/.test(field.instruction);
+}
@@ -0,0 +1,665 @@
+import { DocumentError } from './errors.js';
+import { addRelationship, CONTENT_TYPES, parseRelationshipsPart, registerContentType } from './package.js';
+import {
+  childElements, createWordElement, firstChild, getAttr, parseXml, RELATIONSHIPS_NS, serializeXml,
+  WORD_NS, XML_NS
+} from './xml.js';
+
+// OpenDocument text (.odt, as saved by LibreOffice and Google Docs) is converted into a
+// .docx package, so the document model, the rules, the preview and the annotated and
+// fixed copies work on it unchanged. What the checks read is carried over: paragraph and
+// character styles, page styles with their margins, headers and footers, tables, notes,
+// page number fields and where images are. Elements are matched on the usual ODF
+// prefixes (text:, style:, fo:, ...), the same way the Word parts are matched on w:.
+
+const TWIPS_PER_UNIT = { in: 1440, cm: 1440 / 2.54, mm: 144 / 2.54, pt: 20, pc: 240, px: 15 };
+
+const ALIGNMENTS = { start: 'left', left: 'left', end: 'right', right: 'right', center: 'center', justify: 'both' };
+
+// Block elements whose paragraphs belong to the surrounding text: lists, sections and
+// generated indexes. The *-source templates of the indexes are left out.
+const BLOCK_CONTAINERS = [
+  'text:list', 'text:list-item', 'text:list-header', 'text:numbered-paragraph', 'text:section', 'text:index-body',
+  'text:index-title', 'text:table-of-content', 'text:illustration-index', 'text:table-index', 'text:object-index',
+  'text:user-index', 'text:alphabetical-index', 'text:bibliography'
+];
+
+const TABLE_GROUPS = {
+  row: ['table:table-header-rows', 'table:table-rows', 'table:table-row-group'],
+  column: ['table:table-header-columns', 'table:table-columns', 'table:table-column-group']
+};
+
+const GRAPHICS = ['draw:image', 'draw:object', 'draw:object-ole'];
+
+// Convert an opened .odt archive into a new JSZip holding the equivalent .docx
+export async function convertOdt(odt, JSZip) {
+  const manifest = await odt.file('META-INF/manifest.xml')?.async('string');
+  if (manifest?.includes('encryption-data')) {
+    throw new DocumentError('UNSUPPORTED_FORMAT', 'This OpenDocument file is password-protected. Save a copy without a password and check that');
+  }
+  const contentRoot = parseXml(await odt.file('content.xml')?.async('string'))?.documentElement;
+  const text = firstChild(firstChild(contentRoot, 'office:body'), 'office:text');
+  if (!text) {
+    throw new DocumentError('MALFORMED_ODF', 'OpenDocument file has no text in content.xml, so it cannot be read');
+  }
+  const stylesRoot = parseXml(await odt.file('styles.xml')?.async('string'))?.documentElement;
+
+  const fonts = {
+    ...readFontFaces(firstChild(stylesRoot, 'office:font-face-decls')),
+    ...readFontFaces(firstChild(contentRoot, 'office:font-face-decls'))
+  };
+  const documentDoc = createPart('w:document');
+  const converter = {
+    docx: new JSZip(),
+    documentDoc,
+    body: appendElement(documentDoc.documentElement, 'w:body'),
+    relsDoc: parseRelationshipsPart(null),
+    contentTypes: { 'word/document.xml': CONTENT_TYPES.document },
+    // Common styles, then the automatic ones of content.xml and of the headers and footers
+    common: readStyles(firstChild(stylesRoot, 'office:styles'), fonts),
+    automatic: readStyles(firstChild(contentRoot, 'office:automatic-styles'), fonts),
+    pageAutomatic: readStyles(firstChild(stylesRoot, 'office:automatic-styles'), fonts),
+    pageLayouts: {},
+    masterPages: {},
+    masterPage: null,
+    headerParts: new Map(),
+    usedReferences: new Set(),
+    evenAndOddHeaders: false,
+    notes: {}
+  };
+
+  for (const element of childElements(firstChild(stylesRoot, 'office:automatic-styles'), 'style:page-layout')) {
+    converter.pageLayouts[getAttr(element, 'style:name')] = readPageLayout(element);
+  }
+  for (const element of childElements(firstChild(stylesRoot, 'office:master-styles'), 'style:master-page')) {
+    const master = readMasterPage(element);
+    converter.masterPages[master.name] = master;
+  }
+  // Text starts on the default page style unless its first paragraph names another
+  converter.masterPage = converter.masterPages.Standard ? 'Standard' : Object.keys(converter.masterPages)[0] || null;
+
+  convertBlocks(text, converter.body, { converter, styles: converter.automatic, body: true });
+  converter.body.appendChild(createSection(converter, converter.masterPage));
+
+  const { docx, relsDoc } = converter;
+  docx.file('word/document.xml', serializeXml(documentDoc));
+  writePart(converter, 'word/styles.xml', 'styles', createStylesPart(converter, stylesRoot, fonts));
+  const settingsDoc = createPart('w:settings');
+  if (converter.evenAndOddHeaders) appendElement(settingsDoc.documentElement, 'w:evenAndOddHeaders');
+  writePart(converter, 'word/settings.xml', 'settings', settingsDoc);
+  for (const [kind, notes] of Object.entries(converter.notes)) {
+    writePart(converter, `word/${kind}s.xml`, `${kind}s`, notes.doc);
+  }
+  docx.file('word/_rels/document.xml.rels', serializeXml(relsDoc));
+
+  const packageRels = parseRelationshipsPart(null);
+  addRelationship(packageRels, 'officeDocument', 'word/document.xml');
+  docx.file('_rels/.rels', serializeXml(packageRels));
+  docx.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/></Types>');
+  for (const [path, contentType] of Object.entries(converter.contentTypes)) {
+    await registerContentType(docx, path, contentType);
+  }
+  return docx;
+}
+
+function createPart(rootName) {
+  return parseXml(
+    `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><${rootName} xmlns:w="${WORD_NS}" xmlns:r="${RELATIONSHIPS_NS}"/>`
+  );
+}
+
+// Write a part the document links to, with its relationship and content type
+function writePart(converter, path, type, doc) {
+  converter.docx.file(path, serializeXml(doc));
+  converter.contentTypes[path] = CONTENT_TYPES[type];
+  return addRelationship(converter.relsDoc, type, path.replace('word/', ''));
+}
+
+function appendElement(parent, name, attributes) {
+  return parent.appendChild(createWordElement(parent.ownerDocument, name, attributes));
+}
+
+// Lengths such as "2.54cm" or "12pt" in twips; percentages and missing values are null
+function toTwips(length) {
+  const match = /^(-?[\d.]+)(in|cm|mm|pt|pc|px)$/.exec(length?.trim() || '');
+  return match ? Math.round(parseFloat(match[1]) * TWIPS_PER_UNIT[match[2]]) : null;
+}
+
+// Style names encode characters other than letters and digits as _xx_, so "Heading_20_1"
+// is "Heading 1" when the style has no display name
+function decodeStyleName(name) {
+  return name.replace(/_([0-9a-f]{2})_/gi, (match, code) => String.fromCharCode(parseInt(code, 16)));
+}
+
+// style:font-face name to its first font family
+function readFontFaces(declarations) {
+  const fonts = {};
+  for (const face of childElements(declarations, 'style:font-face')) {
+    const family = firstFontFamily(getAttr(face, 'svg:font-family'));
+    if (family) fonts[getAttr(face, 'style:name')] = family;
+  }
+  return fonts;
+}
+
+function firstFontFamily(families) {
+  return families?.split(',')[0].trim().replace(/^['"]|['"]$/g, '') || null;
+}
+
+function readStyles(container, fonts) {
+  const styles = {};
+  for (const element of childElements(container, 'style:style')) {
+    const name = getAttr(element, 'style:name');
+    if (!name) continue;
+    styles[name] = {
+      name,
+      family: getAttr(element, 'style:family'),
+      displayName: getAttr(element, 'style:display-name') || decodeStyleName(name),
+      parent: getAttr(element, 'style:parent-style-name'),
+      outlineLevel: parseInt(getAttr(element, 'style:default-outline-level')) || null,
+      masterPage: getAttr(element, 'style:master-page-name'),
+      paragraph: readParagraphProperties(firstChild(element, 'style:paragraph-properties')),
+      run: readTextProperties(firstChild(element, 'style:text-properties'), fonts),
+      borders: readCellBorders(firstChild(element, 'style:table-cell-properties')),
+      columnWidth: toTwips(getAttr(firstChild(element, 'style:table-column-properties'), 'style:column-width'))
+    };
+  }
+  return styles;
+}
+
+// Properties in the form the Word writers below take: twips, line in 240ths, 1-based outline level
+function readParagraphProperties(properties) {
+  const props = {};
+  if (!properties) return props;
+
+  const alignment = ALIGNMENTS[getAttr(properties, 'fo:text-align')];
+  if (alignment) props.alignment = alignment;
+
+  // A negative text indent under a left margin is a hanging indent
+  const firstLine = toTwips(getAttr(properties, 'fo:text-indent'));
+  if (firstLine !== null) props.firstLine = firstLine;
+  const left = toTwips(getAttr(properties, 'fo:margin-left') ?? getAttr(properties, 'fo:margin'));
+  if (left !== null) props.left = left;
+
+  const lineHeight = getAttr(properties, 'fo:line-height');
+  const atLeast = toTwips(getAttr(properties, 'style:line-height-at-least'));
+  if (lineHeight === 'normal') {
+    Object.assign(props, { line: 240, lineRule: 'auto' });
+  } else if (lineHeight?.endsWith('%')) {
+    Object.assign(props, { line: Math.round(parseFloat(lineHeight) * 2.4), lineRule: 'auto' });
+  } else if (toTwips(lineHeight) !== null) {
+    Object.assign(props, { line: toTwips(lineHeight), lineRule: 'exact' });
+  } else if (atLeast !== null) {
+    Object.assign(props, { line: atLeast, lineRule: 'atLeast' });
+  }
+
+  const breakBefore = getAttr(properties, 'fo:break-before');
+  if (breakBefore) props.pageBreakBefore = breakBefore === 'page';
+  if (getAttr(properties, 'fo:break-after') === 'page') props.pageBreakAfter = true;
+  return props;
+}
+
+// Font sizes are in half-points, as in w:sz; sizes given as a percentage are left out
+function readTextProperties(properties, fonts) {
+  const props = {};
+  if (!properties) return props;
+
+  const font = fonts[getAttr(properties, 'style:font-name')] || firstFontFamily(getAttr(properties, 'fo:font-family'));
+  if (font) props.font = font;
+
+  const weight = getAttr(properties, 'fo:font-weight');
+  if (weight) props.bold = weight === 'bold' || parseInt(weight) >= 600;
+  const style = getAttr(properties, 'fo:font-style');
+  if (style) props.italic = style !== 'normal';
+
+  const size = getAttr(properties, 'fo:font-size');
+  if (size?.endsWith('pt')) props.size = Math.round(parseFloat(size) * 2);
+
+  const position = getAttr(properties, 'style:text-position');
+  if (/^(super|[1-9])/.test(position || '')) props.vertAlign = 'superscript';
+  else if (/^(sub|-)/.test(position || '')) props.vertAlign = 'subscript';
+
+  if (getAttr(properties, 'text:display') === 'none') props.hidden = true;
+  return props;
+}
+
+// Cell border sides as the w:val of w:tcBorders
+function readCellBorders(properties) {
+  const borders = {};
+  for (const side of ['top', 'left', 'bottom', 'right']) {
+    const value = getAttr(properties, `fo:border-${side}`) ?? getAttr(properties, 'fo:border');
+    if (!value) continue;
+    if (/^(none|hidden)\b/.test(value.trim())) borders[side] = 'nil';
+    else borders[side] = /\bdouble\b/.test(value) ? 'double' : 'single';
+  }
+  return borders;
+}
+
+function readPageLayout(element) {
+  const properties = firstChild(element, 'style:page-layout-properties');
+  const margin = (side) => toTwips(getAttr(properties, `fo:margin-${side}`) ?? getAttr(properties, 'fo:margin'));
+  // The height of a header or footer area plus its spacing to the text
+  const area = (kind, spacing) => {
+    const properties = firstChild(firstChild(element, `style:${kind}-style`), 'style:header-footer-properties');
+    if (!properties) return 0;
+    const height = toTwips(getAttr(properties, 'fo:min-height')) ?? toTwips(getAttr(properties, 'svg:height')) ?? 0;
+    return height + (toTwips(getAttr(properties, spacing)) ?? 0);
+  };
+
+  return {
+    width: toTwips(getAttr(properties, 'fo:page-width')),
+    height: toTwips(getAttr(properties, 'fo:page-height')),
+    margins: { top: margin('top'), bottom: margin('bottom'), left: margin('left'), right: margin('right') },
+    header: area('header', 'fo:margin-bottom'),
+    footer: area('footer', 'fo:margin-top')
+  };
+}
+
+function readMasterPage(element) {
+  const part = (name) => {
+    const content = firstChild(element, `style:${name}`);
+    return content && getAttr(content, 'style:display') !== 'false' ? content : null;
+  };
+  return {
+    name: getAttr(element, 'style:name'),
+    layout: getAttr(element, 'style:page-layout-name'),
+    next: getAttr(element, 'style:next-style-name'),
+    header: part('header'),
+    headerLeft: part('header-left'),
+    headerFirst: part('header-first'),
+    footer: part('footer'),
+    footerLeft: part('footer-left'),
+    footerFirst: part('footer-first')
+  };
+}
+
+// Block content appended to `parent` (the body, a table cell, a note, a header or footer).
+// `context.styles` holds the automatic styles of the part, and `context.body` is set for
+// the main text, where page styles start new sections.
+function convertBlocks(container, parent, context) {
+  for (const child of childElements(container)) {
+    if (child.nodeName === 'text:p' || child.nodeName === 'text:h') {
+      convertParagraph(child, parent, context);
+    } else if (child.nodeName === 'table:table') {
+      convertTable(child, parent, context);
+    } else if (BLOCK_CONTAINERS.includes(child.nodeName)) {
+      convertBlocks(child, parent, context);
+    }
+  }
+}
+
+function convertParagraph(element, parent, context) {
+  const { converter } = context;
+  const styleName = getAttr(element, 'text:style-name');
+  const automatic = context.styles[styleName];
+  const styleId = automatic ? automatic.parent : styleName;
+  const props = { ...automatic?.paragraph };
+
+  // Switching page style is a section break, which starts a page of its own
+  if (context.body && startPage(converter, (automatic || converter.common[styleName])?.masterPage)) {
+    delete props.pageBreakBefore;
+  }
+  if (element.nodeName === 'text:h') {
+    props.outlineLevel = parseInt(getAttr(element, 'text:outline-level')) || 1;
+  }
+
+  const paragraph = appendElement(parent, 'w:p');
+  const pPr = createWordElement(paragraph.ownerDocument, 'w:pPr');
+  if (converter.common[styleId]) appendElement(pPr, 'w:pStyle', { 'w:val': styleId });
+  writeParagraphProperties(pPr, props);
+  if (pPr.firstChild) paragraph.appendChild(pPr);
+
+  // Text formatting of an automatic paragraph style is direct formatting of its runs
+  const state = { target: paragraph, runProps: automatic?.run || {}, runStyle: null, lastSpace: true };
+  convertInline(element, state, context);
+  if (props.pageBreakAfter) appendElement(appendElement(paragraph, 'w:r'), 'w:br', { 'w:type': 'page' });
+}
+
+// Inline content of a paragraph. Runs of spaces and line ends in the XML are one space, and
+// none at the start of the paragraph; text:s, text:tab and text:line-break are the literal ones.
+function convertInline(container, state, context) {
+  if (state.runProps.hidden) return;
+  const { converter } = context;
+
+  for (const node of Array.from(container.childNodes)) {
+    if (node.nodeType === 3) {
+      let text = node.nodeValue.replace(/[ \t\r\n]+/g, ' ');
+      if (state.lastSpace) text = text.replace(/^ /, '');
+      if (!text) continue;
+      appendText(state, text);
+      state.lastSpace = text.endsWith(' ');
+      continue;
+    }
+    if (node.nodeType !== 1) continue;
+
+    switch (node.nodeName) {
+      case 'text:s':
+        appendText(state, ' '.repeat(parseInt(getAttr(node, 'text:c')) || 1));
+        state.lastSpace = false;
+        break;
+      case 'text:tab':
+        appendElement(appendRun(state), 'w:tab');
+        state.lastSpace = false;
+        break;
+      case 'text:line-break':
+        appendElement(appendRun(state), 'w:br');
+        state.lastSpace = false;
+        break;
+      case 'text:span': {
+        const name = getAttr(node, 'text:style-name');
+        const automatic = context.styles[name];
+        const common = converter.common[automatic ? automatic.parent : name];
+        const outer = { runProps: state.runProps, runStyle: state.runStyle };
+        state.runProps = { ...state.runProps, ...automatic?.run };
+        if (common?.family === 'text') state.runStyle = common.name;
+        convertInline(node, state, context);
+        Object.assign(state, outer);
+        break;
+      }
+      case 'text:page-number':
+      case 'text:page-count': {
+        const instruction = node.nodeName === 'text:page-number' ? ' PAGE ' : ' NUMPAGES ';
+        const paragraph = state.target;
+        state.target = appendElement(paragraph, 'w:fldSimple', { 'w:instr': instruction });
+        appendText(state, node.textContent || '1');
+        state.target = paragraph;
+        state.lastSpace = false;
+        break;
+      }
+      case 'text:note':
+        convertNote(node, state, context);
+        break;
+      case 'draw:frame':
+        if (GRAPHICS.some(name => node.getElementsByTagName(name).length > 0)) {
+          appendElement(appendRun(state), 'w:pict');
+        }
+        break;
+      // Comments and hidden text are not part of the text
+      case 'office:annotation':
+      case 'text:hidden-text':
+      case 'text:hidden-paragraph':
+        break;
+      default:
+        // Links, fields and the like show their text; other drawing shapes have none of the paragraph's
+        if (!node.nodeName.startsWith('draw:')) convertInline(node, state, context);
+        break;
+    }
+  }
+}
+
+function appendRun(state) {
+  const run = appendElement(state.target, 'w:r');
+  const rPr = createWordElement(run.ownerDocument, 'w:rPr');
+  if (state.runStyle) appendElement(rPr, 'w:rStyle', { 'w:val': state.runStyle });
+  writeRunProperties(rPr, state.runProps);
+  if (rPr.firstChild) run.appendChild(rPr);
+  return run;
+}
+
+function appendText(state, text) {
+  const t = appendElement(appendRun(state), 'w:t');
+  t.setAttributeNS(XML_NS, 'xml:space', 'preserve');
+  t.appendChild(t.ownerDocument.createTextNode(text));
+}
+
+function convertNote(element, state, context) {
+  const kind = getAttr(element, 'text:note-class') === 'endnote' ? 'endnote' : 'footnote';
+  const notes = notesPart(context.converter, kind);
+  const id = String(notes.next++);
+
+  const note = appendElement(notes.doc.documentElement, `w:${kind}`, { 'w:id': id });
+  convertBlocks(firstChild(element, 'text:note-body'), note, { ...context, body: false });
+  if (!firstChild(note, 'w:p')) appendElement(note, 'w:p');
+
+  // Word starts the note text with its number
+  const first = firstChild(note);
+  if (first.nodeName === 'w:p') {
+    const mark = createWordElement(notes.doc, 'w:r');
+    writeRunProperties(appendElement(mark, 'w:rPr'), { vertAlign: 'superscript' });
+    appendElement(mark, `w:${kind}Ref`);
+    first.insertBefore(mark, firstChild(first, 'w:pPr')?.nextSibling || first.firstChild);
+  }
+
+  const reference = appendRun({ ...state, runProps: { ...state.runProps, vertAlign: 'superscript' } });
+  appendElement(reference, `w:${kind}Reference`, { 'w:id': id });
+  state.lastSpace = false;
+}
+
+// footnotes.xml or endnotes.xml, created with the separator notes Word expects at ids -1 and 0
+function notesPart(converter, kind) {
+  if (!converter.notes[kind]) {
+    const doc = createPart(`w:${kind}s`);
+    for (const [id, type] of [['-1', 'separator'], ['0', 'continuationSeparator']]) {
+      const note = appendElement(doc.documentElement, `w:${kind}`, { 'w:type': type, 'w:id': id });
+      appendElement(appendElement(appendElement(note, 'w:p'), 'w:r'), `w:${type}`);
+    }
+    converter.notes[kind] = { doc, next: 1 };
+  }
+  return converter.notes[kind];
+}
+
+function convertTable(element, parent, context) {
+  const { converter } = context;
+  const style = context.styles[getAttr(element, 'table:style-name')];
+  if (context.body) startPage(converter, style?.masterPage);
+
+  const table = appendElement(parent, 'w:tbl');
+  appendElement(appendElement(table, 'w:tblPr'), 'w:tblW', { 'w:w': '0', 'w:type': 'auto' });
+  const grid = appendElement(table, 'w:tblGrid');
+  for (const column of tableParts(element, 'column')) {
+    const width = context.styles[getAttr(column, 'table:style-name')]?.columnWidth;
+    const repeated = parseInt(getAttr(column, 'table:number-columns-repeated')) || 1;
+    for (let i = 0; i < repeated; i++) {
+      appendElement(grid, 'w:gridCol', width ? { 'w:w': String(width) } : {});
+    }
+  }
+
+  // Covered cells stand for the rest of a merged cell: those below its first row become
+  // Word's vertically merged continuation cells, those beside it are left out
+  const rowSpans = [];
+  for (const rowElement of tableParts(element, 'row')) {
+    const row = appendElement(table, 'w:tr');
+    let column = 0;
+    let covered = 0;
+    for (const cell of childElements(rowElement)) {
+      if (cell.nodeName === 'table:table-cell') {
+        const across = parseInt(getAttr(cell, 'table:number-columns-spanned')) || 1;
+        const down = parseInt(getAttr(cell, 'table:number-rows-spanned')) || 1;
+        const borders = context.styles[getAttr(cell, 'table:style-name')]?.borders || {};
+        const tc = appendCell(row, across, down > 1 ? 'restart' : null, borders);
+        convertBlocks(cell, tc, { ...context, body: false });
+        if (tc.lastChild.nodeName !== 'w:p') appendElement(tc, 'w:p');
+
+        if (down > 1) rowSpans[column] = { remaining: down - 1, across, borders };
+        column += across;
+        covered = across - 1;
+      } else if (cell.nodeName === 'table:covered-table-cell') {
+        const span = rowSpans[column];
+        if (covered > 0) {
+          covered--;
+        } else if (span?.remaining > 0) {
+          span.remaining--;
+          appendElement(appendCell(row, span.across, 'continue', span.borders), 'w:p');
+          column += span.across;
+          covered = span.across - 1;
+        } else {
+          column++;
+        }
+      }
+    }
+  }
+}
+
+// Rows or columns, including those inside header and group elements
+function tableParts(element, kind) {
+  return childElements(element).flatMap(child => {
+    if (child.nodeName === `table:table-${kind}`) return [child];
+    return TABLE_GROUPS[kind].includes(child.nodeName) ? tableParts(child, kind) : [];
+  });
+}
+
+function appendCell(row, across, merge, borders) {
+  const tc = appendElement(row, 'w:tc');
+  const tcPr = appendElement(tc, 'w:tcPr');
+  if (across > 1) appendElement(tcPr, 'w:gridSpan', { 'w:val': String(across) });
+  if (merge) appendElement(tcPr, 'w:vMerge', { 'w:val': merge });
+  if (Object.keys(borders).length > 0) {
+    const tcBorders = appendElement(tcPr, 'w:tcBorders');
+    for (const [side, value] of Object.entries(borders)) {
+      appendElement(tcBorders, `w:${side}`, value === 'nil' ? { 'w:val': 'nil' } : { 'w:val': value, 'w:sz': '4', 'w:space': '0', 'w:color': 'auto' });
+    }
+  }
+  return tc;
+}
+
+// Child order follows CT_PPr and CT_RPr, as Word requires
+function writeParagraphProperties(pPr, props) {
+  if (props.pageBreakBefore !== undefined) {
+    appendElement(pPr, 'w:pageBreakBefore', props.pageBreakBefore ? {} : { 'w:val': '0' });
+  }
+  if (props.line !== undefined) {
+    appendElement(pPr, 'w:spacing', { 'w:line': String(props.line), 'w:lineRule': props.lineRule });
+  }
+  if (props.firstLine !== undefined || props.left !== undefined) {
+    const indent = {};
+    if (props.left !== undefined) indent['w:left'] = String(props.left);
+    if (props.firstLine < 0) indent['w:hanging'] = String(-props.firstLine);
+    else if (props.firstLine !== undefined) indent['w:firstLine'] = String(props.firstLine);
+    appendElement(pPr, 'w:ind', indent);
+  }
+  if (props.alignment) appendElement(pPr, 'w:jc', { 'w:val': props.alignment });
+  if (props.outlineLevel) appendElement(pPr, 'w:outlineLvl', { 'w:val': String(props.outlineLevel - 1) });
+}
+
+function writeRunProperties(rPr, props) {
+  if (props.font) appendElement(rPr, 'w:rFonts', { 'w:ascii': props.font, 'w:hAnsi': props.font, 'w:cs': props.font });
+  if (props.bold !== undefined) appendElement(rPr, 'w:b', props.bold ? {} : { 'w:val': '0' });
+  if (props.italic !== undefined) appendElement(rPr, 'w:i', props.italic ? {} : { 'w:val': '0' });
+  if (props.size) {
+    appendElement(rPr, 'w:sz', { 'w:val': String(props.size) });
+    appendElement(rPr, 'w:szCs', { 'w:val': String(props.size) });
+  }
+  if (props.vertAlign) appendElement(rPr, 'w:vertAlign', { 'w:val': props.vertAlign });
+}
+
+// End the section of the current page style on the last block so far, when `masterName`
+// is a different page style. Returns whether a section was ended.
+function startPage(converter, masterName) {
+  if (!converter.masterPages[masterName]) return false;
+  const last = converter.body.lastChild;
+  if (last) {
+    // A section can only end on a paragraph, so one is added after a table
+    const paragraph = last.nodeName === 'w:p' ? last : appendElement(converter.body, 'w:p');
+    const pPr = firstChild(paragraph, 'w:pPr') || paragraph.insertBefore(
+      createWordElement(converter.documentDoc, 'w:pPr'), paragraph.firstChild
+    );
+    pPr.appendChild(createSection(converter, converter.masterPage));
+  }
+  converter.masterPage = masterName;
+  return Boolean(last);
+}
+
+function createSection(converter, masterName) {
+  const sectPr = createWordElement(converter.documentDoc, 'w:sectPr');
+  const master = converter.masterPages[masterName];
+  if (!master) return sectPr;
+
+  // A page style followed by another is a first page with headers of its own, the pages
+  // after it having the next style's; Word has a title page for that
+  const next = converter.masterPages[master.next];
+  const distinctFirst = next && next !== master;
+  const following = distinctFirst ? next : master;
+  const titlePage = distinctFirst || Boolean(master.headerFirst || master.footerFirst);
+
+  for (const kind of ['header', 'footer']) {
+    const parts = {
+      default: following[kind],
+      even: following[`${kind}Left`],
+      first: titlePage ? master[`${kind}First`] || (distinctFirst ? master[kind] : null) : null
+    };
+    if (parts.even) converter.evenAndOddHeaders = true;
+    for (const [type, content] of Object.entries(parts)) {
+      // A missing reference would repeat the previous section's header, so an empty one is written instead
+      const used = `${kind} ${type}`;
+      const wanted = type === 'first' ? titlePage : type === 'default' || converter.evenAndOddHeaders;
+      if (!content && !(wanted && converter.usedReferences.has(used))) continue;
+      converter.usedReferences.add(used);
+      const reference = appendElement(sectPr, `w:${kind}Reference`, { 'w:type': type });
+      reference.setAttributeNS(RELATIONSHIPS_NS, 'r:id', headerFooterPart(converter, kind, content));
+    }
+  }
+
+  const layout = converter.pageLayouts[master.layout];
+  if (layout?.width && layout.height) {
+    appendElement(sectPr, 'w:pgSz', { 'w:w': String(layout.width), 'w:h': String(layout.height) });
+  }
+  // The page margin of ODF runs to the header, whose height is part of the text area;
+  // Word measures the margin to the text and the header distance to the header
+  const { margins } = layout || {};
+  if (margins && Object.values(margins).every(margin => margin !== null)) {
+    appendElement(sectPr, 'w:pgMar', {
+      'w:top': String(margins.top + (following.header ? layout.header : 0)),
+      'w:right': String(margins.right),
+      'w:bottom': String(margins.bottom + (following.footer ? layout.footer : 0)),
+      'w:left': String(margins.left),
+      'w:header': String(margins.top),
+      'w:footer': String(margins.bottom),
+      'w:gutter': '0'
+    });
+  }
+  if (titlePage) appendElement(sectPr, 'w:titlePg');
+  return sectPr;
+}
+
+// The relationship id of a header or footer part, written once for each ODF header or
+// footer; `content` null is an empty one
+function headerFooterPart(converter, kind, content) {
+  const key = content || kind;
+  if (!converter.headerParts.has(key)) {
+    let n = 1;
+    while (converter.docx.file(`word/${kind}${n}.xml`)) n++;
+    const doc = createPart(kind === 'header' ? 'w:hdr' : 'w:ftr');
+    if (content) convertBlocks(content, doc.documentElement, { converter, styles: converter.pageAutomatic, body: false });
+    if (!firstChild(doc.documentElement)) appendElement(doc.documentElement, 'w:p');
+    converter.headerParts.set(key, writePart(converter, `word/${kind}${n}.xml`, kind, doc));
+  }
+  return converter.headerParts.get(key);
+}
+
+// The common styles as Word styles, and the default paragraph style as docDefaults
+function createStylesPart(converter, stylesRoot, fonts) {
+  const doc = createPart('w:styles');
+  const root = doc.documentElement;
+  const defaults = childElements(firstChild(stylesRoot, 'office:styles'), 'style:default-style')
+    .find(element => getAttr(element, 'style:family') === 'paragraph');
+  if (defaults) {
+    const docDefaults = appendElement(root, 'w:docDefaults');
+    writeRunProperties(
+      appendElement(appendElement(docDefaults, 'w:rPrDefault'), 'w:rPr'),
+      readTextProperties(firstChild(defaults, 'style:text-properties'), fonts)
+    );
+    writeParagraphProperties(
+      appendElement(appendElement(docDefaults, 'w:pPrDefault'), 'w:pPr'),
+      readParagraphProperties(firstChild(defaults, 'style:paragraph-properties'))
+    );
+  }
+
+  for (const style of Object.values(converter.common)) {
+    if (style.family !== 'paragraph' && style.family !== 'text') continue;
+    const element = appendElement(root, 'w:style', {
+      'w:type': style.family === 'text' ? 'character' : 'paragraph',
+      'w:styleId': style.name
+    });
+    if (style.name === 'Standard') element.setAttributeNS(WORD_NS, 'w:default', '1');
+    appendElement(element, 'w:name', { 'w:val': style.displayName });
+    if (converter.common[style.parent]) appendElement(element, 'w:basedOn', { 'w:val': style.parent });
+    if (style.family === 'paragraph') {
+      const pPr = appendElement(element, 'w:pPr');
+      writeParagraphProperties(pPr, { ...style.paragraph, outlineLevel: style.outlineLevel || undefined });
+    }
+    writeRunProperties(appendElement(element, 'w:rPr'), style.run);
+  }
+  return doc;
+}
@@ -0,0 +1,58 @@
+import { childElements, getAttr, parseXml, serializeXml } from './xml.js';
+
+// Writing new parts into a .docx package: each needs a relationship from the
+// document and a content type in [Content_Types].xml
+
+const PACKAGE_RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const CONTENT_TYPES_NS = 'http://schemas.openxmlformats.org/package/2006/content-types';
+const OFFICE_RELATIONSHIP_TYPES = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const WORDPROCESSING_TYPES = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+
+// Content types by relationship type, which is also how the parts are named
+export const CONTENT_TYPES = {
+  document: `${WORDPROCESSING_TYPES}.document.main+xml`,
+  styles: `${WORDPROCESSING_TYPES}.styles+xml`,
+  settings: `${WORDPROCESSING_TYPES}.settings+xml`,
+  comments: `${WORDPROCESSING_TYPES}.comments+xml`,
+  footnotes: `${WORDPROCESSING_TYPES}.footnotes+xml`,
+  endnotes: `${WORDPROCESSING_TYPES}.endnotes+xml`,
+  header: `${WORDPROCESSING_TYPES}.header+xml`,
+  footer: `${WORDPROCESSING_TYPES}.footer+xml`
+};
+
+// word/_rels/document.xml.rels as a DOM, or an empty one for a document without it
+export function parseRelationshipsPart(relsXml) {
+  return parseXml(relsXml) ||
+    parseXml(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="${PACKAGE_RELATIONSHIPS_NS}"/>`);
+}
+
+// Add a relationship of a type such as "header" or "comments" and return its new id
+export function addRelationship(relsDoc, type, target) {
+  const ids = new Set(childElements(relsDoc.documentElement, 'Relationship').map(rel => getAttr(rel, 'Id')));
+  let n = ids.size + 1;
+  while (ids.has(`rId${n}`)) n++;
+
+  const relationship = relsDoc.createElementNS(PACKAGE_RELATIONSHIPS_NS, 'Relationship');
+  relationship.setAttribute('Id', `rId${n}`);
+  relationship.setAttribute('Type', `${OFFICE_RELATIONSHIP_TYPES}/${type}`);
+  relationship.setAttribute('Target', target);
+  relsDoc.documentElement.appendChild(relationship);
+  return `rId${n}`;
+}
+
+export async function registerContentType(docx, path, contentType) {
+  const typesDoc = parseXml(await docx.file('[Content_Types].xml')?.async('string'));
+  if (!typesDoc) return;
+
+  const partName = `/${path}`;
+  const registered = childElements(typesDoc.documentElement, 'Override')
+    .some(override => getAttr(override, 'PartName') === partName);
+  if (!registered) {
+    const override = typesDoc.createElementNS(CONTENT_TYPES_NS, 'Override');
+    override.setAttribute('PartName', partName);
+    override.setAttribute('ContentType', contentType);
+    typesDoc.documentElement.appendChild(override);
+    docx.file('[Content_Types].xml', serializeXml(typesDoc));
+  }
+}
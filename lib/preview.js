@@ -0,0 +1,102 @@
+// The document preview: mammoth's HTML with every targeted issue marked on it. This runs
+// in the browser, which supplies the HTML DOMParser.
+//
+// mammoth leaves out empty paragraphs and renders each of the others as one block, so
+// blocks are matched to the model's paragraphs in order by their text. Where a block's
+// text is exactly the paragraph's, a target's character range is marked; otherwise the
+// whole block is.
+
+const BLOCKS = 'p, h1, h2, h3, h4, h5, h6, li';
+const NOTES = 'li[id^="footnote-"], li[id^="endnote-"]';
+// The [1] mammoth adds for a footnote reference is not in the paragraph text
+const NOTE_REFERENCES = 'a[href^="#footnote-"], a[href^="#endnote-"]';
+
+// Identifies an issue in the preview's data-issues attributes
+export function issueKey(category, index) {
+  return `${category}-${index}`;
+}
+
+// Returns the HTML to show, with <mark> around the text of each issue. Marked elements
+// carry the issue keys in data-issues and the issues themselves in their title.
+export function renderPreview(html, paragraphs, results) {
+  const doc = new DOMParser().parseFromString(`<!DOCTYPE html><body>${html}</body>`, 'text/html');
+
+  const blocks = new Map();
+  let next = 0;
+  Array.from(doc.body.querySelectorAll(BLOCKS))
+    .filter(block => !block.querySelector(BLOCKS) && !block.closest(NOTES))
+    .forEach(block => {
+      const text = normalizeSpace(blockText(block));
+      for (let i = next; i < paragraphs.length; i++) {
+        if (normalizeSpace(paragraphs[i].text) === text) {
+          blocks.set(i, block);
+          next = i + 1;
+          return;
+        }
+      }
+    });
+
+  for (const category of ['errors', 'warnings']) {
+    results.categories[category].forEach((item, index) => {
+      const key = issueKey(category, index);
+      (item.targets || []).forEach(target => {
+        const block = blocks.get(target.paragraph);
+        if (!block) return;
+
+        const { text } = paragraphs[target.paragraph];
+        const wholeParagraph = target.start === undefined || (target.start === 0 && target.end >= text.length);
+        const marks = wholeParagraph || blockText(block) !== text ? [] : markRange(block, target.start, target.end);
+        (marks.length > 0 ? marks : [block]).forEach(element => tagIssue(element, key, category, item));
+      });
+    });
+  }
+
+  // Links in the document must not navigate away from the results
+  doc.body.querySelectorAll('a[href]').forEach(link => link.removeAttribute('href'));
+  return doc.body.innerHTML;
+}
+
+function tagIssue(element, key, category, item) {
+  element.classList.add('issue-mark', `issue-${category}`);
+  element.dataset.issues = [element.dataset.issues, key].filter(Boolean).join(' ');
+  element.title = [element.title, `${item.issue}: ${item.details}`].filter(Boolean).join('\n');
+}
+
+// Wrap the characters from `start` to `end` in <mark> elements, one per text node they span
+function markRange(block, start, end) {
+  const marks = [];
+  let offset = 0;
+  textNodes(block).forEach(node => {
+    const nodeStart = offset;
+    offset += node.data.length;
+    const from = Math.max(start, nodeStart) - nodeStart;
+    const to = Math.min(end, offset) - nodeStart;
+    if (from >= to) return;
+
+    let marked = node;
+    if (from > 0) marked = marked.splitText(from);
+    if (to - from < marked.data.length) marked.splitText(to - from);
+    const mark = block.ownerDocument.createElement('mark');
+    marked.parentNode.insertBefore(mark, marked);
+    mark.appendChild(marked);
+    marks.push(mark);
+  });
+  return marks;
+}
+
+function textNodes(block) {
+  const nodes = [];
+  const walker = block.ownerDocument.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentElement.closest(NOTE_REFERENCES)) nodes.push(walker.currentNode);
+  }
+  return nodes;
+}
+
+function blockText(block) {
+  return textNodes(block).map(node => node.data).join('');
+}
+
+function normalizeSpace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,118 @@
+import { RULE_SET_VERSION } from './guides/index.js';
+
+const CATEGORIES = {
+  errors: { title: 'Errors', color: '#721c24', background: '#f8d7da', border: '#f5c6cb' },
+  warnings: { title: 'Warnings', color: '#856404', background: '#fff3cd', border: '#ffeaa7' },
+  passed: { title: 'Passed checks', color: '#155724', background: '#d4edda', border: '#c3e6cb' }
+};
+
+// SHA-256 of the checked file as hex, so a report can be matched to the exact file it is
+// about. Web Crypto is available in browsers and in Node 20.
+export async function hashFile(data) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// A self-contained HTML report of `results`: no scripts and no external files, so it
+// can be attached to a submission or e-mailed as is. Its print styles make it the
+// source of the PDF as well. `file` is {name, hash, checkedAt}, checkedAt an ISO date.
+// The hash is null where Web Crypto is unavailable (pages served over plain HTTP). A run
+// from the history also has the ruleSetVersion it was checked with.
+export function renderReport(results, file) {
+  const { guide } = results;
+  const checkedAt = new Date(file.checkedAt);
+  const details = [
+    ['File', file.name],
+    ['SHA-256', file.hash || 'unavailable'],
+    ['Checked', checkedAt.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC')],
+    ['Style guide', guide.name],
+    ['Rule set', file.ruleSetVersion || RULE_SET_VERSION],
+    ...(results.debug?.paperType && guide.id === 'apa7' ? [['Paper type', results.debug.paperType]] : []),
+    ...(results.profile ? [['Rubric', results.profile]] : [])
+  ];
+
+  const sections = Object.entries(CATEGORIES).map(([category, style]) => {
+    const items = results.categories[category];
+    if (items.length === 0) return '';
+    return `
+  <section>
+    <h2 style="color: ${style.color}">${style.title} (${items.length})</h2>
+    ${items.map(item => renderIssue(item, style)).join('\n    ')}
+  </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${guide.name} format report: ${file.name}`)}</title>
+<style>
+  body { font-family: -apple-system, 'Segoe UI', Roboto, Arial, sans-serif; color: #212529; max-width: 800px; margin: 2rem auto; padding: 0 1rem; line-height: 1.45; }
+  h1 { font-size: 1.6rem; margin-bottom: 1rem; }
+  h2 { font-size: 1.2rem; margin: 1.5rem 0 0.5rem; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; }
+  th, td { text-align: left; padding: 0.2rem 1rem 0.2rem 0; vertical-align: top; }
+  td { word-break: break-all; }
+  .score { display: flex; align-items: center; gap: 1.5rem; padding: 1rem; border: 1px solid #dee2e6; border-radius: 0.5rem; }
+  .score-number { font-size: 2.5rem; font-weight: bold; }
+  .issue { border-radius: 0.4rem; padding: 0.6rem 0.8rem; margin-bottom: 0.5rem; break-inside: avoid; }
+  .issue-title { font-weight: bold; }
+  .issue-rule { font-family: monospace; font-size: 0.8rem; opacity: 0.7; }
+  .issue p { margin: 0.25rem 0 0; }
+  footer { margin-top: 2rem; font-size: 0.8rem; color: #6c757d; }
+  @page { margin: 2cm; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .issue, .score { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(guide.name)} Format Report</h1>
+  <table>
+    ${details.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('\n    ')}
+  </table>
+  <div class="score">
+    <div class="score-number" style="color: ${scoreColor(results.score)}">${results.score}%</div>
+    <div>
+      <strong>${escapeHtml(guide.shortName)} score</strong><br>
+      ${results.categories.errors.length} errors, ${results.categories.warnings.length} warnings,
+      ${results.categories.passed.length} passed checks
+    </div>
+  </div>${sections}
+  <footer>
+    Generated by the ${escapeHtml(guide.name)} Format Validator. The SHA-256 identifies the exact file
+    that was checked; any change to the document gives a different value.
+  </footer>
+</body>
+</html>
+`;
+}
+
+function renderIssue(item, style) {
+  const lines = [
+    item.details,
+    item.location && `Location: ${item.location}`,
+    item.fix && `How to fix: ${item.fix}`
+  ].filter(Boolean);
+
+  return `<div class="issue" style="background: ${style.background}; border: 1px solid ${style.border}; color: ${style.color}">
+      <div class="issue-title">${escapeHtml(item.issue)} <span class="issue-rule">${escapeHtml(item.rule)}</span></div>
+      ${lines.map(line => `<p>${escapeHtml(line)}</p>`).join('\n      ')}
+    </div>`;
+}
+
+// Same thresholds as the score circle on the page
+function scoreColor(score) {
+  if (score >= 90) return '#28a745';
+  if (score >= 70) return '#ffc107';
+  return '#dc3545';
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
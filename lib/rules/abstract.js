@@ -0,0 +1,127 @@
+import { countWords, describeParagraphs, targetParagraphs } from './describe.js';
+
+export const RULES = [
+  { id: 'abstract-missing', title: 'Abstract on professional papers', severity: 'error', weight: 8, maxPenalty: 8 },
+  { id: 'abstract-page', title: 'Abstract on its own page', severity: 'error', weight: 5, maxPenalty: 5 },
+  { id: 'abstract-empty', title: 'Abstract text below the label', severity: 'error', weight: 5, maxPenalty: 5 },
+  { id: 'abstract-paragraphs', title: 'Single-paragraph abstract', severity: 'error', weight: 3, maxPenalty: 3 },
+  { id: 'abstract-length', title: 'Abstract within the word limit', severity: 'error', weight: 5, maxPenalty: 5 },
+  { id: 'abstract-indent', title: 'Unindented abstract paragraph', severity: 'error', weight: 3, maxPenalty: 3 },
+  { id: 'keywords-missing', title: 'Keywords line after the abstract', severity: 'warning', weight: 2, maxPenalty: 2 },
+  { id: 'keywords-indent', title: 'Indented keywords line', severity: 'error', weight: 3, maxPenalty: 3 },
+  { id: 'keywords-label', title: 'Italic Keywords label', severity: 'error', weight: 3, maxPenalty: 3 },
+  { id: 'keywords-format', title: 'Keywords themselves not italic', severity: 'warning', weight: 2, maxPenalty: 2 }
+];
+
+// Abstract: the paragraphs after the Abstract label, up to the Keywords line, next heading or page
+export function findAbstractSection(paragraphs) {
+  const heading = paragraphs.find(p => p.isHeading && p.text.trim() === 'Abstract');
+  if (!heading) return null;
+
+  const section = { heading, paragraphs: [], keywords: null, next: null };
+  for (const paragraph of paragraphs.filter(p => p.index > heading.index)) {
+    if (paragraph.isHeading || section.keywords || paragraph.page !== heading.page) {
+      section.next = paragraph;
+      break;
+    }
+    if (/^Key\s?words?:/i.test(paragraph.text.trim())) {
+      section.keywords = paragraph;
+    } else {
+      section.paragraphs.push(paragraph);
+    }
+  }
+  return section;
+}
+
+export function validateAbstract(abstract, paragraphs, paperType, wordLimit, report) {
+  if (!abstract) {
+    if (paperType === 'professional') {
+      report.fail('abstract-missing', {
+        issue: 'Missing Abstract',
+        details: 'Professional papers need an abstract on the page after the title page',
+        fix: 'Add a page with the bold, centered label "Abstract" followed by a summary of the paper'
+      });
+    }
+    return;
+  }
+
+  const findingsBefore = report.findingCount();
+  const addFinding = (rule, where, issue, details, fix) => {
+    report.fail(rule, { issue, details, location: describeParagraphs(where), targets: targetParagraphs(where), fix });
+  };
+
+  // Its own page: nothing above the label, and the next section starts on a later page
+  const above = paragraphs.filter(p => p.page === abstract.heading.page && p.index < abstract.heading.index);
+  const last = abstract.keywords || abstract.paragraphs[abstract.paragraphs.length - 1] || abstract.heading;
+  report.checked(['abstract-page', 'abstract-empty'], [abstract.heading]);
+  report.checked(['abstract-paragraphs', 'abstract-length', 'abstract-indent'], abstract.paragraphs);
+  report.checked('keywords-missing', [last]);
+  if (above.length > 0 || (abstract.next && abstract.next.page === last.page)) {
+    addFinding('abstract-page', [abstract.heading], 'Abstract Not on Its Own Page',
+      above.length > 0
+        ? 'The Abstract label does not start a new page'
+        : `"${abstract.next.text.trim().substring(0, 30)}" continues on the abstract page`,
+      'Put a page break before the Abstract label and after the keywords');
+  }
+
+  if (abstract.paragraphs.length === 0) {
+    addFinding('abstract-empty', [abstract.heading], 'Empty Abstract',
+      'No abstract text follows the Abstract label', 'Summarize the paper in a single paragraph below the label');
+  } else {
+    if (abstract.paragraphs.length > 1) {
+      addFinding('abstract-paragraphs', abstract.paragraphs, 'Abstract Paragraphs',
+        `The abstract has ${abstract.paragraphs.length} paragraphs; it should be a single paragraph`,
+        'Merge the abstract into one block paragraph');
+    }
+
+    const words = abstract.paragraphs
+      .map(p => countWords(p.text))
+      .reduce((sum, count) => sum + count, 0);
+    if (words > wordLimit) {
+      addFinding('abstract-length', abstract.paragraphs, 'Abstract Too Long',
+        `The abstract has ${words} words; the limit is ${wordLimit}`,
+        `Shorten the abstract to ${wordLimit} words or fewer`);
+    }
+
+    const indented = abstract.paragraphs.filter(p => p.indent !== 0);
+    if (indented.length > 0) {
+      addFinding('abstract-indent', indented, 'Abstract Indentation',
+        'The abstract paragraph should not have a first-line indent',
+        'Paragraph > Indentation > Special: (none)');
+    }
+  }
+
+  if (!abstract.keywords) {
+    addFinding('keywords-missing', [last], 'Missing Keywords',
+      'No "Keywords:" line follows the abstract',
+      'Add an indented line starting with the italic label Keywords: and three to five keywords');
+    return;
+  }
+
+  const keywords = abstract.keywords;
+  report.checked(['keywords-indent', 'keywords-label', 'keywords-format'], [keywords]);
+  if (keywords.indent !== 720) {
+    addFinding('keywords-indent', [keywords], 'Keywords Indentation',
+      'The Keywords line should be indented 0.5 inch like a regular paragraph',
+      'Paragraph > Indentation > Special: First line, By: 0.5"');
+  }
+
+  const labelEnd = keywords.text.indexOf(':') + 1;
+  const labelRuns = keywords.runs.filter(run => run.start < labelEnd && run.text.trim());
+  const listRuns = keywords.runs.filter(run => run.end > labelEnd && run.text.slice(Math.max(0, labelEnd - run.start)).trim());
+  if (!labelRuns.every(run => run.italic)) {
+    addFinding('keywords-label', [keywords], 'Keywords Label',
+      'The "Keywords:" label should be italic', 'Italicize the word Keywords and its colon');
+  }
+  if (listRuns.some(run => run.italic)) {
+    addFinding('keywords-format', [keywords], 'Keywords Format',
+      'The keywords themselves should not be italic', 'Remove italics from the keywords after the label');
+  }
+
+  if (report.findingCount() === findingsBefore) {
+    report.pass('abstract-page', {
+      issue: 'Abstract',
+      details: 'Abstract is on its own page, within the word limit, with a keywords line'
+    });
+  }
+}
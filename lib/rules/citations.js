@@ -0,0 +1,128 @@
+import { targetParagraphs } from './describe.js';
+import { describeReference } from './references.js';
+
+export const RULES = [
+  { id: 'citations-present', title: 'In-text citations', severity: 'warning', weight: 10, maxPenalty: 10 },
+  { id: 'citation-connector', title: '"&" in parenthetical and "and" in narrative citations', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'citation-missing-reference', title: 'Every citation in the reference list', severity: 'error', weight: 3, maxPenalty: 12 },
+  { id: 'citation-et-al', title: '"et al." for three or more authors', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'reference-uncited', title: 'Every reference cited in the text', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'reference-year-ambiguous', title: 'Letters after repeated author-year pairs', severity: 'error', weight: 3, maxPenalty: 6 }
+];
+
+function normalizeName(name) {
+  return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]/g, '');
+}
+
+// A citation matches an entry with the same year and the same leading author(s)
+function citationMatchesReference(citation, entry) {
+  if (citation.year !== entry.year || entry.surnames.length === 0) return false;
+
+  const [first] = citation.authors;
+  const entryFirst = entry.surnames[0];
+  const sameFirst = normalizeName(first) === normalizeName(entryFirst) ||
+    (/^\p{Lu}{2,}$/u.test(first) && first === entryFirst.split(/\s+/).filter(w => /^\p{Lu}/u.test(w)).map(w => w[0]).join(''));
+  if (!sameFirst) return false;
+
+  if (citation.etAl) return entry.surnames.length >= 2;
+  // Naming every author of a longer list still cites the work; citation-et-al reports it
+  const listed = citation.authors.length;
+  if (listed !== Math.min(entry.surnames.length, 2) && listed !== entry.surnames.length) return false;
+  return citation.authors.every((name, i) => normalizeName(name) === normalizeName(entry.surnames[i]));
+}
+
+export function validateCitations(citations, entries, report) {
+  const findingsBefore = report.findingCount();
+  const cited = new Set();
+  const citing = citations.map(citation => ({ index: citation.paragraphIndex }));
+  report.checked('citation-connector', citing);
+  if (entries.length > 0) {
+    report.checked(['citation-missing-reference', 'citation-et-al'], citing);
+    report.checked(['reference-uncited', 'reference-year-ambiguous'], entries.map(entry => entry.paragraph));
+  }
+
+  citations.forEach(citation => {
+    const location = describeCitation(citation);
+    const targets = [{ paragraph: citation.paragraphIndex, start: citation.start, end: citation.end }];
+
+    if (citation.connector === 'and' && !citation.narrative) {
+      report.fail('citation-connector', {
+        issue: 'Citation Connector',
+        details: `Use "&" between authors inside parentheses: ${citation.text}`,
+        location,
+        targets,
+        fix: 'Write (Smith & Lee, 2020) in parenthetical citations'
+      });
+    } else if (citation.connector === '&' && citation.narrative) {
+      report.fail('citation-connector', {
+        issue: 'Citation Connector',
+        details: `Use "and" between authors in running text: ${citation.text}`,
+        location,
+        targets,
+        fix: 'Write Smith and Lee (2020) in narrative citations'
+      });
+    }
+
+    if (entries.length === 0) return;
+    const match = entries.find(entry => citationMatchesReference(citation, entry));
+    if (!match) {
+      report.fail('citation-missing-reference', {
+        issue: 'Citation Missing from References',
+        details: `No reference entry matches ${citation.authors.join(' & ')}${citation.etAl ? ' et al.' : ''} (${citation.year})`,
+        location,
+        targets,
+        fix: 'Add the source to the References list, or correct the author names and year'
+      });
+      return;
+    }
+    cited.add(match);
+
+    if (!citation.etAl && match.surnames.length >= 3) {
+      report.fail('citation-et-al', {
+        issue: 'Use "et al."',
+        details: `Works with three or more authors are cited as ${match.surnames[0]} et al. (${match.year})`,
+        location,
+        targets,
+        fix: 'Cite the first author followed by "et al." from the first citation'
+      });
+    }
+  });
+
+  entries.filter(entry => entry.year && !cited.has(entry)).forEach(entry => {
+    report.fail('reference-uncited', {
+      issue: 'Reference Never Cited',
+      details: 'This reference entry has no matching in-text citation',
+      location: describeReference(entry),
+      targets: targetParagraphs([entry.paragraph]),
+      fix: 'Cite the work in the text or remove it from the References list'
+    });
+  });
+
+  // Same authors and year need 2020a, 2020b to tell the works apart
+  entries.forEach((entry, i) => {
+    const twin = entries.slice(i + 1).find(other =>
+      other.year && other.year === entry.year &&
+      other.surnames.map(normalizeName).join() === entry.surnames.map(normalizeName).join()
+    );
+    if (twin && /^\d{4}$/.test(entry.year)) {
+      report.fail('reference-year-ambiguous', {
+        issue: 'Ambiguous Reference Year',
+        details: `Two works by the same authors from ${entry.year} need letters (${entry.year}a, ${entry.year}b)`,
+        location: `${describeReference(entry)}; ${describeReference(twin)}`,
+        targets: targetParagraphs([entry.paragraph, twin.paragraph]),
+        fix: 'Add lowercase letters after the year, ordered by title, in both the references and citations'
+      });
+    }
+  });
+
+  if (entries.length > 0 && report.findingCount() === findingsBefore) {
+    report.pass('citation-missing-reference', {
+      issue: 'Citations Match References',
+      details: 'Every citation has a reference entry and every entry is cited'
+    });
+  }
+}
+
+function describeCitation(citation) {
+  return `Paragraph ${citation.paragraphIndex + 1} ("${citation.text.substring(0, 40)}")`;
+}
@@ -0,0 +1,28 @@
+export function twipsToInches(twips) {
+  return Math.round((twips / 1440) * 100) / 100;
+}
+
+// Name the first few paragraphs of a list, e.g. for an issue location
+export function describeParagraphs(paragraphs, limit = 3) {
+  const named = paragraphs.slice(0, limit).map(p =>
+    `Paragraph ${p.index + 1} ("${p.text.trim().substring(0, 30)}")`
+  );
+  const remaining = paragraphs.length - named.length;
+  return remaining > 0 ? `${named.join(', ')} and ${remaining} more` : named.join(', ');
+}
+
+// The paragraphs an issue points at, for annotating the document
+export function targetParagraphs(paragraphs) {
+  return paragraphs.map(p => ({ paragraph: p.index }));
+}
+
+// Words as the rules count them: whitespace-separated tokens with a letter or digit,
+// so dashes and stray punctuation do not add to a total
+export function countWords(text) {
+  return text.split(/\s+/).filter(word => /[\p{L}\d]/u.test(word)).length;
+}
+
+export function ordinal(n) {
+  const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+  return n + suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)];
+}
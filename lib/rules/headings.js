@@ -0,0 +1,102 @@
+import { isSectionLabel } from '../model.js';
+import { describeParagraphs, targetParagraphs } from './describe.js';
+
+// APA 7 heading levels
+export const HEADING_FORMATS = {
+  1: { description: 'Centered, Bold, Title Case', centered: true, italic: false, inline: false },
+  2: { description: 'Flush Left, Bold, Title Case', centered: false, italic: false, inline: false },
+  3: { description: 'Flush Left, Bold Italic, Title Case', centered: false, italic: true, inline: false },
+  4: { description: 'Indented, Bold, Title Case, Ending With a Period, text on the same line', centered: false, italic: false, inline: true },
+  5: { description: 'Indented, Bold Italic, Title Case, Ending With a Period, text on the same line', centered: false, italic: true, inline: true }
+};
+
+export const RULES = [
+  { id: 'headings-present', title: 'Section headings', severity: 'warning', weight: 10, maxPenalty: 10 },
+  { id: 'heading-introduction', title: 'No Introduction heading', severity: 'warning', weight: 2, maxPenalty: 2 },
+  { id: 'heading-level-order', title: 'Heading levels in order', severity: 'error', weight: 4, maxPenalty: 8 },
+  { id: 'heading-format', title: 'Heading format for the level', severity: 'error', weight: 4, maxPenalty: 12 },
+  { id: 'heading-case', title: 'Title case headings', severity: 'warning', weight: 2, maxPenalty: 6 }
+];
+
+export function validateHeadings(headings, report) {
+  const findingsBefore = report.findingCount();
+  report.checked(['heading-introduction', 'heading-level-order', 'heading-format', 'heading-case'], headings);
+  const addFinding = (rule, heading, issue, details, fix, autoFix) => {
+    report.fail(rule, {
+      issue, details, location: describeParagraphs([heading]), targets: targetParagraphs([heading]), fix,
+      ...(autoFix && { autoFix })
+    });
+  };
+
+  let previousLevel = 1;
+  headings.forEach(heading => {
+    const text = heading.headingText || heading.text.trim();
+    const label = `"${text.substring(0, 40)}"`;
+    const level = Math.min(heading.headingLevel, 5);
+    const format = HEADING_FORMATS[isSectionLabel(text) ? 1 : level];
+
+    if (text === 'Introduction') {
+      addFinding('heading-introduction', heading, 'Introduction Heading',
+        'APA papers do not label the introduction; the paper title at the top of the first page serves as its heading',
+        'Delete the "Introduction" heading and let the repeated title introduce the paper');
+    }
+
+    if (!isSectionLabel(text)) {
+      if (level > previousLevel + 1) {
+        addFinding('heading-level-order', heading, 'Skipped Heading Level',
+          `${label} is Level ${level} but follows a Level ${previousLevel} heading`,
+          `Use Level ${previousLevel + 1} here, or add the missing level above it`);
+      }
+      previousLevel = level;
+    }
+
+    // Inline levels are measured on the heading runs, not the whole paragraph
+    const runs = heading.runs.filter(run => run.text.trim() && run.start < heading.text.indexOf(text) + text.length);
+    const bold = runs.length > 0 && runs.every(run => run.bold);
+    const italic = runs.length > 0 && runs.every(run => run.italic);
+    const flushLeft = !heading.isCentered && heading.alignment !== 'right' && heading.indent <= 0 && heading.leftIndent <= 0;
+
+    const problems = [];
+    if (!bold) problems.push('bold');
+    if (format.italic && !italic) problems.push('italic');
+    if (!format.italic && italic) problems.push('not italic');
+    if (format.centered && !heading.isCentered) problems.push('centered');
+    if (!format.centered && !format.inline && !flushLeft) problems.push('flush left');
+    if (format.inline && heading.indent !== 720) problems.push('indented 0.5 inch');
+    if (format.inline && !/[.?!]$/.test(text)) problems.push('end with a period');
+    if (format.inline && text === heading.text.trim()) problems.push('followed by the paragraph text on the same line');
+
+    if (problems.length > 0) {
+      // Bold, italics, alignment and indentation can be set mechanically; wording cannot
+      const mechanical = problems.some(problem => !problem.startsWith('end') && !problem.startsWith('followed'));
+      addFinding('heading-format', heading, `Level ${isSectionLabel(text) ? 1 : level} Heading Format`,
+        `${label} should be ${problems.join(', ')}`,
+        `Level ${isSectionLabel(text) ? 1 : level}: ${format.description}`,
+        mechanical ? { type: 'heading', paragraph: heading.index, level: isSectionLabel(text) ? 1 : level } : null);
+    }
+
+    if (!isTitleCase(text)) {
+      addFinding('heading-case', heading, 'Heading Capitalization',
+        `${label} should be in title case`,
+        'Capitalize the first word, words of four or more letters, and all major words');
+    }
+  });
+
+  if (report.findingCount() === findingsBefore) {
+    report.pass('heading-format', {
+      issue: 'Heading Levels',
+      details: 'Headings follow the APA 7 level formats in order'
+    });
+  }
+}
+
+// First word, the first word after a colon, and every word of four or more letters capitalized
+export function isTitleCase(text) {
+  const words = text.replace(/[.?!]$/, '').split(/\s+/);
+  return words.every((word, i) => {
+    const letters = word.replace(/^[^\p{L}]+/u, '');
+    if (!letters || !/^\p{L}/u.test(letters)) return true;
+    const mustCapitalize = i === 0 || /:$/.test(words[i - 1]) || letters.replace(/[^\p{L}]/gu, '').length >= 4;
+    return !mustCapitalize || /^\p{Lu}/u.test(letters);
+  });
+}
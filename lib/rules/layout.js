@@ -0,0 +1,147 @@
+import { describeParagraphs, targetParagraphs, twipsToInches } from './describe.js';
+
+// APA-approved fonts and the point size each one is used at
+export const FONT_SIZES = { 'Times New Roman': 12, 'Calibri': 11, 'Arial': 11, 'Georgia': 11 };
+
+// Formatting shared by every style guide. Each guide passes its own font list.
+export const RULES = [
+  { id: 'font-family', title: 'Approved font', severity: 'error', weight: 10, maxPenalty: 10 },
+  { id: 'margins', title: '1-inch margins', severity: 'error', weight: 8, maxPenalty: 8 },
+  { id: 'font-size', title: 'Font size matches the font', severity: 'error', weight: 8, maxPenalty: 8 },
+  { id: 'line-spacing', title: 'Double spacing', severity: 'error', weight: 8, maxPenalty: 8 },
+  { id: 'paragraph-indent', title: '0.5-inch first-line indent', severity: 'warning', weight: 5, maxPenalty: 5 }
+];
+
+export function validateFonts(model, paragraphs, report, fontSizes = FONT_SIZES) {
+  const acceptableFonts = Object.keys(fontSizes);
+  const fontList = describeFonts(fontSizes);
+  const isApproved = font => acceptableFonts.some(acceptable => font.includes(acceptable));
+
+  // Every font of every paragraph counts, so one paragraph pasted in from elsewhere is found
+  report.checked('font-family', paragraphs);
+  const offending = paragraphs.filter(p => p.fonts.some(font => !isApproved(font)));
+  const otherFonts = [...new Set(offending.flatMap(p => p.fonts.filter(font => !isApproved(font))))];
+
+  if (offending.length === 0 && model.fonts.size > 0) {
+    report.pass('font-family', {
+      issue: 'Font Type',
+      details: 'Using an approved font'
+    });
+  } else if (offending.length > 0) {
+    report.fail('font-family', {
+      issue: 'Non-standard Font',
+      details: `${otherFonts.join(', ')} may not meet the style guide`,
+      location: describeParagraphs(offending),
+      targets: targetParagraphs(offending),
+      fix: `Use ${fontList}`,
+      autoFix: { type: 'font' }
+    });
+  }
+
+  // Font size: each approved font has its own required size
+  report.checked('font-size', paragraphs);
+  const wrongSizes = paragraphs.filter(p => {
+    const font = p.fonts[0] || model.defaultFont;
+    const size = p.fontSizes[0] || model.fontSize;
+    const approved = acceptableFonts.find(acceptable => font && font.includes(acceptable));
+    return approved && size && size !== fontSizes[approved];
+  });
+  if (wrongSizes.length > 0) {
+    const sample = wrongSizes[0];
+    const font = sample.fonts[0] || model.defaultFont;
+    const approved = acceptableFonts.find(acceptable => font.includes(acceptable));
+    report.fail('font-size', {
+      issue: 'Incorrect Font Size',
+      details: `${approved} should be ${fontSizes[approved]}pt (found ${sample.fontSizes[0] || model.fontSize}pt)`,
+      location: describeParagraphs(wrongSizes),
+      targets: targetParagraphs(wrongSizes),
+      fix: `Use ${fontList}`,
+      autoFix: { type: 'fontSize', paragraphs: wrongSizes.map(p => p.index), sizes: fontSizes }
+    });
+  } else if (model.fontSize) {
+    report.pass('font-size', {
+      issue: 'Font Size',
+      details: 'Font size matches the font in use'
+    });
+  }
+}
+
+// "Times New Roman 12pt, Calibri 11pt, or Arial 11pt"
+function describeFonts(fontSizes) {
+  const fonts = Object.entries(fontSizes).map(([font, size]) => `${font} ${size}pt`);
+  return fonts.length > 1 ? `${fonts.slice(0, -1).join(', ')}, or ${fonts[fonts.length - 1]}` : fonts[0];
+}
+
+// Margins: 1 inch (1440 twips) on every side of every section
+export function validateMargins(model, report) {
+  const sections = model.sections.filter(section =>
+    Object.values(section.margins).every(value => value !== null)
+  );
+  const badSections = sections.filter(section =>
+    Object.values(section.margins).some(value => value !== 1440)
+  );
+  if (sections.length > 0 && badSections.length === 0) {
+    report.pass('margins', {
+      issue: 'Margins',
+      details: '1-inch margins on all sides'
+    });
+  }
+  badSections.forEach(section => {
+    const sides = Object.entries(section.margins)
+      .filter(([, value]) => value !== 1440)
+      .map(([side, value]) => `${side} ${twipsToInches(value)}"`);
+    report.fail('margins', {
+      issue: 'Incorrect Margins',
+      details: `Margins should be 1 inch on all sides (found ${sides.join(', ')})`,
+      location: `Section ${section.index + 1}`,
+      targets: targetParagraphs(model.paragraphs.filter(p => p.sectionIndex === section.index).slice(0, 1)),
+      fix: 'Layout > Margins > Normal (1" top, bottom, left, right)',
+      autoFix: { type: 'margins', section: section.index }
+    });
+  });
+}
+
+// Line spacing: double spacing is w:line="480" with the auto line rule
+export function validateLineSpacing(model, bodyText, report) {
+  report.checked('line-spacing', bodyText);
+  const notDoubleSpaced = bodyText.filter(p => {
+    const line = p.lineSpacing ?? model.spacing.line;
+    const rule = p.lineRule ?? model.spacing.lineRule;
+    return line !== 480 || (rule && rule !== 'auto');
+  });
+  if (notDoubleSpaced.length === 0) {
+    report.pass('line-spacing', {
+      issue: 'Line Spacing',
+      details: 'Text is double-spaced'
+    });
+  } else {
+    report.fail('line-spacing', {
+      issue: 'Not Double-Spaced',
+      details: `${notDoubleSpaced.length} paragraph(s) are not double-spaced`,
+      location: describeParagraphs(notDoubleSpaced),
+      targets: targetParagraphs(notDoubleSpaced),
+      fix: 'Select all text, then Paragraph > Line spacing > Double',
+      autoFix: { type: 'doubleSpacing', paragraphs: notDoubleSpaced.map(p => p.index) }
+    });
+  }
+}
+
+// Paragraph indentation: 0.5 inch (720 twips) first line for body text
+export function validateIndentation(bodyParagraphs, report) {
+  report.checked('paragraph-indent', bodyParagraphs);
+  const badIndents = bodyParagraphs.filter(p => p.indent !== 720);
+  if (bodyParagraphs.length > 0 && badIndents.length === 0) {
+    report.pass('paragraph-indent', {
+      issue: 'Paragraph Indentation',
+      details: 'Body paragraphs use a 0.5-inch first-line indent'
+    });
+  } else if (badIndents.length > 0) {
+    report.fail('paragraph-indent', {
+      issue: 'Paragraph Indentation',
+      details: `${badIndents.length} body paragraph(s) lack a 0.5-inch first-line indent`,
+      location: describeParagraphs(badIndents),
+      targets: targetParagraphs(badIndents),
+      fix: 'Paragraph > Indentation > Special: First line, By: 0.5"'
+    });
+  }
+}
@@ -0,0 +1,66 @@
+import { countWords } from './describe.js';
+
+// Footnotes and endnotes: APA keeps them for content notes and copyright permissions.
+// Sources are cited in the text, and content notes stay brief.
+export const RULES = [
+  { id: 'note-citation', title: 'Sources cited in the text rather than in notes', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'note-length', title: 'Brief content notes', severity: 'warning', weight: 2, maxPenalty: 4 },
+  { id: 'note-count', title: 'Notes used sparingly', severity: 'warning', weight: 2, maxPenalty: 2 }
+];
+
+const MAX_NOTE_WORDS = 100;
+const MAX_NOTES = 5;
+
+// Copyright permission notes name their source on purpose
+const COPYRIGHT_NOTE = /copyright|©|reprinted|adapted from|permission/i;
+// Ibid., "See Smith (2020)", a page locator or a publication year followed by punctuation
+const CITATION_NOTE = /\bibid\b|\bop\. cit\.|^\s*(see|cf\.)\s|\bpp?\.\s*\d|\((1[5-9]|20)\d{2}[a-z]?\)|\b(1[5-9]|20)\d{2}[a-z]?[,.;]\s/i;
+
+export function validateNotes(model, report) {
+  const notes = [
+    ...model.footnotes.map((note, i) => ({ ...note, name: `Footnote ${i + 1}` })),
+    ...model.endnotes.map((note, i) => ({ ...note, name: `Endnote ${i + 1}` }))
+  ].filter(note => note.text && note.paragraphIndex !== null);
+  if (notes.length === 0) return;
+
+  const findingsBefore = report.findingCount();
+  report.checked(['note-citation', 'note-length', 'note-count'], notes.map(note => model.paragraphs[note.paragraphIndex]));
+  const addFinding = (rule, note, issue, details, fix) => {
+    report.fail(rule, {
+      issue, details, fix,
+      location: `${note.name}, paragraph ${note.paragraphIndex + 1} ("${note.text.substring(0, 30)}")`,
+      targets: [{ paragraph: note.paragraphIndex }]
+    });
+  };
+
+  notes.forEach(note => {
+    if (!COPYRIGHT_NOTE.test(note.text) && CITATION_NOTE.test(note.text)) {
+      addFinding('note-citation', note, 'Citation in a Note',
+        `${note.name} appears to cite a source: "${note.text.substring(0, 60)}"`,
+        'Cite sources in the text as (Author, Year, p. x) and list them in the References');
+    }
+
+    const words = countWords(note.text);
+    if (words > MAX_NOTE_WORDS) {
+      addFinding('note-length', note, 'Long Content Note',
+        `${note.name} is ${words} words; content notes should convey one brief idea`,
+        'Move the material into the text or an appendix, or shorten the note');
+    }
+  });
+
+  if (notes.length > MAX_NOTES) {
+    report.fail('note-count', {
+      issue: 'Many Notes',
+      details: `The paper has ${notes.length} notes; APA discourages footnotes except for content and copyright notes`,
+      targets: notes.map(note => ({ paragraph: note.paragraphIndex })),
+      fix: 'Work supplementary material into the text and keep notes for brief asides and permissions'
+    });
+  }
+
+  if (report.findingCount() === findingsBefore) {
+    report.pass('note-citation', {
+      issue: 'Notes',
+      details: `${notes.length} note(s) are brief content or copyright notes`
+    });
+  }
+}
@@ -0,0 +1,63 @@
+import { isPageField } from '../model.js';
+
+export const RULES = [
+  { id: 'page-numbers', title: 'Page number on every page', severity: 'error', weight: 8, maxPenalty: 8 },
+  { id: 'page-number-position', title: 'Page number flush right in the header', severity: 'error', weight: 4, maxPenalty: 8 }
+];
+
+// Page numbers: a PAGE field, flush right in the header, on every page of every section
+export function validatePageNumbers(model, report) {
+  if (!model.hasPageNumbers) {
+    report.fail('page-numbers', {
+      issue: 'Missing Page Numbers',
+      details: 'No page number field found in any header or footer',
+      fix: 'Insert > Page Number > Top of Page > Plain Number 3 (flush right)',
+      autoFix: { type: 'pageNumbers' }
+    });
+    return;
+  }
+
+  const problems = [];
+  model.sections.forEach(section => {
+    // Which header Word shows on which pages of this section
+    const slots = [['default', model.settings.evenAndOddHeaders ? 'odd-page' : 'page']];
+    if (section.titlePage) slots.push(['first', 'first-page']);
+    if (model.settings.evenAndOddHeaders) slots.push(['even', 'even-page']);
+
+    slots.forEach(([type, label]) => {
+      const location = `Section ${section.index + 1}, ${label} header`;
+      const pageNumber = findPageNumber(section.headers[type]);
+      if (!pageNumber) {
+        problems.push(findPageNumber(section.footers[type])
+          ? { rule: 'page-number-position', issue: 'Page Number in Footer', details: `The ${label} page number is in the footer`, location,
+              fix: 'Move the page number to the header, flush right' }
+          : { rule: 'page-numbers', issue: 'Missing Page Numbers', details: `The ${label} header has no page number`, location,
+              fix: type === 'first'
+                ? 'The title page needs a page number too: add one to the first-page header'
+                : 'Insert > Page Number > Top of Page > Plain Number 3 (flush right)',
+              autoFix: { type: 'pageNumbers', section: section.index, slot: type } });
+      } else if (!isFlushRight(pageNumber)) {
+        problems.push({ rule: 'page-number-position', issue: 'Page Number Alignment', details: `The ${label} page number is not flush right`, location,
+          fix: 'Right-align the page number, or put it after a tab at the right margin' });
+      }
+    });
+  });
+
+  problems.forEach(({ rule, ...problem }) => report.fail(rule, problem));
+  if (problems.length === 0) {
+    report.pass('page-numbers', {
+      issue: 'Page Numbers',
+      details: 'Page numbers appear flush right in the header'
+    });
+  }
+}
+
+function findPageNumber(part) {
+  const field = part?.fields.find(isPageField);
+  return field ? { field, paragraph: part.paragraphs[field.paragraphIndex] } : null;
+}
+
+// Right-aligned, or pushed to a right tab stop as in "RUNNING HEAD<tab>1"
+function isFlushRight({ field, paragraph }) {
+  return paragraph.alignment === 'right' || paragraph.text.slice(0, field.start).includes('\t');
+}
@@ -0,0 +1,273 @@
+import { describeParagraphs } from './describe.js';
+
+// APA 7 mechanics (chapter 6) and bias-free language (chapter 5), checked on the text
+// mammoth extracts. Every finding targets the exact characters it is about.
+export const RULES = [
+  { id: 'serial-comma', title: 'Serial comma before the last item of a list', severity: 'warning', weight: 1, maxPenalty: 4 },
+  { id: 'number-words', title: 'Numbers under 10 written as words', severity: 'warning', weight: 1, maxPenalty: 4 },
+  { id: 'abbreviation-defined', title: 'Abbreviations defined at first use', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'sentence-spacing', title: 'One space after a period', severity: 'warning', weight: 1, maxPenalty: 3 },
+  { id: 'ampersand-in-text', title: '"&" only inside parentheses', severity: 'warning', weight: 1, maxPenalty: 3 },
+  { id: 'bias-gendered-terms', title: 'Gender-neutral generic terms', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'bias-labels', title: 'People described without labels', severity: 'warning', weight: 2, maxPenalty: 6 }
+];
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+
+const QUOTED = /["“][^"“”]*["”]/g;
+const SENTENCE_SPACES = /(?<=[.?!]["”’)\]]?) {2,}(?=\S)/g;
+
+// "anxiety, stress and sleep": the last two items are joined without a comma
+const UNFINISHED_LIST = /(?<![\p{L}\d-])([\p{L}-]+), ((?:[\p{L}-]+ ){0,2}[\p{L}-]+) (and|or) (?=[\p{L}\d])/gu;
+// A comma after an opening phrase ("In the lab, participants and controls") is not a list
+const INTRODUCTORY = /^\s*(about|after|again|also|although|as|at|because|before|besides|by|consequently|currently|during|finally|first|for|from|furthermore|here|however|if|in|indeed|instead|meanwhile|moreover|next|nonetheless|on|once|overall|second|similarly|since|so|specifically|still|then|there|therefore|third|though|thus|to|today|unlike|until|when|whereas|while|with|within|without|yet)\b/i;
+const CLAUSE_WORDS = /^(who|which|that|whose|where|when|but|so|and|or)\b/i;
+
+const SINGLE_DIGIT = /(?<![\d.,$/:–-])\b\d\b(?![.,:/]\d|[%\d–-])/g;
+// Numerals stay numerals in a series (Table 3, p. 4), after statistics (n = 5) and in lists (1)
+const NUMERAL_BEFORE = /(\p{Lu}\p{L}*\.?|\bpp?\.|\bparas?\.|\bno\.|\bages?|\baged|[=<>≤≥±×(])\s*$/u;
+// ... and before units, percentages, durations, times and scale points
+const NUMERAL_AFTER = /^\s*(%|\)|(percent|times|mm|cm|m|km|in|ft|mg|g|kg|ml|mL|L|s|ms|min|hr|h|hours?|minutes?|seconds?|days?|weeks?|months?|years?|yr|points?|a\.m\.|p\.m\.|am|pm|dollars?|cents?)\b)/;
+const LARGER_NUMBER = /(?<![\d.])\b\d{2,3}\b(?![.,]\d)/;
+
+const ABBREVIATION = /(?<![\p{L}\d-])\p{Lu}{2,}(?:-\d+)?s?(?![\p{L}\d])/gu;
+// Abbreviations used as words, and statistical ones APA does not spell out
+const WELL_KNOWN = new Set([
+  'AIDS', 'HIV', 'IQ', 'REM', 'ESP', 'DNA', 'RNA', 'US', 'USA', 'UK', 'UN', 'EU', 'TV', 'OK', 'ID', 'AM', 'PM',
+  'SD', 'SE', 'CI', 'OR', 'ANOVA', 'ANCOVA', 'MANOVA', 'MANCOVA'
+]);
+const ROMAN_NUMERAL = /^[IVXLC]+$/;
+
+const GENDERED_TERMS = {
+  'mankind': 'humankind or people',
+  'man-made': 'human-made or artificial',
+  'manpower': 'workforce or personnel',
+  'man-hours': 'person-hours or work hours',
+  'chairman': 'chair or chairperson',
+  'chairwoman': 'chair or chairperson',
+  'businessman': 'businessperson',
+  'businessmen': 'businesspeople',
+  'spokesman': 'spokesperson',
+  'salesman': 'salesperson',
+  'congressman': 'member of Congress or legislator',
+  'policeman': 'police officer',
+  'policemen': 'police officers',
+  'fireman': 'firefighter',
+  'firemen': 'firefighters',
+  'mailman': 'mail carrier',
+  'layman': 'layperson',
+  'laymen': 'laypeople',
+  'stewardess': 'flight attendant',
+  'forefathers': 'ancestors',
+  'freshman': 'first-year student',
+  'freshmen': 'first-year students',
+  'he or she': 'they',
+  'she or he': 'they',
+  'he/she': 'they',
+  's/he': 'they',
+  'him or her': 'them',
+  'his or her': 'their',
+  'his/her': 'their',
+  'himself or herself': 'themselves'
+};
+
+const LABELS = {
+  'the elderly': 'older adults',
+  'elderly': 'older',
+  'senior citizens': 'older adults',
+  'the disabled': 'disabled people or people with disabilities',
+  'the handicapped': 'disabled people or people with disabilities',
+  'handicapped': 'disabled',
+  'wheelchair-bound': 'who uses a wheelchair',
+  'confined to a wheelchair': 'who uses a wheelchair',
+  'suffers from': 'has',
+  'suffer from': 'have',
+  'suffering from': 'with',
+  'afflicted with': 'with',
+  'the mentally ill': 'people with a mental illness',
+  'mentally retarded': 'with an intellectual disability',
+  'schizophrenics': 'people with schizophrenia',
+  'diabetics': 'people with diabetes',
+  'epileptics': 'people with epilepsy',
+  'addicts': 'people with a substance use disorder',
+  'alcoholics': 'people with an alcohol use disorder',
+  'the homeless': 'people experiencing homelessness',
+  'the poor': 'people with low incomes',
+  'homosexuals': 'gay men and lesbians, or sexual minority people',
+  'sexual preference': 'sexual orientation',
+  'illegal aliens': 'undocumented immigrants',
+  'illegal immigrants': 'undocumented immigrants',
+  'committed suicide': 'died by suicide',
+  'oriental': 'Asian'
+};
+
+// Capitalized, these are proper nouns such as the Oriental Institute, so only the
+// lowercase word is flagged
+const LOWERCASE_ONLY = new Set(['oriental']);
+
+const GENDERED_PATTERN = termPattern(GENDERED_TERMS);
+const LABEL_PATTERN = termPattern(LABELS);
+
+// `text` is mammoth's raw text and `paragraphs` the running text to check, in order.
+// Citations are left to the citation rules.
+export function validateProse(text, paragraphs, citations, report) {
+  const findingsBefore = report.findingCount();
+  const checked = alignParagraphs(text, paragraphs);
+  if (checked.length === 0) return;
+  report.checked(RULES.map(rule => rule.id), checked);
+
+  const addFinding = (rule, paragraph, spans, issue, details, fix) => {
+    report.fail(rule, {
+      issue, details, fix,
+      location: describeParagraphs([paragraph]),
+      targets: spans.map(([start, end]) => ({ paragraph: paragraph.index, start, end }))
+    });
+  };
+
+  checked.forEach(paragraph => {
+    const { text } = paragraph;
+    const quoted = [...text.matchAll(QUOTED)].map(match => [match.index, match.index + match[0].length]);
+    const cited = citations
+      .filter(citation => citation.paragraphIndex === paragraph.index)
+      .map(citation => [citation.start, citation.end]);
+    // Quotations keep their source's wording
+    const ownWords = (start, end) => !quoted.some(([from, to]) => start < to && end > from);
+
+    for (const match of text.matchAll(UNFINISHED_LIST)) {
+      const [, first, middle, conjunction] = match;
+      const before = text.slice(0, match.index);
+      const clause = before.split(/[.?!;:,]\s/).pop();
+      const inList = /,\s*$/.test(before);
+      if (!inList && INTRODUCTORY.test(clause + first)) continue;
+      if (CLAUSE_WORDS.test(middle) || !ownWords(match.index, match.index + match[0].length)) continue;
+
+      const start = match.index + first.length + 2;
+      const end = start + middle.length + conjunction.length + 1;
+      addFinding('serial-comma', paragraph, [[start, end]], 'Serial Comma',
+        `Add a comma before "${conjunction}" in ${excerpt(text, match.index, end)}`,
+        `Write "${middle}, ${conjunction}" so every item in the list is separated by a comma`);
+    }
+
+    for (const match of text.matchAll(SINGLE_DIGIT)) {
+      const start = match.index;
+      const end = start + 1;
+      if (!ownWords(start, end) || NUMERAL_BEFORE.test(text.slice(0, start)) || NUMERAL_AFTER.test(text.slice(end))) continue;
+      // Numbers compared with numbers of 10 or more are all numerals ("3 of 12 participants")
+      if (LARGER_NUMBER.test(sentenceAround(text, start))) continue;
+
+      addFinding('number-words', paragraph, [[start, end]], 'Number as Numeral',
+        `Numbers under 10 are written as words: ${excerpt(text, start, end)}`,
+        `Write "${NUMBER_WORDS[Number(match[0])]}", unless the number is a measurement, statistic, age, time or score`);
+    }
+
+    const spaces = [...text.matchAll(SENTENCE_SPACES)].map(match => [match.index, match.index + match[0].length]);
+    if (spaces.length > 0) {
+      addFinding('sentence-spacing', paragraph, spaces, 'Two Spaces After a Period',
+        `${spaces.length} sentence(s) in this paragraph are followed by more than one space`,
+        'Use one space after the punctuation at the end of a sentence');
+    }
+
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '(' || char === '[') depth++;
+      if ((char === ')' || char === ']') && depth > 0) depth--;
+      if (char !== '&' || depth > 0 || !/\s/.test(text[i - 1] || '') || !/\s/.test(text[i + 1] || '')) continue;
+      if (cited.some(([from, to]) => i >= from && i < to) || !ownWords(i, i + 1)) continue;
+
+      addFinding('ampersand-in-text', paragraph, [[i, i + 1]], 'Ampersand in Text',
+        `"&" is used in running text: ${excerpt(text, i, i + 1)}`,
+        'Write "and" in the text; "&" belongs only inside parentheses, in tables and in the reference list');
+    }
+
+    const terms = [
+      ['bias-gendered-terms', GENDERED_PATTERN, GENDERED_TERMS, 'Gendered Language', 'is a gendered term for people in general'],
+      ['bias-labels', LABEL_PATTERN, LABELS, 'Labeling Language', 'defines people by a condition or characteristic']
+    ];
+    terms.forEach(([rule, pattern, suggestions, issue, problem]) => {
+      for (const match of text.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        const term = match[0].toLowerCase().replace(/\s+/g, ' ');
+        if (!ownWords(start, end) || (LOWERCASE_ONLY.has(term) && match[0] !== term)) continue;
+        addFinding(rule, paragraph, [[start, end]], issue,
+          `"${match[0]}" ${problem}: ${excerpt(text, start, end)}`,
+          `Consider "${suggestions[term]}"`);
+      }
+    });
+  });
+
+  validateAbbreviations(checked, addFinding);
+
+  if (report.findingCount() === findingsBefore) {
+    report.pass('bias-labels', {
+      issue: 'Writing Mechanics',
+      details: `${checked.length} paragraphs follow APA mechanics and bias-free language`
+    });
+  }
+}
+
+// Abbreviations are spelled out at first use, with the abbreviation in parentheses:
+// "attention-deficit/hyperactivity disorder (ADHD)", or defined right after it. A group author is defined in
+// brackets in its first citation: (American Psychological Association [APA], 2020).
+function validateAbbreviations(paragraphs, addFinding) {
+  const uses = new Map();
+  paragraphs.forEach(paragraph => {
+    for (const match of paragraph.text.matchAll(ABBREVIATION)) {
+      const abbreviation = match[0].replace(/s$/, '');
+      if (WELL_KNOWN.has(abbreviation) || ROMAN_NUMERAL.test(abbreviation)) continue;
+
+      const start = match.index;
+      const end = start + match[0].length;
+      const defines = (/[([]\s*$/.test(paragraph.text.slice(0, start)) && /^\s*[)\];]/.test(paragraph.text.slice(end))) ||
+        /^\s*\(\p{L}/u.test(paragraph.text.slice(end));
+      if (!uses.has(abbreviation)) uses.set(abbreviation, []);
+      uses.get(abbreviation).push({ paragraph, start, end, defines });
+    }
+  });
+
+  uses.forEach((occurrences, abbreviation) => {
+    const [first] = occurrences;
+    if (first.defines) return;
+    const definition = occurrences.find(use => use.defines);
+    addFinding('abbreviation-defined', first.paragraph, [[first.start, first.end]], 'Undefined Abbreviation',
+      definition
+        ? `"${abbreviation}" is used before it is spelled out in paragraph ${definition.paragraph.index + 1}`
+        : `"${abbreviation}" is never spelled out`,
+      `At its first use write the full term followed by (${abbreviation}), then use ${abbreviation} alone`);
+  });
+}
+
+// mammoth's raw text ends every paragraph with a blank line. Its paragraphs are matched to
+// the model's in order; one whose text differs (a field result, a tracked change) is left
+// out rather than checked with offsets that would point at the wrong characters.
+function alignParagraphs(text, paragraphs) {
+  const extracted = text.split('\n\n');
+  let next = 0;
+  return paragraphs.filter(paragraph => {
+    const found = extracted.indexOf(paragraph.text, next);
+    if (found === -1) return false;
+    next = found + 1;
+    return true;
+  });
+}
+
+function termPattern(terms) {
+  const alternatives = Object.keys(terms)
+    .sort((a, b) => b.length - a.length)
+    .map(term => term.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&').replace(/ /g, '\\s+'));
+  return new RegExp(`(?<![\\p{L}-])(${alternatives.join('|')})(?![\\p{L}-])`, 'giu');
+}
+
+function sentenceAround(text, index) {
+  const start = text.slice(0, index).search(/[^.?!]*$/);
+  const end = text.slice(index).search(/[.?!](\s|$)/);
+  return text.slice(start, end === -1 ? undefined : index + end);
+}
+
+function excerpt(text, start, end) {
+  const from = Math.max(0, text.lastIndexOf(' ', Math.max(0, start - 20)) + 1);
+  const to = text.indexOf(' ', Math.min(text.length, end + 20));
+  const snippet = text.slice(from, to === -1 ? undefined : to);
+  return `"${from > 0 ? '…' : ''}${snippet}${to === -1 ? '' : '…'}"`;
+}
@@ -0,0 +1,132 @@
+import { countWords, describeParagraphs, targetParagraphs } from './describe.js';
+
+export const RULES = [
+  { id: 'block-quote-required', title: 'Quotations of 40 or more words as block quotes', severity: 'error', weight: 3, maxPenalty: 9 },
+  { id: 'block-quote-format', title: 'Block quotes indented 0.5 inch without quotation marks', severity: 'error', weight: 3, maxPenalty: 9 },
+  { id: 'block-quote-length', title: 'Quotations under 40 words kept in the text', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'quote-locator', title: 'Page or paragraph number for quotations', severity: 'error', weight: 3, maxPenalty: 9 }
+];
+
+const BLOCK_QUOTE_WORDS = 40;
+// One to three quoted words are usually a term or a coined phrase, not a quotation
+const MIN_QUOTE_WORDS = 4;
+
+const INLINE_QUOTE = /["“]([^"“”]+)["”]/g;
+// (p. 12), (pp. 4–5), (para. 3) or (Smith, 2020, p. 12)
+const LOCATOR = /\([^()]*\b(pp?|paras?)\.\s*\d[^()]*\)/;
+// The same, after a closing quotation mark and before the sentence ends
+const LOCATOR_AFTER_QUOTE = new RegExp(`^[^.?!(]*(\\([^()]*\\)[^.?!(]*)*?${LOCATOR.source}`);
+
+// A block quote sits in from the left margin with no hanging indent. Headings, centered
+// lines and reference entries with their hanging indent are not block quotes.
+export function isBlockQuote(paragraph) {
+  return paragraph.leftIndent > 0 && paragraph.indent >= 0 && !paragraph.isHeading &&
+    !paragraph.isCentered && paragraph.tableIndex === null && Boolean(paragraph.text.trim());
+}
+
+// Consecutive block quote paragraphs form one quotation
+export function findBlockQuotes(paragraphs) {
+  const blocks = [];
+  paragraphs.forEach((paragraph, i) => {
+    if (!isBlockQuote(paragraph)) return;
+    const previous = blocks[blocks.length - 1];
+    if (previous && paragraphs[i - 1] === previous[previous.length - 1]) {
+      previous.push(paragraph);
+    } else {
+      blocks.push([paragraph]);
+    }
+  });
+  return blocks;
+}
+
+export function validateQuotations(paragraphs, report) {
+  const findingsBefore = report.findingCount();
+  const blocks = findBlockQuotes(paragraphs);
+  let quotations = blocks.length;
+  report.checked(['block-quote-required', 'quote-locator'], paragraphs);
+  report.checked(['block-quote-format', 'block-quote-length'], blocks.flat());
+
+  // Quotations run into the text
+  paragraphs.filter(p => !isBlockQuote(p)).forEach(paragraph => {
+    for (const match of paragraph.text.matchAll(INLINE_QUOTE)) {
+      const words = countWords(match[1]);
+      if (words < MIN_QUOTE_WORDS) continue;
+      quotations++;
+
+      const start = match.index;
+      const end = start + match[0].length;
+      const target = [{ paragraph: paragraph.index, start, end }];
+      const quote = `"${match[1].trim().substring(0, 40)}${match[1].length > 40 ? '…' : ''}"`;
+
+      if (words >= BLOCK_QUOTE_WORDS) {
+        report.fail('block-quote-required', {
+          issue: 'Long Quotation Not Blocked',
+          details: `${quote} is ${words} words; quotations of ${BLOCK_QUOTE_WORDS} or more words are block quotes`,
+          location: describeParagraphs([paragraph]),
+          targets: target,
+          fix: 'Start the quotation on a new line, indent the whole block 0.5 inch and remove the quotation marks'
+        });
+      }
+
+      if (!LOCATOR_AFTER_QUOTE.test(paragraph.text.slice(end))) {
+        report.fail('quote-locator', {
+          issue: 'Quotation Without Page Number',
+          details: `${quote} has no page or paragraph number`,
+          location: describeParagraphs([paragraph]),
+          targets: target,
+          fix: 'Add the page after the quotation, e.g. (Smith, 2020, p. 12), or (para. 4) for unpaginated sources'
+        });
+      }
+    }
+  });
+
+  blocks.forEach(block => {
+    const first = block[0];
+    const last = block[block.length - 1];
+    const text = block.map(p => p.text).join(' ');
+    const words = countWords(text.replace(LOCATOR, ''));
+
+    const problems = [];
+    if (block.some(p => p.leftIndent !== 720)) problems.push('be indented 0.5 inch from the left margin');
+    if (/^\s*["“]/.test(first.text) && /["”]\s*(\([^()]*\))?\s*[.?!]?\s*$/.test(last.text)) {
+      problems.push('drop the quotation marks');
+    }
+    if (problems.length > 0) {
+      report.fail('block-quote-format', {
+        issue: 'Block Quotation Format',
+        details: `The block quotation should ${problems.join(' and ')}`,
+        location: describeParagraphs(block),
+        targets: targetParagraphs(block),
+        fix: 'Paragraph > Indentation > Left: 0.5", Special: (none); no quotation marks around the block'
+      });
+    }
+
+    if (words < BLOCK_QUOTE_WORDS) {
+      report.fail('block-quote-length', {
+        issue: 'Short Block Quotation',
+        details: `This block quotation is ${words} words; quotations under ${BLOCK_QUOTE_WORDS} words run into the text in quotation marks`,
+        location: describeParagraphs(block),
+        targets: targetParagraphs(block),
+        fix: 'Move the quotation into the paragraph and enclose it in double quotation marks'
+      });
+    }
+
+    // The citation comes after the block's final punctuation
+    if (!LOCATOR.test(last.text.slice(-80))) {
+      report.fail('quote-locator', {
+        issue: 'Block Quotation Without Page Number',
+        details: 'The block quotation does not end with a citation that gives a page or paragraph number',
+        location: describeParagraphs([last]),
+        targets: targetParagraphs([last]),
+        fix: 'End the block with the citation after the final punctuation, e.g. . (Smith, 2020, p. 12)'
+      });
+    }
+  });
+
+  if (quotations > 0 && report.findingCount() === findingsBefore) {
+    report.pass('quote-locator', {
+      issue: 'Quotations',
+      details: `${quotations} quotation(s) are formatted for their length and give a page number`
+    });
+  }
+}
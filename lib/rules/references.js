@@ -0,0 +1,260 @@
+import { CITATION_YEAR } from '../citations.js';
+import { targetParagraphs } from './describe.js';
+
+export const RULES = [
+  { id: 'references-present', title: 'References section', severity: 'warning', weight: 5, maxPenalty: 5 },
+  { id: 'references-empty', title: 'Entries below the References heading', severity: 'warning', weight: 5, maxPenalty: 5 },
+  { id: 'reference-format', title: 'Author, date, title and source elements', severity: 'error', weight: 3, maxPenalty: 9 },
+  { id: 'reference-year', title: 'Year in parentheses', severity: 'error', weight: 3, maxPenalty: 9 },
+  { id: 'reference-authors', title: 'Author name format', severity: 'error', weight: 3, maxPenalty: 9 },
+  { id: 'reference-title-case', title: 'Sentence case reference titles', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'reference-italics', title: 'Italics in reference entries', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'reference-doi', title: 'DOIs as https://doi.org/ URLs', severity: 'error', weight: 3, maxPenalty: 9 },
+  { id: 'reference-hanging-indent', title: '0.5-inch hanging indent', severity: 'error', weight: 5, maxPenalty: 5 },
+  { id: 'reference-order', title: 'Alphabetical reference list', severity: 'warning', weight: 2, maxPenalty: 6 }
+];
+
+// Reference list: one entry per paragraph between the References heading and the next heading
+export function parseReferenceList(paragraphs, referencesHeading) {
+  const entries = [];
+  for (const paragraph of paragraphs) {
+    if (paragraph.index <= referencesHeading.index) continue;
+    if (paragraph.isHeading) break;
+    entries.push(parseReferenceEntry(paragraph, entries.length));
+  }
+  return entries;
+}
+
+function parseReferenceEntry(paragraph, index) {
+  const text = paragraph.text.trim();
+  const entry = {
+    index,
+    paragraph,
+    text,
+    authors: '',
+    surnames: [],
+    year: null,
+    yearInParentheses: false,
+    title: '',
+    source: '',
+    type: 'book'
+  };
+
+  // Author. (Year). Title. Source.
+  const dated = text.match(new RegExp(String.raw`^(.+?)\s*\((${CITATION_YEAR})(?:,[^)]*)?\)\.?\s*([\s\S]*)$`));
+  // The authors keep their closing period, as in the dated form, so the last initial stays "R."
+  const undated = text.match(/^(.+?\.?)\s+(\d{4}[a-z]?)\.\s+([\s\S]*)$/);
+  const parts = dated || undated;
+  if (!parts) return entry;
+
+  entry.authors = parts[1].trim();
+  entry.surnames = parseAuthorSurnames(entry.authors);
+  entry.year = parts[2];
+  entry.yearInParentheses = Boolean(dated);
+
+  const titleMatch = parts[3].match(/^((?:[^(]|\([^)]*\))+?[.?!])(?=\s|$)\s*([\s\S]*)$/);
+  entry.title = titleMatch ? titleMatch[1].replace(/\.$/, '') : parts[3];
+  entry.source = titleMatch ? titleMatch[2] : '';
+
+  if (/^In\s/.test(entry.source)) {
+    entry.type = 'chapter';
+  } else if (/\bReport\b|\(Report No\./i.test(entry.title + ' ' + entry.source)) {
+    entry.type = 'report';
+  } else if (/^[^,]+,\s*\d+(\(\d+[^)]*\))?(,\s*[e\d][\d–-]*)?/.test(entry.source) && !/^https?:/.test(entry.source)) {
+    entry.type = 'journal';
+  } else if (/https?:\/\/(?!(dx\.)?doi\.org)/.test(entry.source)) {
+    entry.type = 'webpage';
+  }
+
+  return entry;
+}
+
+export function validateReferenceList(entries, report) {
+  if (entries.length === 0) {
+    report.fail('references-empty', {
+      issue: 'Empty References Section',
+      details: 'No entries found after the References heading',
+      fix: 'List every cited source below the References heading'
+    });
+    return;
+  }
+
+  const addFinding = (rule, entry, issue, details, fix) => {
+    report.fail(rule, { issue, details, location: describeReference(entry), targets: targetParagraphs([entry.paragraph]), fix });
+  };
+  const findingsBefore = report.findingCount();
+  report.checked(RULES.filter(rule => rule.id.startsWith('reference-')).map(rule => rule.id),
+    entries.map(entry => entry.paragraph));
+
+  entries.forEach(entry => {
+    if (!entry.year) {
+      addFinding('reference-format', entry, 'Reference Not in APA Format',
+        'Could not find the author, date and title elements of this entry',
+        'Use Author, A. A. (Year). Title. Source.');
+      return;
+    }
+
+    if (!entry.yearInParentheses) {
+      addFinding('reference-year', entry, 'Reference Year Format',
+        `The year "${entry.year}" should be in parentheses after the authors`,
+        'Write the date as (2020). followed by the title');
+    }
+
+    const authorProblem = checkReferenceAuthors(entry.authors);
+    if (authorProblem) {
+      addFinding('reference-authors', entry, 'Reference Author Format', authorProblem,
+        'Write authors as Surname, I. I., joined by commas with "&" before the last author');
+    }
+
+    if (!isSentenceCase(entry.title)) {
+      addFinding('reference-title-case', entry, 'Reference Title Case',
+        `"${entry.title.substring(0, 40)}" should be in sentence case`,
+        'Capitalize only the first word, the first word after a colon, and proper nouns');
+    }
+
+    const italicProblem = checkReferenceItalics(entry);
+    if (italicProblem) {
+      addFinding('reference-italics', entry, 'Reference Italics', italicProblem.details, italicProblem.fix);
+    }
+
+    const doi = entry.text.match(/(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)10\.\S+/i);
+    if (doi && !doi[0].startsWith('https://doi.org/')) {
+      addFinding('reference-doi', entry, 'DOI Format',
+        `"${doi[0]}" should be written as an https://doi.org/ URL`,
+        'Format DOIs as https://doi.org/10.xxxx/xxxxx');
+    }
+  });
+
+  // Hanging indent of 0.5 inch
+  const noHangingIndent = entries.filter(entry => entry.paragraph.indent !== -720);
+  if (noHangingIndent.length > 0) {
+    report.fail('reference-hanging-indent', {
+      issue: 'Reference Hanging Indent',
+      details: `${noHangingIndent.length} reference(s) lack a 0.5-inch hanging indent`,
+      location: noHangingIndent.slice(0, 3).map(describeReference).join(', ') +
+        (noHangingIndent.length > 3 ? ` and ${noHangingIndent.length - 3} more` : ''),
+      targets: targetParagraphs(noHangingIndent.map(entry => entry.paragraph)),
+      fix: 'Paragraph > Indentation > Special: Hanging, By: 0.5"',
+      autoFix: { type: 'hangingIndent', paragraphs: noHangingIndent.map(entry => entry.paragraph.index) }
+    });
+  }
+
+  // Alphabetical order by first author surname, then the rest of the author list, then year
+  for (let i = 1; i < entries.length; i++) {
+    if (compareReferences(entries[i - 1], entries[i]) > 0) {
+      addFinding('reference-order', entries[i], 'Reference Order',
+        `This entry should come before "${entries[i - 1].text.substring(0, 30)}"`,
+        'Sort the reference list alphabetically by the first author\'s surname');
+    }
+  }
+
+  if (report.findingCount() === findingsBefore) {
+    report.pass('reference-format', {
+      issue: 'Reference Entries',
+      details: `All ${entries.length} references follow APA 7 format`
+    });
+  }
+}
+
+export function describeReference(entry) {
+  return `Reference ${entry.index + 1}, paragraph ${entry.paragraph.index + 1} ("${entry.text.substring(0, 30)}")`;
+}
+
+// Surname, I. I., Surname, I. I., & Surname, I. I. -- or a single group author
+function checkReferenceAuthors(authors) {
+  const names = splitAuthorNames(authors);
+  if (names.length === 1 && !names[0].includes(',')) return null;
+
+  const person = /^(?:\p{Ll}+ )*[\p{Lu}][\p{L}'’-]*(?: [\p{L}'’-]+)*, (?:\p{Lu}\.(?:[ -]\p{Lu}\.)*)(?:,? (?:Jr\.|Sr\.|I{2,3}|IV))?$/u;
+
+  if (names.length > 1 && !/,\s*&\s/.test(authors) && !authors.includes('. . .')) {
+    return /\sand\s/.test(authors)
+      ? 'Use "&" rather than "and" before the last author'
+      : 'Separate the last two authors with ", &"';
+  }
+
+  const badName = names.find(name => !person.test(name) && !name.startsWith('. . .'));
+  if (badName) {
+    return `"${badName}" should be written as Surname, I. I.`;
+  }
+  return null;
+}
+
+function splitAuthorNames(authors) {
+  const list = authors.replace(/\s*\(Eds?\.\)\.?$/, '').replace(/,?\s+(&|and)\s+/, ', & ');
+  if (!list.includes(',')) return [list.replace(/\.$/, '').trim()];
+  return list.split(/,\s*&\s*|(?<=\.),\s+/).map(name => name.trim()).filter(Boolean);
+}
+
+// "Brown, A. B., & Green, C." gives ["Brown", "Green"]; a group author is kept whole
+function parseAuthorSurnames(authors) {
+  return splitAuthorNames(authors)
+    .filter(name => !name.startsWith('. . .'))
+    .map(name => name.split(',')[0].trim());
+}
+
+// Capitalized words after the first, ignoring the first word after a colon and acronyms
+function isSentenceCase(title) {
+  const words = title.split(/\s+/);
+  let eligible = 0;
+  let capitalized = 0;
+
+  words.forEach((word, i) => {
+    if (i === 0 || /[:?!]$/.test(words[i - 1]) || word.length < 4) return;
+    if (/^[\p{Lu}\d\W]+$/u.test(word)) return;
+    eligible++;
+    if (/^\p{Lu}/u.test(word)) capitalized++;
+  });
+
+  return capitalized < 2 || capitalized <= eligible / 2;
+}
+
+function checkReferenceItalics(entry) {
+  const { paragraph } = entry;
+  const isItalic = (segment, shouldBe) => {
+    const start = paragraph.text.indexOf(segment);
+    if (!segment || start === -1) return true;
+    const runs = paragraph.runs.filter(run =>
+      run.end > start && run.start < start + segment.length && run.text.trim()
+    );
+    return runs.every(run => run.italic === shouldBe);
+  };
+
+  if (entry.type === 'journal') {
+    const source = entry.source.match(/^([^,]+),\s*(\d+)/);
+    if (source && (!isItalic(source[1], true) || !isItalic(`, ${source[2]}`, true))) {
+      return {
+        details: `Journal name "${source[1]}" and volume ${source[2]} should be italic`,
+        fix: 'Italicize the journal name and volume number, but not the issue number'
+      };
+    }
+    if (!isItalic(entry.title, false)) {
+      return {
+        details: 'Article titles should not be italic',
+        fix: 'Remove italics from the article title'
+      };
+    }
+  } else if (entry.type === 'chapter') {
+    const book = entry.source.match(/\(Eds?\.\),\s*(.+?)\s*\(/);
+    if (book && !isItalic(book[1], true)) {
+      return {
+        details: `Book title "${book[1].substring(0, 40)}" should be italic`,
+        fix: 'Italicize the title of the edited book, not the chapter'
+      };
+    }
+  } else if (!isItalic(entry.title.replace(/\s*\(.*\)$/, ''), true)) {
+    return {
+      details: `Title "${entry.title.substring(0, 40)}" should be italic`,
+      fix: `Italicize the title of a ${{ book: 'book', report: 'report', webpage: 'web page' }[entry.type]}`
+    };
+  }
+  return null;
+}
+
+function compareReferences(a, b) {
+  const key = (entry) => entry.authors.toLowerCase().replace(/[^\p{L}\s,]/gu, '');
+  const surname = (entry) => key(entry).split(',')[0].trim();
+  return surname(a).localeCompare(surname(b)) ||
+         key(a).localeCompare(key(b)) ||
+         String(a.year).localeCompare(String(b.year));
+}
@@ -0,0 +1,97 @@
+import { describeParagraphs, targetParagraphs } from './describe.js';
+
+// Works Cited (MLA) and Bibliography (Chicago): a centered label on a new page, then one
+// entry per paragraph up to the next heading. APA's reference list has its own parser
+// in references.js because its entries are checked element by element.
+export function findSourceList(paragraphs, labels) {
+  const heading = paragraphs.find(p => labels.includes(p.text.trim()));
+  if (!heading) return null;
+
+  const entries = [];
+  for (const paragraph of paragraphs.filter(p => p.index > heading.index)) {
+    if (paragraph.isHeading) break;
+    entries.push(paragraph);
+  }
+  const startsPage = !paragraphs.some(p => p.page === heading.page && p.index < heading.index);
+  return { heading, entries, startsPage };
+}
+
+// `rules` names the guide's rule ids for the label, hanging indent and order checks
+export function validateSourceList(list, name, rules, report) {
+  const { heading, entries, startsPage } = list;
+  const findingsBefore = report.findingCount();
+  report.checked(rules.label, [heading]);
+  report.checked([rules.indent, rules.order], entries);
+
+  const labelProblems = [];
+  if (!heading.isCentered) labelProblems.push('centered');
+  if (heading.isBold || heading.isItalic) labelProblems.push('in plain type');
+  if (labelProblems.length > 0) {
+    report.fail(rules.label, {
+      issue: `${name} Label`,
+      details: `The "${heading.text.trim()}" label should be ${labelProblems.join(' and ')}`,
+      location: describeParagraphs([heading]),
+      targets: targetParagraphs([heading]),
+      fix: `Center the label "${name}" at the top of the page, without bold or italics`
+    });
+  }
+
+  if (!startsPage) {
+    report.fail(rules.label, {
+      issue: `${name} Page`,
+      details: `${name} does not start on a new page`,
+      location: describeParagraphs([heading]),
+      targets: targetParagraphs([heading]),
+      fix: `Insert a page break before the "${name}" label`
+    });
+  }
+
+  if (entries.length === 0) {
+    report.fail(rules.label, {
+      issue: `Empty ${name}`,
+      details: `No entries found after the ${name} label`,
+      location: describeParagraphs([heading]),
+      targets: targetParagraphs([heading]),
+      fix: `List every source you cite below the ${name} label`
+    });
+    return;
+  }
+
+  const noHangingIndent = entries.filter(entry => entry.indent !== -720);
+  if (noHangingIndent.length > 0) {
+    report.fail(rules.indent, {
+      issue: `${name} Hanging Indent`,
+      details: `${noHangingIndent.length} of ${entries.length} entries lack a 0.5-inch hanging indent`,
+      location: describeParagraphs(noHangingIndent),
+      targets: targetParagraphs(noHangingIndent),
+      fix: 'Paragraph > Indentation > Special: Hanging, By: 0.5"',
+      autoFix: { type: 'hangingIndent', paragraphs: noHangingIndent.map(entry => entry.index) }
+    });
+  }
+
+  // Alphabetical by the first word of the entry, ignoring a leading article
+  for (let i = 1; i < entries.length; i++) {
+    if (sortKey(entries[i - 1]).localeCompare(sortKey(entries[i])) > 0) {
+      report.fail(rules.order, {
+        issue: `${name} Order`,
+        details: `This entry should come before "${entries[i - 1].text.trim().substring(0, 30)}"`,
+        location: describeParagraphs([entries[i]]),
+        targets: targetParagraphs([entries[i]]),
+        fix: `Sort ${name} alphabetically by the author's surname, or by title when there is no author`
+      });
+    }
+  }
+
+  if (report.findingCount() === findingsBefore) {
+    report.pass(rules.label, {
+      issue: name,
+      details: `${entries.length} entries, alphabetized with hanging indents`
+    });
+  }
+}
+
+function sortKey(paragraph) {
+  return paragraph.text.trim().toLowerCase()
+    .replace(/^(the|an?)\s+/, '')
+    .replace(/[^\p{L}\d\s]/gu, '');
+}
@@ -0,0 +1,185 @@
+import { isVisibleBorder } from '../styles.js';
+import { describeParagraphs, ordinal, targetParagraphs } from './describe.js';
+import { isTitleCase } from './headings.js';
+
+// Tables and figures: a bold "Table 1" label, an italic title on the next line, the table or
+// image, then an optional "Note." paragraph
+export function findTablesAndFigures(model, paragraphs) {
+  const displays = [];
+  const claimedTables = new Set();
+  const claimedFigures = new Set();
+  const nextParagraph = (index) => paragraphs.find(p => p.index > index);
+
+  paragraphs.forEach(paragraph => {
+    const label = paragraph.text.trim().match(/^(Table|Figure)\s+(\d+)\b[.:]?\s*(.*)$/);
+    if (!label) return;
+
+    const display = {
+      kind: label[1].toLowerCase(),
+      number: parseInt(label[2]),
+      label: paragraph,
+      titleOnLabelLine: Boolean(label[3]),
+      title: null,
+      table: null,
+      figure: null,
+      note: null
+    };
+    if (!display.titleOnLabelLine) {
+      const title = nextParagraph(paragraph.index);
+      if (title && !title.drawings && !/^(Table|Figure)\s+\d+/.test(title.text.trim())) display.title = title;
+    }
+
+    // The table or image must follow within a couple of paragraphs of the label
+    const searchFrom = (display.title || paragraph).index;
+    if (display.kind === 'table') {
+      display.table = model.tables.find(table =>
+        !claimedTables.has(table) && table.firstParagraphIndex !== null &&
+        table.firstParagraphIndex > searchFrom && table.firstParagraphIndex <= searchFrom + 2
+      ) || null;
+      if (display.table) claimedTables.add(display.table);
+    } else {
+      display.figure = model.paragraphs.find(p =>
+        p.drawings > 0 && !claimedFigures.has(p) && p.index >= searchFrom && p.index <= searchFrom + 2
+      ) || null;
+      if (display.figure) claimedFigures.add(display.figure);
+    }
+
+    const end = display.table ? display.table.lastParagraphIndex : display.figure ? display.figure.index : searchFrom;
+    const after = nextParagraph(end);
+    if (after && /^Notes?\b/.test(after.text.trim())) display.note = after;
+
+    // Paragraphs that only mention a table in running text are not labels
+    if (display.titleOnLabelLine && !display.table && !display.figure) return;
+    displays.push(display);
+  });
+
+  // Tables and images that no label claimed
+  model.tables.filter(table => !claimedTables.has(table) && table.firstParagraphIndex !== null)
+    .forEach(table => displays.push({ kind: 'table', number: null, table, label: model.paragraphs[table.firstParagraphIndex] }));
+  model.paragraphs.filter(p => p.drawings > 0 && p.tableIndex === null && !claimedFigures.has(p))
+    .forEach(figure => displays.push({ kind: 'figure', number: null, figure, label: figure }));
+
+  return displays.sort((a, b) => a.label.index - b.label.index);
+}
+
+export const RULES = [
+  { id: 'display-label', title: 'Bold table and figure labels', severity: 'error', weight: 3, maxPenalty: 9 },
+  { id: 'display-numbering', title: 'Tables and figures numbered in order', severity: 'error', weight: 3, maxPenalty: 9 },
+  { id: 'display-title', title: 'Italic title below each label', severity: 'error', weight: 3, maxPenalty: 9 },
+  { id: 'display-title-case', title: 'Title case table and figure titles', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'display-missing', title: 'Table or figure below each label', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'display-note', title: 'Italic Note. label', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'display-callout', title: 'Tables and figures referred to in the text', severity: 'error', weight: 3, maxPenalty: 9 },
+  { id: 'display-callout-order', title: 'Callout before the table or figure', severity: 'warning', weight: 2, maxPenalty: 6 },
+  { id: 'table-borders', title: 'Horizontal table rules only', severity: 'error', weight: 3, maxPenalty: 9 }
+];
+
+export function validateTablesAndFigures(displays, model, paragraphs, report) {
+  if (displays.length === 0) return;
+
+  const findingsBefore = report.findingCount();
+  const addFinding = (rule, paragraph, issue, details, fix) => {
+    report.fail(rule, { issue, details, location: describeParagraphs([paragraph]), targets: targetParagraphs([paragraph]), fix });
+  };
+  const labelParagraphs = displays.flatMap(display => [display.label, display.title, display.note]).filter(Boolean);
+  // Unlabeled tables and figures get only the label check
+  const numbered = displays.filter(display => display.number !== null);
+  report.checked('display-label', displays.map(display => display.label));
+  report.checked(['display-numbering', 'display-missing', 'display-callout', 'display-callout-order'],
+    numbered.map(display => display.label));
+  report.checked('display-title', numbered.map(display => display.title || display.label));
+  report.checked('display-title-case', numbered.map(display => display.title).filter(Boolean));
+  report.checked('display-note', numbered.map(display => display.note).filter(Boolean));
+  report.checked('table-borders', numbered.filter(display => display.table).map(display => display.label));
+
+  for (const kind of ['table', 'figure']) {
+    const Kind = kind === 'table' ? 'Table' : 'Figure';
+    const items = displays.filter(display => display.kind === kind);
+
+    items.forEach((display, i) => {
+      if (display.number === null) {
+        addFinding('display-label', display.label, `Unlabeled ${Kind}`,
+          `This ${kind} has no "${Kind} ${i + 1}" label above it`,
+          `Add a bold "${Kind} N" label and an italic title above the ${kind}`);
+        return;
+      }
+
+      const name = `${Kind} ${display.number}`;
+      if (display.number !== i + 1) {
+        addFinding('display-numbering', display.label, `${Kind} Numbering`,
+          `${name} is the ${ordinal(i + 1)} ${kind}; number ${kind}s in the order they appear`,
+          `Renumber it ${Kind} ${i + 1} and update the text that refers to it`);
+      }
+
+      // Label: bold, not italic, alone on its line
+      const labelText = display.label.text.match(/^\s*(?:Table|Figure)\s+\d+/)[0];
+      const labelRuns = display.label.runs.filter(run => run.start < labelText.length && run.text.trim());
+      if (!labelRuns.every(run => run.bold && !run.italic)) {
+        addFinding('display-label', display.label, `${Kind} Label Format`,
+          `The label "${name}" should be bold and not italic`, `Format "${name}" in bold, plain type`);
+      }
+      if (display.titleOnLabelLine) {
+        addFinding('display-title', display.label, `${Kind} Title Placement`,
+          `The title of ${name} is on the same line as its label`,
+          'Put the title on its own line, one double-spaced line below the label');
+      } else if (!display.title) {
+        addFinding('display-title', display.label, `Missing ${Kind} Title`,
+          `${name} has no title below its label`, `Add an italic, title case title below "${name}"`);
+      } else {
+        const title = display.title.text.trim();
+        if (!display.title.isItalic) {
+          addFinding('display-title', display.title, `${Kind} Title Format`,
+            `The title of ${name} should be italic`, 'Italicize the title line');
+        }
+        if (!isTitleCase(title)) {
+          addFinding('display-title-case', display.title, `${Kind} Title Capitalization`,
+            `"${title.substring(0, 40)}" should be in title case`,
+            'Capitalize the first word and every word of four or more letters');
+        }
+      }
+
+      if (!display.table && !display.figure) {
+        addFinding('display-missing', display.label, `${Kind} Not Found`,
+          `No ${kind} follows the "${name}" label`,
+          `Place the ${kind} directly below its title`);
+      }
+
+      if (display.note) {
+        const noteRuns = display.note.runs.filter(run => run.start < display.note.text.indexOf('.') + 1 && run.text.trim());
+        if (!/^\s*Note\./.test(display.note.text) || !noteRuns.every(run => run.italic)) {
+          addFinding('display-note', display.note, `${Kind} Note Format`,
+            `The note below ${name} should begin with the italic label "Note."`,
+            'Start the note with Note. in italics, followed by the note text in plain type');
+        }
+      }
+
+      // Callout: the text refers to every table and figure before it appears
+      const mention = new RegExp(`\\b${Kind}\\s+${display.number}\\b`);
+      const mentions = paragraphs.filter(p => !labelParagraphs.includes(p) && p.tableIndex === null && mention.test(p.text));
+      if (mentions.length === 0) {
+        addFinding('display-callout', display.label, `${Kind} Not Mentioned`,
+          `${name} is never referred to in the text`,
+          `Refer to ${name} in the text before it appears, e.g. "as shown in ${name}"`);
+      } else if (mentions[0].index > display.label.index) {
+        addFinding('display-callout-order', display.label, `${Kind} Mentioned Late`,
+          `${name} is first mentioned after it appears (${describeParagraphs([mentions[0]])})`,
+          `Mention ${name} in the text before the ${kind} itself`);
+      }
+
+      // APA tables use horizontal rules only
+      if (display.table && (['left', 'right', 'insideV'].some(side => isVisibleBorder(display.table.borders[side])) ||
+          display.table.hasVerticalCellBorders)) {
+        addFinding('table-borders', display.label, 'Vertical Table Borders',
+          `${name} has vertical borders`,
+          'Remove vertical lines: Table Design > Borders, keeping only horizontal rules');
+      }
+    });
+  }
+
+  if (report.findingCount() === findingsBefore) {
+    report.pass('display-label', {
+      issue: 'Tables and Figures',
+      details: `${displays.length} table(s) and figure(s) are labeled, titled and referred to in order`
+    });
+  }
+}
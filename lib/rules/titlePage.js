@@ -0,0 +1,127 @@
+import { describeParagraphs, targetParagraphs } from './describe.js';
+
+export const RULES = [
+  { id: 'title-page-break', title: 'Separate title page', severity: 'error', weight: 5, maxPenalty: 5 },
+  { id: 'title-format', title: 'Bold, centered paper title', severity: 'error', weight: 5, maxPenalty: 5 },
+  { id: 'title-position', title: 'Title in the upper half of the page', severity: 'error', weight: 3, maxPenalty: 3 },
+  { id: 'title-page-elements', title: 'Title page elements for the paper type', severity: 'error', weight: 5, maxPenalty: 15 },
+  { id: 'title-page-alignment', title: 'Centered title page elements', severity: 'warning', weight: 2, maxPenalty: 2 },
+  { id: 'author-note-label', title: 'Bold, centered Author Note label', severity: 'error', weight: 3, maxPenalty: 3 },
+  { id: 'running-head', title: 'Running head on professional papers', severity: 'error', weight: 8, maxPenalty: 8 },
+  { id: 'running-head-format', title: 'All-caps running head of 50 characters or fewer', severity: 'error', weight: 5, maxPenalty: 5 }
+];
+
+// Title page: student papers list title, author, affiliation, course, instructor and due date;
+// professional papers replace the course details with an author note and add a running head
+export function validateTitlePage(model, paperType, report) {
+  // `where` names a place such as "Title page", or lists the offending paragraphs
+  const addFinding = (rule, issue, details, fix, where = 'Title page') => {
+    const location = typeof where === 'string' ? where : describeParagraphs(where);
+    const targets = typeof where === 'string' ? [] : targetParagraphs(where);
+    report.fail(rule, { issue, details, location, targets, fix });
+  };
+
+  if (model.pageCount < 2) {
+    addFinding('title-page-break', 'No Separate Title Page',
+      'No page break or section break was found after the title page',
+      'Insert a page break (Ctrl+Enter) after the title page information', 'Page 1');
+    return;
+  }
+
+  const page = model.paragraphs.filter(p => p.page === 0 && p.tableIndex === null);
+  const lines = page.filter(p => p.text.trim());
+  const [title, ...details] = lines;
+  if (!title) {
+    addFinding('title-page-break', 'Empty Title Page', 'The first page has no text', 'Add the title page elements before the first page break', 'Page 1');
+    return;
+  }
+
+  report.checked(['title-format', 'title-position'], [title]);
+  report.checked(['title-page-elements', 'title-page-alignment'], details);
+
+  // A double-spaced page with 1-inch margins holds about 23 lines; each paragraph is at least one
+  const linesAbove = page.slice(0, page.indexOf(title)).length;
+  const titleIssues = [];
+  if (!title.isBold) titleIssues.push('bold');
+  if (!title.isCentered) titleIssues.push('centered');
+  if (titleIssues.length > 0) {
+    addFinding('title-format', 'Title Format', `The paper title should be ${titleIssues.join(' and ')}`,
+      'Format the title in bold and center it', [title]);
+  }
+  if (linesAbove > 11) {
+    addFinding('title-position', 'Title Position', 'The title should sit in the upper half of the title page',
+      'Place the title three or four lines down from the top margin', [title]);
+  }
+
+  const detailTexts = details.map(p => p.text.trim());
+  const found = {
+    affiliation: detailTexts.find(t => /\b(University|College|Department|School|Institute|Academy)\b/i.test(t)),
+    course: detailTexts.find(t => /\b[A-Z]{2,5}\s*-?\s*\d{3,4}[A-Z]?\b/.test(t) || /\bcourse\b/i.test(t)),
+    instructor: detailTexts.find(t => /^(Dr\.|Professor|Prof\.|Mr\.|Ms\.|Mrs\.|Mx\.)\s|,\s*(PhD|Ph\.D\.|EdD|MA|MS)\b/.test(t)),
+    dueDate: detailTexts.find(t => /\b(January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2},\s+\d{4}\b|\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/.test(t)),
+    authorNote: details.find(p => p.text.trim() === 'Author Note')
+  };
+  const known = Object.values(found).filter(Boolean);
+  found.author = detailTexts.find(t => !known.includes(t) && /^(\p{Lu}[\p{L}.'’-]*\s*)+(,\s*\p{Lu}[\p{L}.'’-]*\s*)*((,\s*)?(and|&)\s+(\p{Lu}[\p{L}.'’-]*\s*)+)?$/u.test(t));
+
+  const required = paperType === 'professional'
+    ? { author: 'author name(s)', affiliation: 'institutional affiliation', authorNote: 'author note' }
+    : { author: 'author name', affiliation: 'institutional affiliation', course: 'course number and name',
+        instructor: 'instructor name', dueDate: 'assignment due date' };
+
+  const missing = Object.entries(required).filter(([key]) => !found[key]).map(([, label]) => label);
+  missing.forEach(label => {
+    addFinding('title-page-elements', 'Title Page Element Missing', `Could not find the ${label} on the title page`,
+      paperType === 'professional'
+        ? 'Professional papers list the title, authors, affiliations and an author note'
+        : 'Student papers list the title, author, affiliation, course, instructor and due date');
+  });
+
+  const notCentered = details.filter(p => p !== found.authorNote && !p.isCentered &&
+    (paperType === 'student' || found.authorNote === undefined || p.index < found.authorNote.index));
+  if (notCentered.length > 0) {
+    report.fail('title-page-alignment', {
+      issue: 'Title Page Alignment',
+      details: 'Title page elements should be centered',
+      location: describeParagraphs(notCentered),
+      targets: targetParagraphs(notCentered),
+      fix: 'Center the title, byline and affiliation lines'
+    });
+  }
+
+  if (found.authorNote) report.checked('author-note-label', [found.authorNote]);
+  if (found.authorNote && !(found.authorNote.isBold && found.authorNote.isCentered)) {
+    addFinding('author-note-label', 'Author Note Label', 'The "Author Note" label should be bold and centered',
+      'Format the Author Note label like a Level 1 heading', [found.authorNote]);
+  }
+
+  if (missing.length === 0 && titleIssues.length === 0) {
+    report.pass('title-page-elements', {
+      issue: 'Title Page',
+      details: `Title page includes all ${paperType} paper elements`
+    });
+  }
+
+  // Running head: professional papers only, all caps, at most 50 characters, in the header
+  if (paperType !== 'professional') return;
+  const runningHead = model.headers
+    .map(header => header.paragraphs
+      .map(p => p.runs.filter(run => !run.inField).map(run => run.text).join('').trim())
+      .filter(Boolean)
+      .join(' '))
+    .find(Boolean);
+
+  if (!runningHead) {
+    addFinding('running-head', 'Missing Running Head', 'Professional papers need a running head in the page header',
+      'Add a shortened title in all capital letters, flush left in the header', 'Header');
+  } else if (runningHead !== runningHead.toUpperCase() || runningHead.length > 50) {
+    addFinding('running-head-format', 'Running Head Format',
+      `"${runningHead.substring(0, 60)}" should be in all capital letters and no more than 50 characters`,
+      'Shorten the running head and type it in all capitals', 'Header');
+  } else {
+    report.pass('running-head', {
+      issue: 'Running Head',
+      details: `Running head "${runningHead}" is in the header`
+    });
+  }
+}
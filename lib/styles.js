@@ -0,0 +1,133 @@
+import { childElements, firstChild, getAttr, isToggleOn, isToggleSet, twipsAttr } from './xml.js';
+
+// What Word uses for a document that has no styles part at all, as some exports
+// (Google Docs among them) leave out: single-spaced Times New Roman at 10 points
+const MISSING_STYLES_DEFAULTS = {
+  paragraph: { line: 240, lineRule: 'auto' },
+  run: { font: 'Times New Roman', size: 10 }
+};
+
+// Parse styles.xml into docDefaults plus a map of styles by styleId. `stylesDoc` is null
+// when the document has no styles.xml.
+export function parseStyleSheet(stylesDoc) {
+  const styleSheet = {
+    defaults: { paragraph: {}, run: {} },
+    styles: {},
+    defaultParagraphStyle: null
+  };
+  const root = stylesDoc?.documentElement;
+  if (!root) {
+    styleSheet.defaults = { paragraph: { ...MISSING_STYLES_DEFAULTS.paragraph }, run: { ...MISSING_STYLES_DEFAULTS.run } };
+    return styleSheet;
+  }
+
+  const docDefaults = firstChild(root, 'w:docDefaults');
+  styleSheet.defaults.paragraph = readParagraphProperties(firstChild(firstChild(docDefaults, 'w:pPrDefault'), 'w:pPr'));
+  styleSheet.defaults.run = readRunProperties(firstChild(firstChild(docDefaults, 'w:rPrDefault'), 'w:rPr'));
+
+  for (const element of childElements(root, 'w:style')) {
+    const styleId = getAttr(element, 'w:styleId');
+    if (!styleId) continue;
+
+    const style = {
+      type: getAttr(element, 'w:type') || 'paragraph',
+      name: getAttr(firstChild(element, 'w:name'), 'w:val') || styleId,
+      basedOn: getAttr(firstChild(element, 'w:basedOn'), 'w:val'),
+      paragraph: readParagraphProperties(firstChild(element, 'w:pPr')),
+      run: readRunProperties(firstChild(element, 'w:rPr')),
+      table: readBorders(firstChild(firstChild(element, 'w:tblPr'), 'w:tblBorders'))
+    };
+    styleSheet.styles[styleId] = style;
+
+    const isDefault = getAttr(element, 'w:default');
+    if (style.type === 'paragraph' && isDefault !== null && isToggleOn(isDefault)) {
+      styleSheet.defaultParagraphStyle = styleId;
+    }
+  }
+
+  return styleSheet;
+}
+
+// Merge a style with everything it is basedOn, base styles first
+export function resolveStyle(styleSheet, styleId) {
+  const chain = [];
+  let current = styleSheet.styles[styleId];
+  while (current && !chain.includes(current)) {
+    chain.unshift(current);
+    current = styleSheet.styles[current.basedOn];
+  }
+
+  return chain.reduce((resolved, style) => ({
+    names: [style.name, ...resolved.names],
+    paragraph: { ...resolved.paragraph, ...style.paragraph },
+    run: { ...resolved.run, ...style.run },
+    table: { ...resolved.table, ...style.table }
+  }), { names: [], paragraph: {}, run: {}, table: {} });
+}
+
+// Only properties actually present are returned, so later layers override earlier ones
+export function readParagraphProperties(pPr) {
+  const props = {};
+  if (!pPr) return props;
+
+  const alignment = getAttr(firstChild(pPr, 'w:jc'), 'w:val');
+  if (alignment) {
+    props.alignment = { both: 'justify', start: 'left', end: 'right' }[alignment] || alignment;
+  }
+
+  const spacing = firstChild(pPr, 'w:spacing');
+  if (spacing && spacing.hasAttribute('w:line')) {
+    props.line = twipsAttr(spacing, 'w:line');
+    props.lineRule = getAttr(spacing, 'w:lineRule') || 'auto';
+  }
+
+  // First-line indent is negative for a hanging indent
+  const indent = firstChild(pPr, 'w:ind');
+  if (indent) {
+    if (indent.hasAttribute('w:hanging')) {
+      props.firstLine = -twipsAttr(indent, 'w:hanging');
+    } else if (indent.hasAttribute('w:firstLine')) {
+      props.firstLine = twipsAttr(indent, 'w:firstLine');
+    }
+    const left = twipsAttr(indent, 'w:left') ?? twipsAttr(indent, 'w:start');
+    if (left !== null) props.left = left;
+  }
+
+  if (firstChild(pPr, 'w:pageBreakBefore')) props.pageBreakBefore = isToggleSet(pPr, 'w:pageBreakBefore');
+
+  const outlineLevel = getAttr(firstChild(pPr, 'w:outlineLvl'), 'w:val');
+  if (outlineLevel !== null) props.outlineLevel = parseInt(outlineLevel);
+
+  return props;
+}
+
+// w:tblBorders / w:tcBorders: side name to w:val, with start/end read as left/right
+export function readBorders(bordersElement) {
+  const borders = {};
+  for (const side of childElements(bordersElement)) {
+    const name = side.nodeName.replace('w:', '');
+    borders[{ start: 'left', end: 'right' }[name] || name] = getAttr(side, 'w:val');
+  }
+  return borders;
+}
+
+export function isVisibleBorder(value) {
+  return Boolean(value) && !['nil', 'none'].includes(value);
+}
+
+export function readRunProperties(rPr) {
+  const props = {};
+  if (!rPr) return props;
+
+  if (firstChild(rPr, 'w:b')) props.bold = isToggleSet(rPr, 'w:b');
+  if (firstChild(rPr, 'w:i')) props.italic = isToggleSet(rPr, 'w:i');
+
+  const font = getAttr(firstChild(rPr, 'w:rFonts'), 'w:ascii');
+  if (font) props.font = font;
+
+  // w:sz is in half-points
+  const size = getAttr(firstChild(rPr, 'w:sz'), 'w:val');
+  if (size) props.size = parseInt(size) / 2;
+
+  return props;
+}
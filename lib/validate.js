@@ -0,0 +1,54 @@
+import { createReport } from './engine.js';
+import { selectGuide } from './guides/index.js';
+
+/**
+ * @typedef {Object} Issue
+ * @property {string} issue - Short name of the check
+ * @property {string} rule - Id of the rule that reported it, see the guide's rules in guides/
+ * @property {string} details
+ * @property {string} [location] - Where to look, for people
+ * @property {{paragraph: number, start: number, end: number}[]} [targets] - The offending
+ *   paragraphs by index, each with the character range at fault. A problem with a whole
+ *   paragraph covers all of its text. Only issues about the document as a whole (margins,
+ *   a missing section) have no targets.
+ * @property {string} [fix]
+ * @property {Object} [autoFix] - Parameters of a mechanical fix applyFixes can make,
+ *   e.g. {type: 'doubleSpacing', paragraphs: [3, 4]}
+ */
+
+// Validation function: `text` and `html` come from mammoth, `model` from parseDocumentModel.
+// `options.guide` picks the style guide (apa7, mla9, chicago17; see guides/index.js) and
+// `options.profile` adjusts or turns off its rules, see resolveRules in engine.js.
+export function validateDocument(text, html, model, options = {}) {
+  const { paperType = 'student', abstractWordLimit = 250, profile = null } = options;
+  const guide = selectGuide(options.guide, profile);
+  const paragraphs = model.paragraphs.filter(p => p.text.trim() || p.drawings > 0);
+
+  const report = createReport(profile, guide.id);
+  guide.validate(model, paragraphs, report, { text, paperType, abstractWordLimit });
+  const { checked, ...results } = report.finish();
+
+  // Checks that find a whole paragraph leave the range out
+  Object.values(results.categories).flat().forEach(item => {
+    item.targets?.forEach(target => {
+      if (target.start !== undefined) return;
+      target.start = 0;
+      target.end = model.paragraphs[target.paragraph]?.text.length ?? 0;
+    });
+  });
+
+  return {
+    ...results,
+    guide: { id: guide.id, name: guide.name, shortName: guide.shortName },
+    debug: {
+      fontsFound: Array.from(model.fonts),
+      paragraphCount: paragraphs.length,
+      headingCount: paragraphs.filter(p => p.isHeading).length,
+      citationCount: model.citations.length,
+      pageCount: model.pageCount,
+      paperType,
+      // Rule id to the indexes of the paragraphs it checked, see inspectDocument in inspect.js
+      checked
+    }
+  };
+}
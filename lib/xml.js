@@ -0,0 +1,106 @@
+import { DocumentError } from './errors.js';
+
+// The browser provides DOMParser and XMLSerializer; Node callers hand them in
+// (e.g. from @xmldom/xmldom). The serializer is only needed to write documents.
+let XmlParser = typeof DOMParser !== 'undefined' ? DOMParser : null;
+let XmlSerializer = typeof XMLSerializer !== 'undefined' ? XMLSerializer : null;
+
+export function useDOMParser(Parser, Serializer = XmlSerializer) {
+  XmlParser = Parser;
+  XmlSerializer = Serializer;
+}
+
+export function parseXml(xml) {
+  if (!xml) return null;
+  if (!XmlParser) {
+    throw new Error('No DOMParser available: call useDOMParser() before parsing outside a browser');
+  }
+  // Browsers return a <parsererror> document; xmldom throws instead
+  let doc;
+  try {
+    doc = new XmlParser().parseFromString(xml, 'application/xml');
+  } catch {
+    doc = null;
+  }
+  if (!doc || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new DocumentError('MALFORMED_XML', 'Document contains malformed XML');
+  }
+  return doc;
+}
+
+export function serializeXml(doc) {
+  if (!XmlSerializer) {
+    throw new Error('No XMLSerializer available: pass one to useDOMParser() outside a browser');
+  }
+  // Browsers leave out the XML declaration that Office writes at the top of every part
+  const xml = new XmlSerializer().serializeToString(doc);
+  return xml.startsWith('<?xml') ? xml : `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${xml}`;
+}
+
+// One element of a part, such as a w:p, on its own
+export function serializeElement(element) {
+  if (!XmlSerializer) {
+    throw new Error('No XMLSerializer available: pass one to useDOMParser() outside a browser');
+  }
+  return new XmlSerializer().serializeToString(element);
+}
+
+export const WORD_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+export const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+export const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+export function createWordElement(doc, name, attributes = {}) {
+  const element = doc.createElementNS(WORD_NS, name);
+  for (const [attribute, value] of Object.entries(attributes)) {
+    element.setAttributeNS(WORD_NS, attribute, value);
+  }
+  return element;
+}
+
+export function childElements(node, name) {
+  if (!node) return [];
+  return Array.from(node.childNodes).filter(child =>
+    child.nodeType === 1 && (!name || child.nodeName === name)
+  );
+}
+
+export function firstChild(node, name) {
+  return childElements(node, name)[0] || null;
+}
+
+export function getAttr(node, name) {
+  return node && node.hasAttribute(name) ? node.getAttribute(name) : null;
+}
+
+export function twipsAttr(node, name) {
+  const value = getAttr(node, name);
+  return value === null ? null : parseInt(value);
+}
+
+// <w:b/> is on; <w:b w:val="0"/>, "false" and "off" turn it off
+export function isToggleOn(value) {
+  return value === null || !['0', 'false', 'off'].includes(value);
+}
+
+export function isToggleSet(parent, name) {
+  const element = firstChild(parent, name);
+  return Boolean(element) && isToggleOn(getAttr(element, 'w:val'));
+}
+
+// word/_rels/document.xml.rels: relationship id to its type ("header", "footnotes", ...) and target
+export function parseRelationships(relsXml) {
+  const relationships = {};
+  for (const element of childElements(parseXml(relsXml)?.documentElement, 'Relationship')) {
+    relationships[getAttr(element, 'Id')] = {
+      type: (getAttr(element, 'Type') || '').split('/').pop(),
+      target: getAttr(element, 'Target') || '',
+      external: getAttr(element, 'TargetMode') === 'External'
+    };
+  }
+  return relationships;
+}
+
+// Relationship targets are relative to word/ unless they start at the package root
+export function resolvePartPath(target) {
+  return target.startsWith('/') ? target.slice(1) : `word/${target}`;
+}
@@ -0,0 +1,194 @@
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import JSZip from 'jszip';
+import mammoth from 'mammoth';
+import {
+  analyzeDocx, DocumentError, GUIDES, ProfileError, resolveRules, RULE_SET_VERSION, useDOMParser
+} from '../../lib/index.js';
+
+// Bump when the response shape changes so API clients can detect it
+const API_VERSION = 1;
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const ODT_TYPE = 'application/vnd.oasis.opendocument.text';
+const PAPER_TYPES = ['student', 'professional'];
+
+// HTTP status for each DocumentError code
+const DOCUMENT_ERROR_STATUS = {
+  NOT_DOCX: 415,
+  UNSUPPORTED_FORMAT: 415,
+  MALFORMED_ZIP: 422,
+  MALFORMED_XML: 422,
+  MALFORMED_DOCX: 422,
+  MALFORMED_ODF: 422
+};
+
+// .odt files are converted to .docx, which needs the serializer too
+useDOMParser(DOMParser, XMLSerializer);
+
+// The body is read by hand so the size limit applies before anything is buffered
+export const config = {
+  api: { bodyParser: false }
+};
+
+// POST /api/validate
+//
+// Send the .docx or .odt either as the raw request body (Content-Type: its MIME type
+// or application/octet-stream) or as a multipart/form-data field named "file".
+// The format is told from the file's bytes, not from the Content-Type.
+// Optional query parameters: guide (apa7|mla9|chicago17), paperType (student|professional),
+// abstractWordLimit.
+// A multipart upload can also carry a rule profile as JSON in a field named "profile".
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendError(res, 405, 'METHOD_NOT_ALLOWED', 'Use POST to upload a .docx or .odt file');
+  }
+
+  const options = readOptions(req.query);
+  if (options.error) {
+    return sendError(res, 400, 'INVALID_OPTION', options.error);
+  }
+
+  const contentType = (req.headers['content-type'] || '').toLowerCase();
+  const isMultipart = contentType.startsWith('multipart/form-data');
+  const isFile = [DOCX_TYPE, ODT_TYPE, 'application/octet-stream'].some(type => contentType.startsWith(type));
+  if (!isMultipart && !isFile) {
+    return sendError(res, 415, 'UNSUPPORTED_MEDIA_TYPE',
+      `Send the file as ${DOCX_TYPE}, ${ODT_TYPE}, application/octet-stream or multipart/form-data`);
+  }
+
+  if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES) {
+    return sendTooLarge(res);
+  }
+
+  let body;
+  try {
+    body = await readBody(req, MAX_UPLOAD_BYTES);
+  } catch {
+    // The client closed the connection mid-upload, so this response may never reach it
+    return sendError(res, 400, 'UPLOAD_ABORTED', 'The upload ended before the whole file was received');
+  }
+  if (!body) {
+    return sendTooLarge(res);
+  }
+
+  let upload = { fileName: null, data: body };
+  let profile = null;
+  if (isMultipart) {
+    const parts = parseMultipart(body, req.headers['content-type']);
+    upload = parts.find(part => part.name !== 'profile' && part.fileName !== null);
+    if (!upload) {
+      return sendError(res, 400, 'MISSING_FILE', 'The form has no file field');
+    }
+    const profilePart = parts.find(part => part.name === 'profile');
+    if (profilePart) {
+      try {
+        profile = JSON.parse(profilePart.data.toString('utf8'));
+        resolveRules(profile, options.values.guide);
+      } catch (err) {
+        if (!(err instanceof SyntaxError || err instanceof ProfileError)) throw err;
+        return sendError(res, 400, 'INVALID_PROFILE', err.message);
+      }
+    }
+  }
+  if (upload.data.length === 0) {
+    return sendError(res, 400, 'EMPTY_FILE', 'The uploaded file is empty');
+  }
+
+  try {
+    const { results } = await analyzeDocx(upload.data, { JSZip, mammoth }, { ...options.values, profile });
+    return res.status(200).json({
+      version: API_VERSION,
+      ruleSetVersion: RULE_SET_VERSION,
+      file: { name: upload.fileName, size: upload.data.length },
+      options: { ...options.values, guide: results.guide.id, profile: profile?.name || null },
+      results
+    });
+  } catch (err) {
+    if (err instanceof DocumentError) {
+      return sendError(res, DOCUMENT_ERROR_STATUS[err.code] || 422, err.code, err.message);
+    }
+    console.error('Validation failed:', err);
+    return sendError(res, 500, 'VALIDATION_FAILED', 'The document could not be validated');
+  }
+}
+
+function sendError(res, status, code, message) {
+  return res.status(status).json({ version: API_VERSION, error: { code, message } });
+}
+
+// The rest of the upload is not wanted, so the connection closes once the error is sent
+function sendTooLarge(res) {
+  res.setHeader('Connection', 'close');
+  return sendError(res, 413, 'FILE_TOO_LARGE', `Uploads are limited to ${MAX_UPLOAD_BYTES} bytes`);
+}
+
+function readOptions(query) {
+  const guide = query.guide ?? null;
+  const paperType = query.paperType ?? 'student';
+  const abstractWordLimit = Number(query.abstractWordLimit ?? 250);
+
+  if (guide !== null && !GUIDES[guide]) {
+    return { error: `guide must be one of ${Object.keys(GUIDES).join(', ')}` };
+  }
+  if (!PAPER_TYPES.includes(paperType)) {
+    return { error: `paperType must be one of ${PAPER_TYPES.join(', ')}` };
+  }
+  if (!Number.isInteger(abstractWordLimit) || abstractWordLimit <= 0) {
+    return { error: 'abstractWordLimit must be a positive whole number' };
+  }
+  return { values: { guide, paperType, abstractWordLimit } };
+}
+
+// Collect the request body, or resolve to null as soon as it passes the limit. Past the
+// limit the remaining chunks are read and dropped rather than destroying the request,
+// which would reset the connection before the 413 response reaches the client.
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    let chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        chunks = [];
+        resolve(null);
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => resolve(size > limit ? null : Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Just enough multipart/form-data parsing to list the parts: each field's name, the
+// file name when it is a file, and its content
+function parseMultipart(body, contentType) {
+  const parts = [];
+  const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+  if (!boundary) return parts;
+
+  const delimiter = Buffer.from(`--${boundary[1] || boundary[2]}`);
+  let start = body.indexOf(delimiter);
+  while (start !== -1) {
+    const headerStart = start + delimiter.length + 2;
+    const next = body.indexOf(delimiter, headerStart);
+    if (next === -1) break;
+
+    const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+    if (headerEnd !== -1 && headerEnd < next) {
+      const headers = body.subarray(headerStart, headerEnd).toString('utf8');
+      const name = /content-disposition:[^\r\n]*;\s*name="([^"]*)"/i.exec(headers);
+      const fileName = /content-disposition:[^\r\n]*filename="([^"]*)"/i.exec(headers);
+      // The part's content ends with the CRLF that precedes the next delimiter
+      parts.push({
+        name: name ? name[1] : null,
+        fileName: fileName ? fileName[1] : null,
+        data: body.subarray(headerEnd + 4, next - 2)
+      });
+    }
+    start = next;
+  }
+  return parts;
+}
@@ -1,79 +1,282 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import Head from 'next/head';
-import Script from 'next/script';
+import {
+  analyzeDocx, annotateDocx, applyFixes, clearHistory, DEFAULT_GUIDE, diffResults, DOCUMENT_EXTENSIONS, exportHistory,
+  GUIDES, hashFile, importHistory, inspectDocument, issueKey, listRuns, planFixes, renderPreview, renderReport,
+  resolveRules, saveRun, twipsToInches
+} from '../lib/index.js';
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const READABLE_EXTENSION = /\.(docx|odt)$/i;
+
+// mammoth and JSZip are bundled with the page (their packages have browser builds) and
+// loaded after it renders, so the first paint does not wait for them
+async function loadLibraries() {
+  const [{ default: mammoth }, { default: JSZip }] = await Promise.all([import('mammoth'), import('jszip')]);
+  return { mammoth, JSZip };
+}
+
+// The service worker caches what the page uses, so the validator works offline after the
+// first visit. It is handed the files this visit loaded before it took control.
+async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || process.env.NODE_ENV !== 'production') return;
+  try {
+    await navigator.serviceWorker.register('/sw.js');
+    const registration = await navigator.serviceWorker.ready;
+    const urls = [location.href, ...performance.getEntriesByType('resource').map(entry => entry.name)]
+      .filter(url => new URL(url).origin === location.origin);
+    registration.active.postMessage({ type: 'cache', urls });
+  } catch (err) {
+    console.error('Service worker:', err);
+  }
+}
+
+function getScoreColor(score) {
+  if (score >= 90) return '#28a745';
+  if (score >= 70) return '#ffc107';
+  return '#dc3545';
+}
+
+// Offer generated .docx bytes as a download named after the uploaded file; the copy of
+// an .odt is a .docx as well
+function downloadDocx(bytes, fileName, suffix) {
+  saveFile(new Blob([bytes], { type: DOCX_TYPE }), `${fileName.replace(READABLE_EXTENSION, '')} (${suffix}).docx`);
+}
+
+function saveFile(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  // Revoked after the click has been handled, or some browsers cancel the download
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Print the report from a hidden frame; the browser's print dialog saves it as a PDF
+function printReport(html) {
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+  frame.onload = () => {
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+    frame.contentWindow.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
 
 export default function Home() {
-  const [file, setFile] = useState(null);
-  const [results, setResults] = useState(null);
+  const [files, setFiles] = useState([]);
+  // One entry per file of the last check: {file, results, preview, inspection, checkedFile} or {file, error}
+  const [documents, setDocuments] = useState([]);
+  const [selected, setSelected] = useState(0);
+  const [comparing, setComparing] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [debugMode, setDebugMode] = useState(false);
-  const [scriptsLoaded, setScriptsLoaded] = useState(false);
+  const [guide, setGuide] = useState(DEFAULT_GUIDE);
+  const [paperType, setPaperType] = useState('student');
+  const [abstractWordLimit, setAbstractWordLimit] = useState(250);
+  const [libraries, setLibraries] = useState(null);
+  const [initError, setInitError] = useState(null);
+  const [fixPlan, setFixPlan] = useState(null);
+  const [profile, setProfile] = useState(null);
+  const [activeIssue, setActiveIssue] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [openedRun, setOpenedRun] = useState(null);
+
+  // The document whose results are shown; the downloads and fixes apply to it
+  const current = documents[selected];
+  const file = current?.file || files[0] || null;
+  const results = current?.results || null;
 
-  const processDocument = async () => {
-    if (!file) return;
+  const initialize = () => {
+    setInitError(null);
+    loadLibraries()
+      .then(loaded => {
+        setLibraries(loaded);
+        registerServiceWorker();
+      })
+      .catch(err => {
+        console.error('Error:', err);
+        setInitError(err.message);
+      });
+  };
+
+  useEffect(initialize, []);
+
+  // Storage can be unavailable (private browsing); the validator works without a history
+  const refreshHistory = () => {
+    listRuns()
+      .then(setHistory)
+      .catch(err => console.error('History:', err));
+  };
+
+  useEffect(refreshHistory, []);
+
+  const clearResults = () => {
+    setDocuments([]);
+    setComparing([]);
+    setActiveIssue(null);
+    setFixPlan(null);
+  };
+
+  const selectFiles = (selectedFiles) => {
+    // .doc and .rtf files are kept so that they get a row explaining they cannot be read
+    setFiles(Array.from(selectedFiles).filter(selectedFile =>
+      DOCUMENT_EXTENSIONS.some(extension => selectedFile.name.toLowerCase().endsWith(extension))
+    ));
+    clearResults();
+  };
+
+  // Files are checked one after another, so a large batch does not hold every document
+  // in memory at once. A file that cannot be read gets an error row instead of results.
+  const processDocuments = async () => {
+    if (files.length === 0) return;
     
     setLoading(true);
     setError(null);
+    clearResults();
     
-    try {
-      // Make sure scripts are loaded
-      if (!window.mammoth || !window.JSZip) {
-        throw new Error('Required libraries not loaded. Please refresh and try again.');
+    const checked = [];
+    for (const upload of files) {
+      try {
+        const arrayBuffer = await upload.arrayBuffer();
+        const { model, results: validationResults, html } = await analyzeDocx(
+          arrayBuffer,
+          libraries,
+          { guide, paperType, abstractWordLimit, profile }
+        );
+        checked.push({
+          file: upload,
+          results: validationResults,
+          preview: renderPreview(html, model.paragraphs, validationResults),
+          inspection: inspectDocument(model, validationResults),
+          checkedFile: {
+            name: upload.name,
+            hash: await hashFile(arrayBuffer).catch(() => null),
+            checkedAt: new Date().toISOString()
+          }
+        });
+      } catch (err) {
+        console.error('Error:', err);
+        checked.push({ file: upload, error: err.message });
       }
+    }
 
-      const arrayBuffer = await file.arrayBuffer();
-      
-      // Get text and HTML using mammoth
-      const textResult = await window.mammoth.extractRawText({ arrayBuffer });
-      const htmlResult = await window.mammoth.convertToHtml({ arrayBuffer });
-      
-      // Extract XML files from DOCX using JSZip
-      const zip = new window.JSZip();
-      const docx = await zip.loadAsync(arrayBuffer);
-      
-      const documentXml = await docx.file('word/document.xml')?.async('string') || '';
-      const stylesXml = await docx.file('word/styles.xml')?.async('string') || '';
-      const settingsXml = await docx.file('word/settings.xml')?.async('string') || '';
-      
-      // Parse and validate
-      const docStructure = parseDocumentStructure(documentXml, stylesXml, settingsXml);
-      const validationResults = validateDocument(textResult.value, htmlResult.value, docStructure);
-      
-      setResults(validationResults);
-      
+    await Promise.all(checked.filter(entry => entry.results).map(entry => saveRun(entry.checkedFile, entry.results)))
+      .catch(err => console.error('History:', err));
+    refreshHistory();
+
+    if (files.length === 1 && checked[0].error) {
+      setError(`Failed to process: ${checked[0].error}`);
+    } else {
+      setDocuments(checked);
+      setSelected(Math.max(0, checked.findIndex(entry => entry.results)));
+    }
+    setLoading(false);
+  };
+
+  const selectDocument = (index) => {
+    setSelected(index);
+    setActiveIssue(null);
+    setFixPlan(null);
+  };
+
+  // Two drafts to compare, the one picked first dropped when a third is picked
+  const toggleComparing = (index) => {
+    setComparing(comparing.includes(index)
+      ? comparing.filter(i => i !== index)
+      : [...comparing, index].slice(-2));
+  };
+
+  // An instructor's rubric: rule severities and weights that replace the defaults
+  const loadProfile = async (profileFile) => {
+    setError(null);
+    try {
+      const loaded = JSON.parse(await profileFile.text());
+      resolveRules(loaded, loaded.guide ?? guide);
+      setProfile({ ...loaded, name: loaded.name || profileFile.name });
+      if (loaded.guide) setGuide(loaded.guide);
+      clearResults();
+    } catch (err) {
+      setError(`Could not use ${profileFile.name}: ${err.message}`);
+    }
+  };
+
+  // Same file with a Word comment at each issue, so the feedback can be worked through in Word
+  const downloadAnnotated = async () => {
+    setError(null);
+    try {
+      const annotated = await annotateDocx(await file.arrayBuffer(), results, libraries);
+      downloadDocx(annotated, file.name, 'annotated');
+    } catch (err) {
+      console.error('Error:', err);
+      setError(`Failed to annotate: ${err.message}`);
+    }
+  };
+
+  // A record of the check to attach to a submission: HTML to download, or printed to PDF
+  const downloadReport = () => {
+    const html = renderReport(results, current.checkedFile);
+    saveFile(new Blob([html], { type: 'text/html' }), `${file.name.replace(READABLE_EXTENSION, '')} (format report).html`);
+  };
+
+  const downloadHistory = async () => {
+    setError(null);
+    try {
+      saveFile(new Blob([await exportHistory()], { type: 'application/json' }), 'validation-history.json');
+    } catch (err) {
+      console.error('Error:', err);
+      setError(`Failed to export the history: ${err.message}`);
+    }
+  };
+
+  const uploadHistory = async (historyFile) => {
+    setError(null);
+    try {
+      await importHistory(await historyFile.text());
+      refreshHistory();
+    } catch (err) {
+      setError(`Could not import ${historyFile.name}: ${err.message}`);
+    }
+  };
+
+  const deleteHistory = async () => {
+    if (!window.confirm(`Delete all ${history.length} saved runs from this browser?`)) return;
+    setError(null);
+    try {
+      await clearHistory();
+      setOpenedRun(null);
+      refreshHistory();
+    } catch (err) {
+      console.error('Error:', err);
+      setError(`Failed to clear the history: ${err.message}`);
+    }
+  };
+
+  // Rewrite the formatting behind the accepted fixes and download the corrected copy
+  const downloadFixed = async () => {
+    setError(null);
+    try {
+      const accepted = fixPlan.filter(fix => fix.accepted).map(fix => fix.autoFix);
+      const fixed = await applyFixes(await file.arrayBuffer(), accepted, libraries);
+      downloadDocx(fixed, file.name, 'fixed');
     } catch (err) {
       console.error('Error:', err);
-      setError(`Failed to process: ${err.message}`);
-    } finally {
-      setLoading(false);
+      setError(`Failed to apply fixes: ${err.message}`);
     }
   };
 
   return (
     <>
       <Head>
-        <title>APA 7 Format Validator</title>
-        <meta name="description" content="Free APA 7 format checker for Word documents" />
+        <title>{GUIDES[guide].name} Format Validator</title>
+        <meta name="description" content="Free APA 7, MLA 9 and Chicago 17 format checker for Word documents" />
         <meta name="viewport" content="width=device-width, initial-scale=1" />
       </Head>
       
-      {/* Load external scripts */}
-      <Script 
-        src="https://cdnjs.cloudflare.com/ajax/libs/mammoth/1.6.0/mammoth.browser.min.js"
-        strategy="afterInteractive"
-        onLoad={() => {
-          if (window.JSZip) setScriptsLoaded(true);
-        }}
-      />
-      <Script 
-        src="https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js"
-        strategy="afterInteractive"
-        onLoad={() => {
-          if (window.mammoth) setScriptsLoaded(true);
-        }}
-      />
-
       <div className="container">
         <style jsx global>{`
           * {
@@ -151,9 +354,25 @@ export default function Home() {
             color: rgba(255,255,255,0.8);
           }
           
+          .option-group {
+            margin-top: 1rem;
+            color: white;
+          }
+          
+          .option-group select,
+          .option-group input {
+            margin-left: 0.5rem;
+            margin-right: 1rem;
+            padding: 0.25rem 0.5rem;
+            border-radius: 0.25rem;
+            border: none;
+            font-size: 1rem;
+          }
+          
           .button-group {
             margin-top: 1rem;
             display: flex;
+            flex-wrap: wrap;
             gap: 0.5rem;
             justify-content: center;
           }
@@ -197,6 +416,372 @@ export default function Home() {
             margin-bottom: 2rem;
           }
           
+          .init-error {
+            margin-top: 1rem;
+            margin-bottom: 0;
+            text-align: left;
+          }
+          
+          .init-error .btn {
+            margin-top: 0.75rem;
+          }
+          
+          .history-toggle {
+            text-align: center;
+            margin: -1rem 0 1.5rem;
+          }
+          
+          .history-header {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: space-between;
+            align-items: center;
+            gap: 0.5rem;
+          }
+          
+          .history-header .button-group {
+            margin-top: 0;
+          }
+          
+          .history-note {
+            font-size: 0.85rem;
+            color: #6c757d;
+            margin: 0.5rem 0 1rem;
+          }
+          
+          .history-file {
+            border-top: 1px solid #dee2e6;
+            padding: 0.75rem 0;
+          }
+          
+          .history-file-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 1rem;
+            word-break: break-word;
+          }
+          
+          .history-file ul {
+            list-style: none;
+            margin-top: 0.5rem;
+          }
+          
+          .history-file li {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 1rem;
+            align-items: baseline;
+            padding: 0.2rem 0;
+            font-size: 0.9rem;
+          }
+          
+          .history-panel .btn-link {
+            color: #764ba2;
+            margin-left: 0;
+          }
+          
+          .opened-run {
+            margin-bottom: 1.5rem;
+          }
+          
+          .opened-run-info {
+            color: #6c757d;
+          }
+          
+          .opened-run .button-group {
+            justify-content: flex-start;
+            margin-bottom: 1.5rem;
+          }
+          
+          .history-panel,
+          .document-table,
+          .revision-diff {
+            background: white;
+            border-radius: 1rem;
+            padding: 1.5rem;
+            margin-bottom: 1.5rem;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.1);
+          }
+          
+          .document-table {
+            overflow-x: auto;
+          }
+          
+          .document-table table {
+            width: 100%;
+            border-collapse: collapse;
+          }
+          
+          .document-table th,
+          .document-table td {
+            text-align: left;
+            padding: 0.5rem 0.75rem;
+            border-bottom: 1px solid #dee2e6;
+          }
+          
+          .document-table th.sortable {
+            cursor: pointer;
+            user-select: none;
+          }
+          
+          .document-table tbody tr {
+            cursor: pointer;
+          }
+          
+          .document-table tbody tr:hover,
+          .document-table tr.selected {
+            background: #f3eefa;
+          }
+          
+          .document-error {
+            color: #721c24;
+          }
+          
+          .revision-diff h3 {
+            margin-bottom: 0.5rem;
+            word-break: break-word;
+          }
+          
+          .diff-summary {
+            margin-bottom: 1rem;
+          }
+          
+          .revision-diff .btn-link {
+            color: #764ba2;
+          }
+          
+          .diff-section {
+            border-radius: 0.5rem;
+            padding: 0.75rem 1rem;
+            margin-bottom: 0.5rem;
+          }
+          
+          .diff-section ul {
+            margin-top: 0.5rem;
+            padding-left: 1.25rem;
+          }
+          
+          .diff-location {
+            font-size: 0.85rem;
+            opacity: 0.8;
+          }
+          
+          .diff-fixed {
+            background: #d4edda;
+            color: #155724;
+          }
+          
+          .diff-introduced {
+            background: #f8d7da;
+            color: #721c24;
+          }
+          
+          .diff-persisting {
+            background: #fff3cd;
+            color: #856404;
+          }
+          
+          .results-file {
+            margin-bottom: 1rem;
+            word-break: break-word;
+          }
+          
+          .results-layout {
+            display: grid;
+            grid-template-columns: minmax(0, 1fr) minmax(0, 1fr);
+            gap: 1.5rem;
+            align-items: start;
+          }
+          
+          .document-inspector {
+            background: white;
+            border-radius: 1rem;
+            padding: 1.5rem;
+            margin-top: 1.5rem;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.1);
+          }
+          
+          .inspector-header {
+            display: flex;
+            flex-wrap: wrap;
+            justify-content: space-between;
+            align-items: center;
+            gap: 0.5rem;
+          }
+          
+          .inspector-filters {
+            display: flex;
+            gap: 0.5rem;
+          }
+          
+          .inspector-filters select,
+          .inspector-filters input {
+            padding: 0.3rem 0.5rem;
+            border: 1px solid #ced4da;
+            border-radius: 0.3rem;
+          }
+          
+          .inspector-note {
+            font-size: 0.85rem;
+            color: #6c757d;
+            margin: 0.5rem 0 1rem;
+          }
+          
+          .inspector-table {
+            overflow-x: auto;
+          }
+          
+          .inspector-table table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.85rem;
+          }
+          
+          .inspector-table th,
+          .inspector-table td {
+            text-align: left;
+            vertical-align: top;
+            padding: 0.35rem 0.5rem;
+            border-bottom: 1px solid #dee2e6;
+          }
+          
+          .inspector-row {
+            cursor: pointer;
+          }
+          
+          .inspector-row:hover,
+          .inspector-row.expanded {
+            background: #f3eefa;
+          }
+          
+          .inspector-text {
+            max-width: 20rem;
+            word-break: break-word;
+          }
+          
+          .inspector-details h4 {
+            margin: 0.75rem 0 0.25rem;
+          }
+          
+          .inspector-rules {
+            list-style: none;
+          }
+          
+          .inspector-rules li {
+            padding: 0.15rem 0;
+          }
+          
+          .inspector-issue {
+            margin-left: 1rem;
+            font-size: 0.8rem;
+          }
+          
+          .inspector-passed {
+            color: #155724;
+          }
+          
+          .inspector-warning {
+            color: #856404;
+          }
+          
+          .inspector-error {
+            color: #721c24;
+          }
+          
+          .inspector-table .inspector-runs {
+            width: auto;
+          }
+          
+          .inspector-xml {
+            background: #f8f9fa;
+            padding: 0.75rem;
+            border-radius: 0.5rem;
+            max-height: 20rem;
+            overflow: auto;
+            font-size: 0.8rem;
+          }
+          
+          @media (max-width: 900px) {
+            .results-layout {
+              grid-template-columns: minmax(0, 1fr);
+            }
+          }
+          
+          .document-preview {
+            position: sticky;
+            top: 1rem;
+            background: white;
+            border-radius: 1rem;
+            padding: 1.5rem;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.1);
+          }
+          
+          .document-preview h3 {
+            margin-bottom: 1rem;
+          }
+          
+          .preview-page {
+            max-height: calc(100vh - 7rem);
+            overflow-y: auto;
+            padding: 1rem 1.5rem;
+            border: 1px solid #dee2e6;
+            font-family: 'Times New Roman', Times, serif;
+            line-height: 1.8;
+          }
+          
+          .preview-page p,
+          .preview-page h1,
+          .preview-page h2,
+          .preview-page h3,
+          .preview-page h4,
+          .preview-page table {
+            margin-bottom: 0.75rem;
+          }
+          
+          .preview-page h1 {
+            font-size: 1.2rem;
+            text-align: center;
+          }
+          
+          .preview-page h2,
+          .preview-page h3,
+          .preview-page h4 {
+            font-size: 1rem;
+          }
+          
+          .preview-page ol,
+          .preview-page ul {
+            padding-left: 1.5rem;
+          }
+          
+          .preview-page td {
+            border: 1px solid #dee2e6;
+            padding: 0.25rem 0.5rem;
+          }
+          
+          .preview-page img {
+            max-width: 100%;
+          }
+          
+          .issue-mark {
+            cursor: help;
+            color: inherit;
+          }
+          
+          .issue-errors {
+            background: rgba(220, 53, 69, 0.2);
+          }
+          
+          .issue-warnings {
+            background: rgba(255, 193, 7, 0.3);
+          }
+          
+          .issue-mark.issue-active {
+            background: rgba(118, 75, 162, 0.35);
+            outline: 2px solid #764ba2;
+          }
+          
           .results-container {
             background: white;
             border-radius: 1rem;
@@ -231,6 +816,22 @@ export default function Home() {
             font-size: 0.9rem;
           }
           
+          .score-profile {
+            margin-top: 0.5rem;
+            color: #6c757d;
+            font-size: 0.9rem;
+          }
+          
+          .source-note {
+            background: #e7f1ff;
+            border: 1px solid #b6d4fe;
+            color: #084298;
+            padding: 0.75rem 1rem;
+            border-radius: 0.5rem;
+            font-size: 0.9rem;
+            margin: 0 0 1rem;
+          }
+          
           .score-message {
             margin-top: 1rem;
             color: #333;
@@ -277,6 +878,14 @@ export default function Home() {
             margin-bottom: 0.5rem;
           }
           
+          .issue-card-linked {
+            cursor: pointer;
+          }
+          
+          .issue-card-active {
+            box-shadow: 0 0 0 2px #764ba2;
+          }
+          
           .issue-title {
             font-weight: bold;
             margin-bottom: 0.5rem;
@@ -292,6 +901,32 @@ export default function Home() {
             opacity: 0.8;
           }
           
+          .fix-plan {
+            background: #f8f9fa;
+            border-radius: 0.5rem;
+            padding: 1rem;
+            margin-bottom: 2rem;
+          }
+          
+          .fix-item {
+            display: flex;
+            gap: 0.5rem;
+            align-items: flex-start;
+            padding: 0.4rem 0;
+            font-size: 0.9rem;
+            cursor: pointer;
+          }
+          
+          .btn-link {
+            background: none;
+            border: none;
+            color: white;
+            text-decoration: underline;
+            cursor: pointer;
+            margin-left: 0.5rem;
+            font-size: 0.9rem;
+          }
+          
           .issue-fix {
             background: white;
             padding: 0.5rem;
@@ -302,35 +937,109 @@ export default function Home() {
         `}</style>
 
         <div className="wrapper">
-          <h1 className="title">APA 7 Format Validator</h1>
+          <h1 className="title">{GUIDES[guide].name} Format Validator</h1>
           <p className="subtitle">
             Complete formatting detection: fonts, spacing, margins, headings, citations, and more
           </p>
           
-          <div className="upload-area">
+          <div
+            className="upload-area"
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => {
+              e.preventDefault();
+              selectFiles(e.dataTransfer.files);
+            }}
+          >
             <input
               type="file"
-              accept=".docx"
-              onChange={(e) => setFile(e.target.files[0])}
+              accept={DOCUMENT_EXTENSIONS.join(',')}
+              multiple
+              onChange={(e) => selectFiles(e.target.files)}
               className="file-input"
               id="fileInput"
             />
             <label htmlFor="fileInput" className="upload-label">
               <div className="upload-icon">📄</div>
               <h3 className="upload-text">
-                {file ? file.name : 'Upload Word Document'}
+                {files.length > 1 ? `${files.length} documents` : file ? file.name : 'Upload Word Documents'}
               </h3>
-              <p className="upload-subtext">Click to select .docx file</p>
+              <p className="upload-subtext">Click to select or drop .docx or .odt files, several at once to compare drafts</p>
             </label>
             
+            <div className="option-group">
+              <label htmlFor="guide">Style guide:</label>
+              <select
+                id="guide"
+                value={guide}
+                onChange={(e) => {
+                  setGuide(e.target.value);
+                  // A rubric written for another guide names rules this one does not have
+                  if (profile?.guide && profile.guide !== e.target.value) setProfile(null);
+                }}
+              >
+                {Object.values(GUIDES).map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </select>
+              {guide === 'apa7' && (
+                <>
+                  <label htmlFor="paperType">Paper type:</label>
+                  <select
+                    id="paperType"
+                    value={paperType}
+                    onChange={(e) => setPaperType(e.target.value)}
+                  >
+                    <option value="student">Student paper</option>
+                    <option value="professional">Professional paper</option>
+                  </select>
+                  <label htmlFor="abstractWordLimit">Abstract word limit:</label>
+                  <input
+                    id="abstractWordLimit"
+                    type="number"
+                    min="50"
+                    max="1000"
+                    step="10"
+                    value={abstractWordLimit}
+                    onChange={(e) => setAbstractWordLimit(parseInt(e.target.value) || 250)}
+                    style={{ width: '5rem' }}
+                  />
+                </>
+              )}
+              <label htmlFor="profileInput">Rubric:</label>
+              {profile ? (
+                <span>
+                  {profile.name}
+                  <button
+                    onClick={() => {
+                      setProfile(null);
+                      clearResults();
+                    }}
+                    className="btn-link"
+                  >
+                    use default
+                  </button>
+                </span>
+              ) : (
+                <input
+                  id="profileInput"
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={(e) => {
+                    if (e.target.files[0]) loadProfile(e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                />
+              )}
+            </div>
+            
             {file && (
               <div className="button-group">
                 <button
-                  onClick={processDocument}
-                  disabled={loading || !scriptsLoaded}
+                  onClick={processDocuments}
+                  disabled={loading || !libraries}
                   className="btn btn-primary"
                 >
-                  {loading ? '🔍 Analyzing...' : '✅ Check Formatting'}
+                  {loading ? '🔍 Analyzing...' : files.length > 1 ? `✅ Check ${files.length} documents` : '✅ Check Formatting'}
                 </button>
                 <button
                   onClick={() => setDebugMode(!debugMode)}
@@ -338,14 +1047,68 @@ export default function Home() {
                 >
                   🔧 {debugMode ? 'Hide' : 'Show'} Debug
                 </button>
+                {results && (
+                  <button
+                    onClick={downloadAnnotated}
+                    className="btn btn-secondary"
+                  >
+                    📝 Download annotated document
+                  </button>
+                )}
+                {results && (
+                  <>
+                    <button
+                      onClick={downloadReport}
+                      className="btn btn-secondary"
+                    >
+                      📄 Download report
+                    </button>
+                    <button
+                      onClick={() => printReport(renderReport(results, current.checkedFile))}
+                      className="btn btn-secondary"
+                    >
+                      🖨 Print report / save as PDF
+                    </button>
+                  </>
+                )}
+                {results && planFixes(results).length > 0 && (
+                  <button
+                    onClick={() => setFixPlan(planFixes(results).map(fix => ({ ...fix, accepted: true })))}
+                    className="btn btn-secondary"
+                  >
+                    🛠 Auto-fix
+                  </button>
+                )}
               </div>
             )}
             
-            {!scriptsLoaded && file && (
+            {!libraries && !initError && file && (
               <p style={{ color: 'rgba(255,255,255,0.8)', marginTop: '1rem' }}>
                 Loading required libraries...
               </p>
             )}
+
+            {initError && (
+              <div className="error-box init-error">
+                <p>
+                  The validator could not load the libraries it reads Word documents with
+                  ({initError}). Check your connection and try again. After one successful
+                  visit, the validator also works offline.
+                </p>
+                <button onClick={initialize} className="btn btn-secondary">
+                  Try again
+                </button>
+              </div>
+            )}
+          </div>
+
+          <div className="history-toggle">
+            <button
+              onClick={() => setShowHistory(!showHistory)}
+              className="btn btn-secondary"
+            >
+              🕘 {showHistory ? 'Hide' : 'Show'} history ({history.length})
+            </button>
           </div>
 
           {error && (
@@ -354,19 +1117,521 @@ export default function Home() {
             </div>
           )}
 
+          {showHistory && (
+            <HistoryPanel
+              runs={history}
+              onOpen={setOpenedRun}
+              onExport={downloadHistory}
+              onImport={uploadHistory}
+              onClear={deleteHistory}
+            />
+          )}
+
+          {openedRun && (
+            <div className="results-container opened-run">
+              <h2 className="results-file">{openedRun.name}</h2>
+              <p className="opened-run-info">
+                Saved run from {new Date(openedRun.checkedAt).toLocaleString()}, rule set {openedRun.ruleSetVersion}
+              </p>
+              <div className="button-group">
+                <button
+                  onClick={() => saveFile(
+                    new Blob([renderReport(openedRun.results, openedRun)], { type: 'text/html' }),
+                    `${openedRun.name.replace(READABLE_EXTENSION, '')} (format report).html`
+                  )}
+                  className="btn btn-secondary"
+                >
+                  📄 Download report
+                </button>
+                <button
+                  onClick={() => printReport(renderReport(openedRun.results, openedRun))}
+                  className="btn btn-secondary"
+                >
+                  🖨 Print report / save as PDF
+                </button>
+                <button onClick={() => setOpenedRun(null)} className="btn btn-secondary">
+                  Close
+                </button>
+              </div>
+              <ResultsDisplay results={openedRun.results} debugMode={debugMode} />
+            </div>
+          )}
+
+          {documents.length > 1 && (
+            <DocumentTable
+              documents={documents}
+              selected={selected}
+              comparing={comparing}
+              onSelect={selectDocument}
+              onToggleCompare={toggleComparing}
+            />
+          )}
+
+          {comparing.length === 2 && (
+            <RevisionDiff
+              key={comparing.join('-')}
+              drafts={comparing.map(index => documents[index])}
+            />
+          )}
+
           {results && (
-            <div className="results-container">
-              <ResultsDisplay results={results} debugMode={debugMode} />
+            <div className="results-layout">
+              <div className="results-container">
+                {documents.length > 1 && <h2 className="results-file">{file.name}</h2>}
+                {fixPlan && (
+                  <FixPlan
+                    fixes={fixPlan}
+                    onToggle={(id) => setFixPlan(fixPlan.map(fix =>
+                      fix.id === id ? { ...fix, accepted: !fix.accepted } : fix
+                    ))}
+                    onApply={downloadFixed}
+                    onCancel={() => setFixPlan(null)}
+                  />
+                )}
+                <ResultsDisplay
+                  results={results}
+                  debugMode={debugMode}
+                  activeIssue={activeIssue}
+                  onSelectIssue={setActiveIssue}
+                />
+              </div>
+              <DocumentPreview html={current.preview} activeIssue={activeIssue} />
             </div>
           )}
+
+          {results && debugMode && <DocumentInspector key={selected} paragraphs={current.inspection} />}
         </div>
       </div>
     </>
   );
 }
 
+// Auto-fix review: every change is listed so it can be accepted or skipped before download
+function FixPlan({ fixes, onToggle, onApply, onCancel }) {
+  const acceptedCount = fixes.filter(fix => fix.accepted).length;
+
+  return (
+    <div className="fix-plan">
+      <h3>🛠 Auto-fix ({acceptedCount} of {fixes.length} changes selected)</h3>
+      {fixes.map(fix => (
+        <label key={fix.id} className="fix-item">
+          <input
+            type="checkbox"
+            checked={fix.accepted}
+            onChange={() => onToggle(fix.id)}
+          />
+          <span>
+            <strong>{fix.issue}:</strong> {fix.description}
+          </span>
+        </label>
+      ))}
+      <div className="button-group">
+        <button
+          onClick={onApply}
+          disabled={acceptedCount === 0}
+          className="btn btn-primary"
+        >
+          ⬇️ Download fixed document
+        </button>
+        <button onClick={onCancel} className="btn btn-secondary">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Scores of every checked document. A row shows that document's results below; ticking
+// two rows compares them as drafts.
+function DocumentTable({ documents, selected, comparing, onSelect, onToggleCompare }) {
+  const [sort, setSort] = useState({ key: 'name', descending: false });
+
+  const columns = [
+    { key: 'name', label: 'File', value: entry => entry.file.name },
+    { key: 'score', label: 'Score', value: entry => entry.results?.score ?? -1 },
+    { key: 'errors', label: 'Errors', value: entry => entry.results?.categories.errors.length ?? -1 },
+    { key: 'warnings', label: 'Warnings', value: entry => entry.results?.categories.warnings.length ?? -1 },
+    { key: 'passed', label: 'Passed', value: entry => entry.results?.categories.passed.length ?? -1 }
+  ];
+  const column = columns.find(candidate => candidate.key === sort.key);
+  const rows = documents.map((entry, index) => ({ entry, index })).sort((a, b) => {
+    const first = column.value(a.entry);
+    const second = column.value(b.entry);
+    const order = typeof first === 'string' ? first.localeCompare(second, undefined, { numeric: true }) : first - second;
+    return sort.descending ? -order : order;
+  });
+
+  // Numbers sort highest first on the first click, names A to Z
+  const sortBy = (key) => setSort({
+    key,
+    descending: sort.key === key ? !sort.descending : key !== 'name'
+  });
+
+  return (
+    <div className="document-table">
+      <table>
+        <thead>
+          <tr>
+            <th>Compare</th>
+            {columns.map(({ key, label }) => (
+              <th key={key} className="sortable" onClick={() => sortBy(key)}>
+                {label} {sort.key === key ? (sort.descending ? '▼' : '▲') : ''}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ entry, index }) => (
+            <tr
+              key={index}
+              className={index === selected ? 'selected' : ''}
+              onClick={entry.results ? () => onSelect(index) : undefined}
+            >
+              <td onClick={(e) => e.stopPropagation()}>
+                <input
+                  type="checkbox"
+                  aria-label={`Compare ${entry.file.name}`}
+                  disabled={!entry.results}
+                  checked={comparing.includes(index)}
+                  onChange={() => onToggleCompare(index)}
+                />
+              </td>
+              <td>{entry.file.name}</td>
+              {entry.results ? (
+                <>
+                  <td style={{ color: getScoreColor(entry.results.score), fontWeight: 'bold' }}>
+                    {entry.results.score}%
+                  </td>
+                  <td>{entry.results.categories.errors.length}</td>
+                  <td>{entry.results.categories.warnings.length}</td>
+                  <td>{entry.results.categories.passed.length}</td>
+                </>
+              ) : (
+                <td colSpan={4} className="document-error">❌ {entry.error}</td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// What changed between two drafts: issues are matched by rule and location, see lib/diff.js.
+// The file saved earlier is taken as the earlier draft unless the drafts are swapped.
+function RevisionDiff({ drafts }) {
+  const [swapped, setSwapped] = useState(false);
+  const ordered = [...drafts].sort((a, b) => a.file.lastModified - b.file.lastModified);
+  const [before, after] = swapped ? ordered.reverse() : ordered;
+  const diff = diffResults(before.results, after.results);
+
+  const sections = [
+    { key: 'fixed', icon: '✅', title: 'Fixed', items: diff.fixed },
+    { key: 'introduced', icon: '🆕', title: 'New', items: diff.introduced },
+    { key: 'persisting', icon: '⏳', title: 'Still to fix', items: diff.persisting.map(pair => pair.after) }
+  ];
+
+  return (
+    <div className="revision-diff">
+      <h3>
+        🔀 {before.file.name} ({before.results.score}%) → {after.file.name} ({after.results.score}%)
+      </h3>
+      <p className="diff-summary">
+        Score {diff.scoreChange >= 0 ? '+' : ''}{diff.scoreChange} points
+        <button onClick={() => setSwapped(!swapped)} className="btn-link">
+          swap drafts
+        </button>
+      </p>
+      {sections.map(({ key, icon, title, items }) => (
+        <div key={key} className={`diff-section diff-${key}`}>
+          <h4>{icon} {title} ({items.length})</h4>
+          {items.length > 0 && (
+            <ul>
+              {items.map((item, index) => (
+                <li key={index}>
+                  <strong>{item.issue}</strong>
+                  {item.location && <span className="diff-location"> · {item.location}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Earlier runs saved in this browser, grouped by file with the scores over time
+function HistoryPanel({ runs, onOpen, onExport, onImport, onClear }) {
+  const files = new Map();
+  runs.forEach(run => {
+    if (!files.has(run.name)) files.set(run.name, []);
+    files.get(run.name).push(run);
+  });
+
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <h3>🕘 History ({runs.length} runs)</h3>
+        <div className="button-group">
+          <button onClick={onExport} disabled={runs.length === 0} className="btn btn-secondary">
+            Export JSON
+          </button>
+          <label className="btn btn-secondary">
+            Import JSON
+            <input
+              type="file"
+              accept=".json,application/json"
+              className="file-input"
+              onChange={(e) => {
+                if (e.target.files[0]) onImport(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          <button onClick={onClear} disabled={runs.length === 0} className="btn btn-secondary">
+            Clear all
+          </button>
+        </div>
+      </div>
+      <p className="history-note">Runs are saved only in this browser and never uploaded.</p>
+
+      {runs.length === 0 && <p>No saved runs yet.</p>}
+      {Array.from(files, ([name, fileRuns]) => (
+        <div key={name} className="history-file">
+          <div className="history-file-header">
+            <strong>{name}</strong>
+            <ScoreTrend scores={fileRuns.map(run => run.score).reverse()} />
+          </div>
+          <ul>
+            {fileRuns.map(run => (
+              <li key={`${run.hash} ${run.checkedAt}`}>
+                <span>{new Date(run.checkedAt).toLocaleString()}</span>
+                <span>{GUIDES[run.guide]?.shortName || run.guide}</span>
+                {run.hash && <code title={`SHA-256 ${run.hash}`}>{run.hash.substring(0, 8)}</code>}
+                <span style={{ color: getScoreColor(run.score), fontWeight: 'bold' }}>{run.score}%</span>
+                <button onClick={() => onOpen(run)} className="btn-link">
+                  open
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// One file's scores, oldest first, as a small line chart
+function ScoreTrend({ scores }) {
+  if (scores.length < 2) return null;
+  const width = 120;
+  const height = 30;
+  const points = scores.map((score, i) =>
+    `${(i / (scores.length - 1)) * (width - 4) + 2},${2 + (height - 4) * (1 - score / 100)}`
+  ).join(' ');
+
+  return (
+    <svg width={width} height={height} role="img" aria-label={`Scores over time: ${scores.join(', ')}`}>
+      <polyline points={points} fill="none" stroke="#764ba2" strokeWidth="2" />
+    </svg>
+  );
+}
+
+// The document as mammoth renders it, with the issues marked. The selected issue's
+// text is highlighted and scrolled into view; hovering marked text names its issues.
+function DocumentPreview({ html, activeIssue }) {
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    container.querySelectorAll('.issue-active').forEach(element => element.classList.remove('issue-active'));
+    if (!activeIssue) return;
+
+    const marked = container.querySelectorAll(`[data-issues~="${activeIssue}"]`);
+    marked.forEach(element => element.classList.add('issue-active'));
+    marked[0]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [html, activeIssue]);
+
+  return (
+    <div className="document-preview">
+      <h3>📄 Document preview</h3>
+      <div
+        ref={containerRef}
+        className="preview-page"
+        dangerouslySetInnerHTML={{ __html: html }}
+      />
+    </div>
+  );
+}
+
+// Debug inspector: what the parser made of each paragraph and what every rule that checked
+// it decided, see lib/inspect.js. A row opens to show the runs, the rules and the raw XML.
+function DocumentInspector({ paragraphs }) {
+  const [filter, setFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [expanded, setExpanded] = useState(null);
+
+  const filters = {
+    all: () => true,
+    text: p => p.text.trim(),
+    findings: p => p.rules.some(rule => rule.result !== 'passed'),
+    headings: p => p.headingLevel > 0
+  };
+  const query = search.trim().toLowerCase();
+  const rows = paragraphs.filter(p => filters[filter](p) && (!query || p.text.toLowerCase().includes(query)));
+
+  return (
+    <div className="document-inspector">
+      <div className="inspector-header">
+        <h3>🔎 Document inspector</h3>
+        <div className="inspector-filters">
+          <select value={filter} onChange={(e) => setFilter(e.target.value)} aria-label="Paragraphs to show">
+            <option value="all">All paragraphs</option>
+            <option value="text">Paragraphs with text</option>
+            <option value="findings">Paragraphs with findings</option>
+            <option value="headings">Headings</option>
+          </select>
+          <input
+            type="search"
+            placeholder="Search text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+          />
+        </div>
+      </div>
+      <p className="inspector-note">
+        {rows.length} of {paragraphs.length} paragraphs. Spacing, indents and fonts are the effective
+        values after styles and direct formatting; indents are in inches, negative when hanging.
+      </p>
+      <div className="inspector-table">
+        <table>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Page</th>
+              <th>Text</th>
+              <th>Style</th>
+              <th>Heading</th>
+              <th>Format</th>
+              <th>Spacing</th>
+              <th>Indent</th>
+              <th>Fonts</th>
+              <th>Rules</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(p => {
+              const failed = p.rules.filter(rule => rule.result !== 'passed');
+              const isExpanded = expanded === p.index;
+              return (
+                <InspectorRow
+                  key={p.index}
+                  paragraph={p}
+                  failed={failed}
+                  expanded={isExpanded}
+                  onToggle={() => setExpanded(isExpanded ? null : p.index)}
+                />
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function InspectorRow({ paragraph: p, failed, expanded, onToggle }) {
+  const fonts = Array.from(new Set(p.runs.filter(run => run.text.trim()).map(run =>
+    [run.font || 'default', run.size && `${run.size}pt`].filter(Boolean).join(' ')
+  )));
+  const status = failed.some(rule => rule.result === 'error') ? 'error' : failed.length > 0 ? 'warning' : 'passed';
+
+  return (
+    <>
+      <tr className={`inspector-row${expanded ? ' expanded' : ''}`} onClick={onToggle}>
+        <td>{p.index + 1}</td>
+        <td>{p.page + 1}</td>
+        <td className="inspector-text">{p.text.trim().substring(0, 60) || <em>(empty)</em>}</td>
+        <td title={p.styles.join(' → ')}>{p.styles[0] || p.styleId || '—'}</td>
+        <td>{p.headingLevel > 0 ? `${p.headingLevel} (${p.headingSource})` : '—'}</td>
+        <td>
+          {[p.bold && 'bold', p.italic && 'italic', p.alignment].filter(Boolean).join(', ') || '—'}
+        </td>
+        <td>{describeSpacing(p.lineSpacing, p.lineRule)}</td>
+        <td>{twipsToInches(p.indent)}" / {twipsToInches(p.leftIndent)}" left</td>
+        <td>{fonts.join(', ') || '—'}</td>
+        <td className={`inspector-${status}`}>
+          {p.rules.length === 0 ? '—' : `${p.rules.length - failed.length} ✓${failed.length > 0 ? ` ${failed.length} ✗` : ''}`}
+        </td>
+      </tr>
+      {expanded && (
+        <tr className="inspector-details">
+          <td colSpan={10}>
+            <h4>Rules</h4>
+            {p.rules.length === 0 ? (
+              <p>No rule checked this paragraph.</p>
+            ) : (
+              <ul className="inspector-rules">
+                {p.rules.map(rule => (
+                  <li key={rule.rule} className={`inspector-${rule.result}`}>
+                    <code>{rule.rule}</code> {rule.result}
+                    {rule.issues.map((issue, i) => <div key={i} className="inspector-issue">{issue}</div>)}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <h4>Runs</h4>
+            <table className="inspector-runs">
+              <tbody>
+                {p.runs.map((run, i) => (
+                  <tr key={i}>
+                    <td className="inspector-text">"{run.text}"</td>
+                    <td>{run.font || 'default font'}</td>
+                    <td>{run.size ? `${run.size}pt` : 'default size'}</td>
+                    <td>{[run.bold && 'bold', run.italic && 'italic'].filter(Boolean).join(', ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <h4>XML</h4>
+            <pre className="inspector-xml">{p.xml}</pre>
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+// What the checks assumed about the file: converted from .odt, or without parts Word
+// would fall back to defaults for. Runs saved before results had a source have none.
+function describeSource(source) {
+  if (!source) return [];
+  const notes = [];
+  if (source.format === 'odt') {
+    notes.push('This OpenDocument (.odt) file was converted to Word\'s format to be checked, so the annotated and fixed copies are .docx files.');
+  }
+  if (source.missingParts.includes('word/styles.xml')) {
+    notes.push('The document has no styles, as some exports (Google Docs among them) leave out. Text without formatting of its own was taken to be Word\'s default: single-spaced Times New Roman at 10 pt.');
+  }
+  if (source.missingParts.includes('word/settings.xml')) {
+    notes.push('The document has no settings, so Word\'s defaults were assumed, such as the same header on odd and even pages.');
+  }
+  if (source.missingParts.includes('styles.xml')) {
+    notes.push('The .odt file has no styles, so only the formatting set on the text itself was checked.');
+  }
+  return notes;
+}
+
+// w:line is in 240ths of a line with the auto rule and in twentieths of a point otherwise
+function describeSpacing(line, lineRule) {
+  if (line === null) return 'single';
+  if (!lineRule || lineRule === 'auto') return `${Math.round((line / 240) * 100) / 100} lines`;
+  return `${lineRule === 'exact' ? 'exactly' : 'at least'} ${line / 20}pt`;
+}
+
 // Results display component
-function ResultsDisplay({ results, debugMode }) {
+function ResultsDisplay({ results, debugMode, activeIssue, onSelectIssue }) {
   const [expandedCategories, setExpandedCategories] = useState({
     errors: true,
     warnings: true,
@@ -380,12 +1645,6 @@ function ResultsDisplay({ results, debugMode }) {
     }));
   };
 
-  const getScoreColor = (score) => {
-    if (score >= 90) return '#28a745';
-    if (score >= 70) return '#ffc107';
-    return '#dc3545';
-  };
-
   const categoryConfig = {
     errors: { 
       bg: '#f8d7da', 
@@ -418,8 +1677,11 @@ function ResultsDisplay({ results, debugMode }) {
           style={{ background: getScoreColor(results.score) }}
         >
           <div className="score-number">{results.score}%</div>
-          <div className="score-label">APA Score</div>
+          <div className="score-label">{results.guide.shortName} Score</div>
         </div>
+        {results.profile && (
+          <p className="score-profile">Scored with the rubric “{results.profile}”</p>
+        )}
         <h3 className="score-message">
           {results.score >= 90 ? 'Excellent Formatting!' :
            results.score >= 70 ? 'Good, but needs some fixes' :
@@ -427,6 +1689,10 @@ function ResultsDisplay({ results, debugMode }) {
         </h3>
       </div>
 
+      {describeSource(results.source).map(note => (
+        <p key={note} className="source-note">{note}</p>
+      ))}
+
       <div className="stats-grid">
         <div className="stat-card">
           <div className="stat-number" style={{ color: '#dc3545' }}>
@@ -466,33 +1732,40 @@ function ResultsDisplay({ results, debugMode }) {
               <span>{expanded ? '▼' : '▶'}</span>
             </h3>
             
-            {expanded && items.map((item, index) => (
-              <div 
-                key={index} 
-                className="issue-card"
-                style={{
-                  background: config.bg,
-                  border: `1px solid ${config.border}`
-                }}
-              >
-                <div className="issue-title" style={{ color: config.text }}>
-                  {item.issue}
-                </div>
-                <div className="issue-details" style={{ color: config.text }}>
-                  {item.details}
-                </div>
-                {item.location && (
-                  <div className="issue-location" style={{ color: config.text }}>
-                    📍 Location: {item.location}
+            {expanded && items.map((item, index) => {
+              const key = issueKey(category, index);
+              // Issues about the document as a whole have nothing to show in the preview
+              const linked = Boolean(onSelectIssue) && category !== 'passed' && item.targets?.length > 0;
+
+              return (
+                <div 
+                  key={index} 
+                  className={`issue-card${linked ? ' issue-card-linked' : ''}${activeIssue === key ? ' issue-card-active' : ''}`}
+                  onClick={linked ? () => onSelectIssue(activeIssue === key ? null : key) : undefined}
+                  style={{
+                    background: config.bg,
+                    border: `1px solid ${config.border}`
+                  }}
+                >
+                  <div className="issue-title" style={{ color: config.text }}>
+                    {item.issue}
                   </div>
-                )}
-                {item.fix && (
-                  <div className="issue-fix">
-                    💡 <strong>How to fix:</strong> {item.fix}
+                  <div className="issue-details" style={{ color: config.text }}>
+                    {item.details}
                   </div>
-                )}
-              </div>
-            ))}
+                  {item.location && (
+                    <div className="issue-location" style={{ color: config.text }}>
+                      📍 Location: {item.location}
+                    </div>
+                  )}
+                  {item.fix && (
+                    <div className="issue-fix">
+                      💡 <strong>How to fix:</strong> {item.fix}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
           </div>
         );
       })}
@@ -508,256 +1781,10 @@ function ResultsDisplay({ results, debugMode }) {
         }}>
           <h4>🔧 Debug Information</h4>
           <pre style={{ whiteSpace: 'pre-wrap' }}>
-            {JSON.stringify(results.debug, null, 2)}
+            {JSON.stringify({ ...results.debug, checked: undefined }, null, 2)}
           </pre>
         </div>
       )}
     </>
   );
 }
-
-// Parse document structure
-function parseDocumentStructure(documentXml, stylesXml, settingsXml) {
-  const structure = {
-    paragraphs: [],
-    styles: {},
-    fonts: new Set(),
-    fontSize: null,
-    margins: {},
-    spacing: {},
-    hasPageNumbers: false,
-    citations: []
-  };
-
-  // Parse margins
-  const marginMatch = documentXml.match(/<w:pgMar[^>]*\/>/);
-  if (marginMatch) {
-    const marginTag = marginMatch[0];
-    structure.margins = {
-      top: extractValue(marginTag, 'w:top'),
-      bottom: extractValue(marginTag, 'w:bottom'),
-      left: extractValue(marginTag, 'w:left'),
-      right: extractValue(marginTag, 'w:right')
-    };
-  }
-
-  // Check for page numbers
-  structure.hasPageNumbers = documentXml.includes('w:pgNum') || 
-                             documentXml.includes('PAGE');
-
-  // Parse styles
-  const styleMatches = stylesXml.matchAll(/<w:style[^>]*w:styleId="([^"]+)"[^>]*>([\s\S]*?)<\/w:style>/g);
-  for (const match of styleMatches) {
-    const styleId = match[1];
-    const styleContent = match[2];
-    
-    if (styleId.toLowerCase().includes('heading')) {
-      structure.styles[styleId] = {
-        type: 'heading',
-        level: parseInt(styleId.match(/\d/) || '1'),
-        bold: styleContent.includes('<w:b/>'),
-        italic: styleContent.includes('<w:i/>'),
-        centered: styleContent.includes('w:val="center"')
-      };
-    }
-  }
-
-  // Parse paragraphs
-  const paragraphMatches = documentXml.matchAll(/<w:p[^>]*>([\s\S]*?)<\/w:p>/g);
-  for (const match of paragraphMatches) {
-    const paragraph = parseParagraph(match[1], structure.styles);
-    if (paragraph.text.trim()) {
-      structure.paragraphs.push(paragraph);
-      
-      // Extract citations
-      const citationMatches = paragraph.text.matchAll(/\(([^)]+,\s*\d{4}[^)]*)\)/g);
-      for (const cite of citationMatches) {
-        structure.citations.push(cite[0]);
-      }
-    }
-  }
-
-  // Extract fonts
-  const fontMatches = documentXml.matchAll(/w:ascii="([^"]+)"/g);
-  for (const match of fontMatches) {
-    structure.fonts.add(match[1]);
-  }
-
-  return structure;
-}
-
-function parseParagraph(paragraphXml, styles) {
-  const paragraph = {
-    text: '',
-    styleId: null,
-    isHeading: false,
-    headingLevel: 0,
-    isBold: false,
-    isItalic: false,
-    isCentered: false,
-    indent: 0
-  };
-
-  // Extract style
-  const styleMatch = paragraphXml.match(/<w:pStyle w:val="([^"]+)"/);
-  if (styleMatch) {
-    paragraph.styleId = styleMatch[1];
-    const styleInfo = styles[paragraph.styleId];
-    if (styleInfo) {
-      paragraph.isHeading = styleInfo.type === 'heading';
-      paragraph.headingLevel = styleInfo.level;
-      paragraph.isBold = styleInfo.bold;
-      paragraph.isItalic = styleInfo.italic;
-      paragraph.isCentered = styleInfo.centered;
-    }
-  }
-
-  // Check direct formatting
-  if (paragraphXml.includes('<w:b/>')) paragraph.isBold = true;
-  if (paragraphXml.includes('<w:i/>')) paragraph.isItalic = true;
-  if (paragraphXml.includes('w:val="center"')) paragraph.isCentered = true;
-
-  // Extract text
-  const textMatches = paragraphXml.matchAll(/<w:t[^>]*>([^<]*)<\/w:t>/g);
-  for (const match of textMatches) {
-    paragraph.text += match[1];
-  }
-
-  // Auto-detect headings
-  const headingKeywords = ['Abstract', 'Introduction', 'Method', 'Results', 'Discussion', 'References'];
-  if (headingKeywords.some(keyword => paragraph.text.trim() === keyword)) {
-    paragraph.isHeading = true;
-    paragraph.headingLevel = 1;
-  }
-
-  return paragraph;
-}
-
-function extractValue(xmlString, attribute) {
-  const match = xmlString.match(new RegExp(`${attribute}="(\\d+)"`));
-  return match ? parseInt(match[1]) : 0;
-}
-
-// Validation function
-function validateDocument(text, html, structure) {
-  const results = {
-    score: 100,
-    categories: {
-      errors: [],
-      warnings: [],
-      passed: []
-    },
-    debug: {
-      fontsFound: Array.from(structure.fonts),
-      paragraphCount: structure.paragraphs.length,
-      headingCount: structure.paragraphs.filter(p => p.isHeading).length,
-      citationCount: structure.citations.length
-    }
-  };
-
-  // Font validation
-  const acceptableFonts = ['Times New Roman', 'Calibri', 'Arial', 'Georgia'];
-  const hasGoodFont = Array.from(structure.fonts).some(font =>
-    acceptableFonts.some(acceptable => font.includes(acceptable))
-  );
-
-  if (hasGoodFont) {
-    results.categories.passed.push({
-      issue: 'Font Type',
-      details: 'Using APA-approved font'
-    });
-  } else if (structure.fonts.size > 0) {
-    results.categories.errors.push({
-      issue: 'Non-standard Font',
-      details: `Font may not meet APA standards`,
-      fix: 'Use Times New Roman 12pt, Calibri 11pt, Arial 11pt, or Georgia 11pt'
-    });
-    results.score -= 10;
-  }
-
-  // Page numbers
-  if (structure.hasPageNumbers) {
-    results.categories.passed.push({
-      issue: 'Page Numbers',
-      details: 'Document includes page numbering'
-    });
-  } else {
-    results.categories.errors.push({
-      issue: 'Missing Page Numbers',
-      details: 'No page numbers detected',
-      fix: 'Add page numbers in the header, flush right'
-    });
-    results.score -= 8;
-  }
-
-  // Headings
-  const headings = structure.paragraphs.filter(p => p.isHeading);
-  if (headings.length > 0) {
-    results.categories.passed.push({
-      issue: 'Document Structure',
-      details: `Found ${headings.length} headings`
-    });
-    
-    headings.forEach(heading => {
-      const headingText = heading.text.substring(0, 30);
-      
-      if (!heading.isBold) {
-        results.categories.errors.push({
-          issue: 'Heading Not Bold',
-          details: `"${headingText}" must be bold`,
-          fix: 'All APA headings must be bold'
-        });
-        results.score -= 8;
-      }
-      
-      if (heading.headingLevel === 1 && !heading.isCentered) {
-        results.categories.errors.push({
-          issue: 'Level 1 Not Centered',
-          details: `"${headingText}" should be centered`,
-          fix: 'Level 1 headings must be centered'
-        });
-        results.score -= 8;
-      }
-    });
-  } else {
-    results.categories.warnings.push({
-      issue: 'No Headings Found',
-      details: 'Document lacks formatted headings',
-      fix: 'Use APA heading styles to organize your paper'
-    });
-    results.score -= 10;
-  }
-
-  // References
-  if (text.includes('References')) {
-    results.categories.passed.push({
-      issue: 'References Section',
-      details: 'Document includes References'
-    });
-  } else {
-    results.categories.warnings.push({
-      issue: 'No References Section',
-      details: 'References section not found',
-      fix: 'Add References section with cited sources'
-    });
-    results.score -= 5;
-  }
-
-  // Citations
-  if (structure.citations.length > 0) {
-    results.categories.passed.push({
-      issue: 'In-text Citations',
-      details: `Found ${structure.citations.length} citations`
-    });
-  } else {
-    results.categories.warnings.push({
-      issue: 'No Citations',
-      details: 'No in-text citations found',
-      fix: 'Add APA citations for all sources'
-    });
-    results.score -= 10;
-  }
-
-  results.score = Math.max(0, results.score);
-  return results;
-}
@@ -0,0 +1,61 @@
+// Offline support. Documents are read and checked in the browser, so once the page and
+// its scripts are cached the validator needs no network. Change CACHE to drop the files
+// of an older build.
+const CACHE = 'validator-v1';
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.add('/'))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page sends the files it loaded before the worker was in control
+self.addEventListener('message', event => {
+  if (event.data?.type !== 'cache') return;
+  event.waitUntil(
+    caches.open(CACHE).then(cache =>
+      Promise.all(event.data.urls.map(url => cache.add(url).catch(() => {})))
+    )
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  // Build output has a content hash in its name and never changes
+  if (url.pathname.startsWith('/_next/static/')) {
+    event.respondWith(caches.match(request).then(cached => cached || fetchAndCache(request)));
+    return;
+  }
+
+  // Pages and public files come from the network when there is one, so a new
+  // deployment shows up right away, and from the cache otherwise
+  event.respondWith(
+    fetchAndCache(request).catch(async () =>
+      await caches.match(request, { ignoreSearch: true }) ||
+      (request.mode === 'navigate' && await caches.match('/')) ||
+      Response.error()
+    )
+  );
+});
+
+async function fetchAndCache(request) {
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { RULES } from '../lib/rules/abstract.js';
+import { checkDocx, findings, paragraph, run } from './helpers.js';
+
+const ABSTRACT_RULES = RULES.map(rule => rule.id);
+const CENTERED = { align: 'center', firstLine: 0 };
+const SUMMARY = 'Older adults remember places differently as they age, and this study asks how.';
+const KEYWORDS = paragraph([run('Keywords:', { italic: true }), run(' memory, place, aging')]);
+
+// A paper with an abstract page of `lines` between the title page and the body
+function withAbstract(lines, validation = {}) {
+  return checkDocx([
+    paragraph('A Study of Things', { ...CENTERED, bold: true }),
+    paragraph('Ann Author', CENTERED),
+    paragraph('Abstract', { ...CENTERED, bold: true, pageBreakBefore: true }),
+    ...lines,
+    paragraph('A Study of Things', { ...CENTERED, bold: true, pageBreakBefore: true }),
+    'Memory is tied to place in ways that change as people age.'
+  ], {}, validation);
+}
+
+function abstractFindings(results) {
+  return ABSTRACT_RULES.flatMap(rule => findings(results, rule).map(item => item.rule));
+}
+
+test('an abstract on its own page with a keywords line passes', async () => {
+  const { results } = await withAbstract([paragraph(SUMMARY, { firstLine: 0 }), KEYWORDS]);
+  assert.deepEqual(abstractFindings(results), []);
+  assert.ok(results.categories.passed.some(item => item.rule === 'abstract-page'));
+});
+
+test('only professional papers need an abstract', async () => {
+  const body = [paragraph('A Study of Things', { ...CENTERED, bold: true }), 'Memory is tied to place.'];
+  const { results: student } = await checkDocx(body);
+  assert.deepEqual(abstractFindings(student), []);
+
+  const { results: professional } = await checkDocx(body, {}, { paperType: 'professional' });
+  assert.deepEqual(abstractFindings(professional), ['abstract-missing']);
+});
+
+test('the abstract is a single unindented paragraph within the word limit', async () => {
+  const { results } = await withAbstract([paragraph(SUMMARY), SUMMARY, KEYWORDS], { abstractWordLimit: 20 });
+  assert.deepEqual(abstractFindings(results), ['abstract-paragraphs', 'abstract-length', 'abstract-indent']);
+  assert.equal(findings(results, 'abstract-length')[0].details, 'The abstract has 26 words; the limit is 20');
+  assert.deepEqual(findings(results, 'abstract-indent')[0].targets.map(target => target.paragraph), [3, 4]);
+});
+
+test('the abstract label needs text below it and a page to itself', async () => {
+  const { results: empty } = await withAbstract([KEYWORDS]);
+  assert.deepEqual(abstractFindings(empty), ['abstract-empty']);
+
+  const { results: shared } = await checkDocx([
+    paragraph('A Study of Things', { ...CENTERED, bold: true }),
+    paragraph('Abstract', { ...CENTERED, bold: true }),
+    paragraph(SUMMARY, { firstLine: 0 }),
+    KEYWORDS
+  ]);
+  assert.equal(findings(shared, 'abstract-page')[0].details, 'The Abstract label does not start a new page');
+});
+
+test('the keywords line is indented, with only its label in italics', async () => {
+  const { results: missing } = await withAbstract([paragraph(SUMMARY, { firstLine: 0 })]);
+  assert.deepEqual(abstractFindings(missing), ['keywords-missing']);
+
+  const { results } = await withAbstract([
+    paragraph(SUMMARY, { firstLine: 0 }),
+    paragraph([run('Keywords: memory, place, aging', { italic: true })], { firstLine: 0 })
+  ]);
+  assert.deepEqual(abstractFindings(results), ['keywords-indent', 'keywords-format']);
+
+  const { results: plain } = await withAbstract([paragraph(SUMMARY, { firstLine: 0 }), 'Keywords: memory, place, aging']);
+  assert.deepEqual(abstractFindings(plain), ['keywords-label']);
+});
@@ -0,0 +1,109 @@
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { after, before, test } from 'node:test';
+import JSZip from 'jszip';
+import handler from '../pages/api/validate.js';
+import { buildDocx } from './helpers.js';
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+// Serve the route with the two response helpers it uses from Next.js. A test can
+// watch for the next request to arrive, or the next response to be sent.
+let server;
+let port;
+let onRequest = () => {};
+let onResponse = () => {};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    req.query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+    res.status = code => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = body => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+      onResponse({ status: res.statusCode, body });
+    };
+    onRequest(req);
+    handler(req, res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => new Promise(resolve => {
+  server.close(resolve);
+  server.closeAllConnections();
+}));
+
+// Send the body in chunks, by default without a Content-Length so only the running
+// total can tell the route that the upload is too large
+function upload(chunks, headers = { 'Transfer-Encoding': 'chunked' }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      method: 'POST',
+      path: '/api/validate',
+      headers: { 'Content-Type': 'application/octet-stream', ...headers }
+    }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    for (const chunk of chunks) req.write(chunk);
+    req.end();
+  });
+}
+
+test('a chunked upload over the limit gets a 413 response, not a reset connection', { timeout: 10000 }, async () => {
+  const chunk = Buffer.alloc(1024 * 1024);
+  const chunks = Array.from({ length: MAX_UPLOAD_BYTES / chunk.length + 1 }, () => chunk);
+
+  const res = await upload(chunks);
+  assert.equal(res.status, 413);
+  assert.equal(res.headers.connection, 'close');
+  assert.equal(res.body.error.code, 'FILE_TOO_LARGE');
+});
+
+test('an upload with a Content-Length over the limit is refused before it is read', async () => {
+  const res = await upload([Buffer.alloc(16)], { 'Content-Length': MAX_UPLOAD_BYTES + 1 });
+  assert.equal(res.status, 413);
+  assert.equal(res.body.error.code, 'FILE_TOO_LARGE');
+});
+
+test('an upload within the limit is read and checked', async () => {
+  const res = await upload([Buffer.from('plain text, not a document')]);
+  assert.equal(res.status, 415);
+  assert.equal(res.body.error.code, 'NOT_DOCX');
+});
+
+test('an upload the client abandons gets a 400 response instead of hanging', { timeout: 10000 }, async () => {
+  const received = new Promise(resolve => { onRequest = resolve; });
+  const responded = new Promise(resolve => { onResponse = resolve; });
+  const req = http.request({
+    port,
+    method: 'POST',
+    path: '/api/validate',
+    headers: { 'Content-Type': 'application/octet-stream', 'Transfer-Encoding': 'chunked' }
+  });
+  req.on('error', () => {});
+  req.write(Buffer.alloc(1024));
+  await received;
+  req.destroy();
+
+  const res = await responded;
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, 'UPLOAD_ABORTED');
+});
+
+test('a .docx without a document body is a malformed document', async () => {
+  const zip = await JSZip.loadAsync(await buildDocx(['A Study of Things']));
+  zip.file('word/document.xml', '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"/>');
+  const res = await upload([await zip.generateAsync({ type: 'nodebuffer' })]);
+  assert.equal(res.status, 422);
+  assert.equal(res.body.error.code, 'MALFORMED_DOCX');
+});
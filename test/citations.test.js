@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkDocx, findings, paragraph } from './helpers.js';
+
+const HANGING = { left: 720, hanging: 720 };
+const CITATION_RULES = [
+  'citation-connector', 'citation-missing-reference', 'citation-et-al', 'reference-uncited', 'reference-year-ambiguous'
+];
+
+// A paper with `sentences` as its body and `entries` as its reference list
+function paper(sentences, entries) {
+  return checkDocx([
+    'A Study of Things',
+    ...sentences,
+    paragraph('References', { align: 'center', bold: true, firstLine: 0, pageBreakBefore: true }),
+    ...entries.map(entry => paragraph(entry, HANGING))
+  ]);
+}
+
+function citationFindings(results) {
+  return CITATION_RULES.flatMap(rule => findings(results, rule).map(item => item.rule));
+}
+
+test('parenthetical, narrative and group author citations are read with their authors and years', async () => {
+  const { model } = await paper([
+    'Memory is tied to place (Smith, 2020; Jones & Lee, 2019a; see Park et al., 2018, p. 4).',
+    'Smith and Lee (2019, 2021) disagreed (American Psychological Association [APA], 2020).'
+  ], []);
+  assert.deepEqual(model.citations.map(c => [c.authors, c.year, c.narrative, c.etAl, c.connector]), [
+    [['Smith'], '2020', false, false, null],
+    [['Jones', 'Lee'], '2019a', false, false, '&'],
+    [['Park'], '2018', false, true, null],
+    [['Smith', 'Lee'], '2019', true, false, 'and'],
+    [['Smith', 'Lee'], '2021', true, false, 'and'],
+    [['American Psychological Association'], '2020', false, false, null]
+  ]);
+  assert.equal(model.citations[1].text, 'Jones & Lee, 2019a');
+});
+
+test('citations stop at the reference list', async () => {
+  const { model } = await paper(['Memory is tied to place (Smith, 2020).'], ['Smith, J. (2020). Memory and place. Publisher.']);
+  assert.deepEqual(model.citations.map(c => c.paragraphIndex), [1]);
+});
+
+test('citations that match the reference list pass', async () => {
+  const { results } = await paper(
+    ['Memory is tied to place (Smith, 2020), as Jones and Lee (2019) found.'],
+    ['Jones, A., & Lee, B. (2019). Houses. Publisher.', 'Smith, J. (2020). Memory and place. Publisher.']
+  );
+  assert.deepEqual(citationFindings(results), []);
+  assert.ok(results.categories.passed.some(item => item.rule === 'citation-missing-reference'));
+});
+
+test('"&" belongs inside parentheses and "and" in running text', async () => {
+  const { results } = await paper(
+    ['Memory is tied to place (Jones and Lee, 2019), as Jones & Lee (2019) found.'],
+    ['Jones, A., & Lee, B. (2019). Houses. Publisher.']
+  );
+  assert.deepEqual(findings(results, 'citation-connector').map(item => item.details), [
+    'Use "&" between authors inside parentheses: Jones and Lee, 2019',
+    'Use "and" between authors in running text: Jones & Lee (2019)'
+  ]);
+});
+
+test('a citation with no reference entry, and an entry never cited, are both reported', async () => {
+  const { results } = await paper(
+    ['Memory is tied to place (Smith, 2021).'],
+    ['Smith, J. (2020). Memory and place. Publisher.']
+  );
+  assert.equal(findings(results, 'citation-missing-reference')[0].details, 'No reference entry matches Smith (2021)');
+  assert.deepEqual(findings(results, 'reference-uncited')[0].targets.map(target => target.paragraph), [3]);
+});
+
+test('works with three or more authors are cited with "et al."', async () => {
+  const { results } = await paper(
+    ['Memory is tied to place (Park & Kim, 2018), as Park et al. (2018) showed.'],
+    ['Park, S., Kim, D., & Cho, E. (2018). Houses and memory. Publisher.']
+  );
+  const etAl = findings(results, 'citation-et-al');
+  assert.equal(etAl.length, 1);
+  assert.equal(etAl[0].details, 'Works with three or more authors are cited as Park et al. (2018)');
+
+  // Naming every author is the same mistake, not a missing reference
+  const { results: listed } = await paper(
+    ['Memory is tied to place (Park, Kim, & Cho, 2018).'],
+    ['Park, S., Kim, D., & Cho, E. (2018). Houses and memory. Publisher.']
+  );
+  assert.deepEqual(citationFindings(listed), ['citation-et-al']);
+});
+
+test('two works by the same authors in the same year need letters', async () => {
+  const { results } = await paper(
+    ['Memory is tied to place (Smith, 2020).'],
+    ['Smith, J. (2020). Memory and place. Publisher.', 'Smith, J. (2020). Places of memory. Publisher.']
+  );
+  const [finding] = findings(results, 'reference-year-ambiguous');
+  assert.deepEqual(finding.targets.map(target => target.paragraph), [3, 4]);
+
+  const { results: lettered } = await paper(
+    ['Memory is tied to place (Smith, 2020a, 2020b).'],
+    ['Smith, J. (2020a). Memory and place. Publisher.', 'Smith, J. (2020b). Places of memory. Publisher.']
+  );
+  assert.deepEqual(citationFindings(lettered), []);
+});
+
+test('undated works by the same author are told apart with n.d.-a and n.d.-b', async () => {
+  const { results, model } = await paper(
+    ['Memory is tied to place (Doe, n.d.-a), as Doe (n.d.-b) argued.'],
+    ['Doe, J. (n.d.-a). Some title. Publisher.', 'Doe, J. (n.d.-b). Another title. Publisher.']
+  );
+  assert.deepEqual(model.citations.map(c => c.year), ['n.d.-a', 'n.d.-b']);
+  assert.deepEqual(citationFindings(results), []);
+  assert.deepEqual(findings(results, 'reference-format'), []);
+  assert.deepEqual(findings(results, 'reference-order'), []);
+});
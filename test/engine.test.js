@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ProfileError, resolveRules } from '../lib/index.js';
+import { checkDocx, findings, paragraph } from './helpers.js';
+
+// Five citations of works the reference list does not have
+const AUTHORS = ['Adams', 'Baker', 'Clark', 'Davis', 'Evans'];
+const UNMATCHED_CITATIONS = [
+  'A Study of Things',
+  ...AUTHORS.map(author => `Earlier work found the same effect in a larger sample (${author}, 2020).`),
+  paragraph('References', { align: 'center', bold: true, firstLine: 0, pageBreakBefore: true }),
+  paragraph('Young, A. (2018). A title of a work. Publisher.', { hanging: 720, left: 720 })
+];
+
+test('every rule has a unique id, a severity, a weight and a cap', () => {
+  const rules = Object.values(resolveRules());
+  assert.equal(new Set(rules.map(rule => rule.id)).size, rules.length);
+  for (const rule of rules) {
+    assert.ok(['error', 'warning'].includes(rule.severity), rule.id);
+    assert.ok(rule.weight > 0 && rule.maxPenalty >= rule.weight, rule.id);
+    assert.equal(typeof rule.title, 'string', rule.id);
+  }
+});
+
+test('a profile overrides the severity, weight and cap of the rules it names', () => {
+  const rules = resolveRules({
+    rules: { margins: 'warning', 'font-family': { weight: 15, maxPenalty: 20 }, 'running-head': 'off' }
+  });
+  assert.equal(rules.margins.severity, 'warning');
+  assert.equal(rules.margins.weight, resolveRules().margins.weight);
+  assert.deepEqual([rules['font-family'].weight, rules['font-family'].maxPenalty], [15, 20]);
+  assert.equal(rules['running-head'].severity, 'off');
+  assert.deepEqual(rules['line-spacing'], resolveRules()['line-spacing']);
+});
+
+test('mistakes in a profile are rejected rather than ignored', () => {
+  const mistakes = [
+    [],
+    'margins',
+    { rules: { 'no-such-rule': 'off' } },
+    { rules: { margins: 'fatal' } },
+    { rules: { margins: 3 } },
+    { rules: { margins: { weight: -1 } } },
+    { rules: { margins: { maxPenalty: 'high' } } }
+  ];
+  for (const profile of mistakes) {
+    assert.throws(() => resolveRules(profile), ProfileError, JSON.stringify(profile));
+  }
+});
+
+test('each rule costs its weight per finding, up to its cap', async () => {
+  const { results } = await checkDocx(UNMATCHED_CITATIONS);
+  const rules = resolveRules();
+
+  assert.equal(findings(results, 'citation-missing-reference').length, 5);
+  const missing = results.rules.find(rule => rule.id === 'citation-missing-reference');
+  assert.equal(missing.penalty, rules['citation-missing-reference'].maxPenalty);
+  assert.ok(missing.penalty < 5 * rules['citation-missing-reference'].weight);
+
+  for (const rule of results.rules) {
+    assert.equal(rule.penalty, Math.min(rule.findings * rules[rule.id].weight, rules[rule.id].maxPenalty), rule.id);
+  }
+  assert.equal(results.score, 100 - results.rules.reduce((total, rule) => total + rule.penalty, 0));
+});
+
+test('every issue names the rule that reported it', async () => {
+  const { results } = await checkDocx(UNMATCHED_CITATIONS);
+  const ids = Object.keys(resolveRules());
+  for (const item of Object.values(results.categories).flat()) {
+    assert.ok(ids.includes(item.rule), `${item.issue} has rule ${item.rule}`);
+  }
+});
+
+test('a profile turns rules off and changes what they cost', async () => {
+  const { results: before } = await checkDocx(UNMATCHED_CITATIONS);
+  const profile = {
+    name: 'Citations only count once',
+    rules: { 'citation-missing-reference': { severity: 'warning', maxPenalty: 3 }, 'page-numbers': 'off' }
+  };
+  const { results } = await checkDocx(UNMATCHED_CITATIONS, {}, { profile });
+
+  assert.equal(results.profile, 'Citations only count once');
+  assert.equal(findings(results, 'page-numbers').length, 0);
+  assert.ok(!results.categories.passed.some(item => item.rule === 'page-numbers'));
+  assert.equal(results.categories.warnings.filter(item => item.rule === 'citation-missing-reference').length, 5);
+  assert.ok(!results.categories.errors.some(item => item.rule === 'citation-missing-reference'));
+  const cost = id => before.rules.find(rule => rule.id === id).penalty;
+  assert.equal(results.score, before.score + cost('page-numbers') + cost('citation-missing-reference') - 3);
+});
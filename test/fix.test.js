@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import JSZip from 'jszip';
+import { analyzeDocx, applyFixes, planFixes } from '../lib/index.js';
+import { buildDocx, libs, paragraph } from './helpers.js';
+
+const TEXT = [
+  'A Study of Things',
+  ...Array.from({ length: 4 }, () => 'This body paragraph has enough words in it to read like the running text of a paper.')
+];
+
+// Comic Sans, single spacing and 1.5-inch margins, with no page number header
+function buildUnformatted() {
+  return buildDocx(TEXT.map(text => paragraph(text, { font: 'Comic Sans MS', line: 240 })), { margin: 2160 });
+}
+
+function issues(results) {
+  return [...results.categories.errors, ...results.categories.warnings].map(item => item.issue);
+}
+
+test('accepted fixes clear the issues they were planned for', async () => {
+  const data = await buildUnformatted();
+  const { results } = await analyzeDocx(data, libs);
+  const plan = planFixes(results);
+  assert.deepEqual(plan.map(fix => fix.autoFix.type).sort(), ['doubleSpacing', 'font', 'margins', 'pageNumbers']);
+
+  const fixed = await applyFixes(data, plan.map(fix => fix.autoFix), libs);
+  const { results: after, model } = await analyzeDocx(Buffer.from(fixed), libs);
+  for (const issue of plan.map(fix => fix.issue)) {
+    assert.ok(!issues(after).includes(issue), `${issue} is still reported`);
+  }
+  assert.deepEqual(planFixes(after), []);
+  assert.ok(after.score > results.score);
+  assert.deepEqual(Array.from(model.fonts), ['Times New Roman']);
+  assert.deepEqual(model.margins, { top: 1440, bottom: 1440, left: 1440, right: 1440 });
+  assert.ok(model.hasPageNumbers);
+});
+
+test('only the accepted fixes are made', async () => {
+  const data = await buildUnformatted();
+  const fixes = planFixes((await analyzeDocx(data, libs)).results).map(fix => fix.autoFix);
+  const fixed = await applyFixes(data, fixes.filter(fix => fix.type === 'margins'), libs);
+
+  const { model } = await analyzeDocx(Buffer.from(fixed), libs);
+  assert.equal(model.margins.left, 1440);
+  assert.deepEqual(Array.from(model.fonts), ['Comic Sans MS']);
+  assert.ok(model.paragraphs.every(p => p.lineSpacing === 240));
+  assert.ok(!model.hasPageNumbers);
+});
+
+test('applying the same fixes to a fixed document changes nothing', async () => {
+  const data = await buildUnformatted();
+  const fixes = planFixes((await analyzeDocx(data, libs)).results).map(fix => fix.autoFix);
+  const once = await JSZip.loadAsync(await applyFixes(data, fixes, libs));
+  const twice = await JSZip.loadAsync(await applyFixes(await once.generateAsync({ type: 'nodebuffer' }), fixes, libs));
+
+  const parts = Object.keys(once.files).filter(path => !once.files[path].dir);
+  assert.deepEqual(Object.keys(twice.files).filter(path => !twice.files[path].dir), parts);
+  for (const path of parts) {
+    assert.equal(await twice.file(path).async('string'), await once.file(path).async('string'), path);
+  }
+});
+
+test('a hanging indent is given to references that lack one', async () => {
+  const data = await buildDocx([
+    'A Study of Things',
+    paragraph('References', { align: 'center', bold: true, firstLine: 0 }),
+    'Doe, J. (2020). A title of a work. Publisher.',
+    paragraph('Roe, R. (2019). Another work. Publisher.', { firstLine: 0 })
+  ]);
+  const plan = planFixes((await analyzeDocx(data, libs)).results);
+  const hanging = plan.filter(fix => fix.autoFix.type === 'hangingIndent');
+  assert.equal(hanging.length, 1);
+
+  const fixed = await applyFixes(data, hanging.map(fix => fix.autoFix), libs);
+  const { model } = await analyzeDocx(Buffer.from(fixed), libs);
+  for (const entry of model.paragraphs.slice(2)) {
+    assert.equal(entry.indent, -720, entry.text);
+    assert.equal(entry.leftIndent, 720, entry.text);
+  }
+});
+
+test('text in the wrong point size is set to the size of its font', async () => {
+  const data = await buildDocx(['A Study of Things', paragraph(TEXT[1], { size: 10 }), TEXT[2]]);
+  const plan = planFixes((await analyzeDocx(data, libs)).results);
+  assert.deepEqual(plan.map(fix => fix.autoFix.type), ['fontSize', 'pageNumbers']);
+
+  const fixed = await applyFixes(data, plan.map(fix => fix.autoFix), libs);
+  const { model } = await analyzeDocx(Buffer.from(fixed), libs);
+  assert.ok(model.paragraphs.every(p => p.fontSizes.every(size => size === 12)));
+});
+
+test('fixing a document that has no styles part adds one', async () => {
+  const data = await buildDocx(TEXT.map(text => paragraph(text, { font: 'Comic Sans MS', line: 240 })), { styles: null });
+  const { results } = await analyzeDocx(data, libs);
+  assert.deepEqual(results.source, { format: 'docx', missingParts: ['word/styles.xml', 'word/settings.xml'] });
+
+  const fixes = planFixes(results).map(fix => fix.autoFix);
+  const fixed = await applyFixes(data, fixes, libs);
+  const { results: after, model } = await analyzeDocx(Buffer.from(fixed), libs);
+  assert.deepEqual(after.source, { format: 'docx', missingParts: ['word/settings.xml'] });
+  assert.deepEqual(Array.from(model.fonts), ['Times New Roman']);
+});
@@ -0,0 +1,65 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import JSZip from 'jszip';
+import { analyzeDocx } from '../lib/index.js';
+import { buildDocx, libs } from './helpers.js';
+
+// Resolve to the DocumentError code the file is rejected with, or null when it is read
+async function rejection(data) {
+  try {
+    await analyzeDocx(data, libs);
+    return null;
+  } catch (err) {
+    if (err.name !== 'DocumentError') throw err;
+    return err.code;
+  }
+}
+
+function bytes(...values) {
+  return Buffer.from([...values, ...Buffer.from(' and some content after the header')]);
+}
+
+async function zipOf(files) {
+  const zip = new JSZip();
+  for (const [path, content] of Object.entries(files)) zip.file(path, content);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('the header of an ArrayBuffer, as the browser reads a file, is checked too', async () => {
+  const pdf = Buffer.from('%PDF-1.7\n');
+  const arrayBuffer = pdf.buffer.slice(pdf.byteOffset, pdf.byteOffset + pdf.byteLength);
+  assert.equal(await rejection(arrayBuffer), 'UNSUPPORTED_FORMAT');
+});
+
+test('a truncated .docx is a malformed ZIP', async () => {
+  const data = await buildDocx(['Some text']);
+  assert.equal(await rejection(data), null);
+  assert.equal(await rejection(data.subarray(0, data.length / 2)), 'MALFORMED_ZIP');
+  assert.equal(await rejection(data.subarray(0, 4)), 'MALFORMED_ZIP');
+});
+
+test('Word 97-2003, RTF and PDF files are told apart by their headers', async () => {
+  assert.equal(await rejection(bytes(0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1)), 'UNSUPPORTED_FORMAT');
+  assert.equal(await rejection(Buffer.from('{\\rtf1\\ansi Some text}')), 'UNSUPPORTED_FORMAT');
+  assert.equal(await rejection(Buffer.from('%PDF-1.7\n')), 'UNSUPPORTED_FORMAT');
+});
+
+test('a partial signature is not taken for the format', async () => {
+  // The first half of the .doc signature, and an RTF header missing its last letter
+  assert.equal(await rejection(bytes(0xd0, 0xcf, 0x11, 0xe0)), 'NOT_DOCX');
+  assert.equal(await rejection(Buffer.from('{\\rt')), 'NOT_DOCX');
+});
+
+test('files that are neither documents nor known formats are not .docx', async () => {
+  assert.equal(await rejection(Buffer.from('plain text')), 'NOT_DOCX');
+  assert.equal(await rejection(Buffer.alloc(0)), 'NOT_DOCX');
+  assert.equal(await rejection(await zipOf({ 'notes.txt': 'a ZIP, but not a document' })), 'NOT_DOCX');
+});
+
+test('other OpenDocument files are named for what they are', async () => {
+  const slides = await zipOf({ mimetype: 'application/vnd.oasis.opendocument.presentation' });
+  await assert.rejects(analyzeDocx(slides, libs), {
+    code: 'UNSUPPORTED_FORMAT',
+    message: /presentation/
+  });
+});
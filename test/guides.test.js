@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { ProfileError, resolveRules } from '../lib/index.js';
+import { checkDocx, findings, footnoteReference, pageNumber, paragraph, run } from './helpers.js';
+
+const FLUSH_LEFT = { firstLine: 0 };
+const CENTERED = { align: 'center', firstLine: 0 };
+const HANGING = { left: 720, hanging: 720 };
+
+// An MLA paper with nothing wrong; each option swaps in one part
+function mlaPaper({
+  date = '15 October 2024',
+  title = paragraph('Memory and Place in Beloved', CENTERED),
+  citation = '(Morrison 23)',
+  entries = ['Morrison, Toni. Beloved. Knopf, 1987.', 'Smith, Ann. Reading Houses. Oxford UP, 2001.'],
+  headerText = 'Morrison '
+} = {}) {
+  const body = [
+    paragraph('Jane Morrison', FLUSH_LEFT),
+    paragraph('Professor Ellis', FLUSH_LEFT),
+    paragraph('English 101', FLUSH_LEFT),
+    paragraph(date, FLUSH_LEFT),
+    title,
+    `The novel returns again and again to the house on Bluestone Road, which holds the past in place ${citation}.`,
+    'Critics have read the house as a figure for memory itself, and the novel supports that reading.',
+    paragraph('Works Cited', { ...CENTERED, pageBreakBefore: true }),
+    ...entries.map(entry => (entry.startsWith('<') ? entry : paragraph(entry, HANGING)))
+  ];
+  const header = [paragraph([run(headerText), pageNumber()], { align: 'right', firstLine: 0 })];
+  return checkDocx(body, { header }, { guide: 'mla9' });
+}
+
+// A Chicago paper: title page, a footnote for the source and a bibliography
+function chicagoPaper({
+  sentence = 'The novel returns again and again to the house on Bluestone Road.',
+  notes = true,
+  pageNumbers = true
+} = {}) {
+  const body = [
+    paragraph('Memory and Place in Beloved', CENTERED),
+    paragraph('Jane Morrison', CENTERED),
+    paragraph([run(sentence), ...(notes ? [footnoteReference(1)] : [])], { pageBreakBefore: true }),
+    'Critics have read the house as a figure for memory itself, and the novel supports that reading.',
+    paragraph('Bibliography', { ...CENTERED, pageBreakBefore: true }),
+    paragraph('Morrison, Toni. Beloved. New York: Knopf, 1987.', HANGING)
+  ];
+  return checkDocx(body, {
+    header: pageNumbers ? [paragraph([pageNumber()], { align: 'right', firstLine: 0 })] : null,
+    footnotes: notes ? ['Toni Morrison, Beloved (New York: Knopf, 1987), 23.'] : []
+  }, { guide: 'chicago17' });
+}
+
+test('a well-formatted MLA paper passes every MLA check', async () => {
+  const { results } = await mlaPaper();
+  assert.equal(results.guide.id, 'mla9');
+  assert.deepEqual([...results.categories.errors, ...results.categories.warnings], []);
+  assert.equal(results.score, 100);
+});
+
+test('MLA dates are written day month year', async () => {
+  const { results } = await mlaPaper({ date: 'October 15, 2024' });
+  assert.equal(findings(results, 'mla-date-format').length, 1);
+  assert.equal(findings(results, 'mla-header-block').length, 0);
+});
+
+test('an MLA paper without the four header lines is reported once', async () => {
+  const { results } = await mlaPaper({ date: 'Midterm paper' });
+  assert.deepEqual(findings(results, 'mla-header-block').map(item => item.issue), ['Missing Header Block']);
+});
+
+test('the MLA title is centered and in plain title case', async () => {
+  const { results } = await mlaPaper({ title: paragraph('memory and place in beloved', { ...CENTERED, bold: true }) });
+  const [finding] = findings(results, 'mla-title');
+  assert.match(finding.details, /in plain type, in title case/);
+});
+
+test('the MLA page header shows the surname', async () => {
+  const { results } = await mlaPaper({ headerText: 'Page ' });
+  assert.equal(findings(results, 'mla-running-head').length, 1);
+});
+
+test('author-date citations are flagged in MLA', async () => {
+  const { results } = await mlaPaper({ citation: '(Morrison, 1987)' });
+  const [finding] = findings(results, 'mla-citation-style');
+  assert.match(finding.details, /Morrison, 1987/);
+});
+
+test('Works Cited entries are alphabetical with hanging indents', async () => {
+  const { results } = await mlaPaper({
+    entries: ['Smith, Ann. Reading Houses. Oxford UP, 2001.', paragraph('Morrison, Toni. Beloved. Knopf, 1987.', FLUSH_LEFT)]
+  });
+  assert.equal(findings(results, 'works-cited-order').length, 1);
+  const [indent] = findings(results, 'works-cited-hanging-indent');
+  assert.equal(indent.autoFix.type, 'hangingIndent');
+  assert.deepEqual(indent.autoFix.paragraphs, [9]);
+});
+
+test('a well-formatted Chicago paper passes every Chicago check', async () => {
+  const { results } = await chicagoPaper();
+  assert.equal(results.guide.id, 'chicago17');
+  assert.deepEqual([...results.categories.errors, ...results.categories.warnings], []);
+});
+
+test('Chicago cites in footnotes rather than in parentheses', async () => {
+  const { results } = await chicagoPaper({ sentence: 'The house holds the past in place (Morrison, 1987).', notes: false });
+  assert.equal(findings(results, 'footnotes-present').length, 1);
+  assert.equal(findings(results, 'chicago-citation-style').length, 1);
+});
+
+test('Chicago page numbers may be anywhere, but must be there', async () => {
+  const { results } = await chicagoPaper({ pageNumbers: false });
+  assert.equal(findings(results, 'chicago-page-numbers').length, 1);
+});
+
+test('each guide has its own font list', async () => {
+  const body = ['A Study of Things', paragraph('Body text in Georgia at twelve points.', { font: 'Georgia', size: 12 })];
+  const apa = await checkDocx(body);
+  const mla = await checkDocx(body, {}, { guide: 'mla9' });
+  assert.equal(findings(apa.results, 'font-size').length, 1);
+  assert.equal(findings(mla.results, 'font-size').length, 0);
+  assert.equal(findings(mla.results, 'font-family').length, 0);
+});
+
+test('a profile written for one guide cannot be used with another', () => {
+  const profile = { guide: 'mla9', rules: { 'works-cited-order': 'off' } };
+  assert.equal(resolveRules(profile)['works-cited-order'].severity, 'off');
+  assert.throws(() => resolveRules(profile, 'apa7'), ProfileError);
+  assert.throws(() => resolveRules({ rules: { 'works-cited-order': 'off' } }, 'apa7'), ProfileError);
+  assert.throws(() => resolveRules({ guide: 'harvard' }), ProfileError);
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { isTitleCase } from '../lib/rules/headings.js';
+import { checkDocx, findings, paragraph, run } from './helpers.js';
+
+const HEADING_RULES = ['headings-present', 'heading-introduction', 'heading-level-order', 'heading-format', 'heading-case'];
+const TEXT = 'Memory is tied to place in ways that change as people age.';
+
+// Headings typed with APA's formatting for each level, the way most papers are written
+const LEVEL = {
+  1: text => paragraph(text, { align: 'center', bold: true, firstLine: 0 }),
+  2: text => paragraph(text, { bold: true, firstLine: 0 }),
+  3: text => paragraph(text, { bold: true, italic: true, firstLine: 0 }),
+  4: text => paragraph([run(text, { bold: true }), run(` ${TEXT}`)]),
+  5: text => paragraph([run(text, { bold: true, italic: true }), run(` ${TEXT}`)])
+};
+
+function headingFindings(results) {
+  return HEADING_RULES.flatMap(rule => findings(results, rule).map(item => item.rule));
+}
+
+test('headings at every level in their APA format pass', async () => {
+  const { model, results } = await checkDocx([
+    'A Study of Things', TEXT,
+    LEVEL[1]('Method'),
+    LEVEL[2]('Participants'),
+    LEVEL[3]('Older Adults'),
+    LEVEL[4]('Living Alone.'),
+    LEVEL[5]('Living With Family.'),
+    TEXT
+  ]);
+  assert.deepEqual(model.paragraphs.map(p => p.headingLevel), [0, 0, 1, 2, 3, 4, 5, 0]);
+  assert.equal(model.paragraphs[5].headingText, 'Living Alone.');
+  assert.deepEqual(headingFindings(results), []);
+  assert.ok(results.categories.passed.some(item => item.details === 'Headings follow the APA 7 level formats in order'));
+});
+
+test('a paper without headings is flagged', async () => {
+  const { results } = await checkDocx(['A Study of Things', TEXT, TEXT]);
+  assert.deepEqual(headingFindings(results), ['headings-present']);
+});
+
+test('the introduction is not labeled', async () => {
+  const { results } = await checkDocx(['A Study of Things', LEVEL[1]('Introduction'), TEXT, LEVEL[1]('Method'), TEXT]);
+  assert.deepEqual(findings(results, 'heading-introduction').map(item => item.targets[0].paragraph), [1]);
+});
+
+test('a heading level cannot be skipped', async () => {
+  const { results } = await checkDocx(['A Study of Things', TEXT, LEVEL[1]('Method'), LEVEL[3]('Older Adults'), TEXT]);
+  const [finding] = findings(results, 'heading-level-order');
+  assert.equal(finding.details, '"Older Adults" is Level 3 but follows a Level 1 heading');
+  assert.deepEqual(headingFindings(results), ['heading-level-order']);
+});
+
+test('a heading formatted for the wrong level can be fixed', async () => {
+  const indented = paragraph('Participants', { bold: true });
+  const { results } = await checkDocx(['A Study of Things', TEXT, LEVEL[1]('Method'), indented, TEXT]);
+  const [finding] = findings(results, 'heading-format');
+  assert.equal(finding.details, '"Participants" should be flush left');
+  assert.deepEqual(finding.autoFix, { type: 'heading', paragraph: 3, level: 2 });
+});
+
+test('headings are in title case', async () => {
+  const { results } = await checkDocx(['A Study of Things', TEXT, LEVEL[1]('Method'), LEVEL[2]('Older adults living alone'), TEXT]);
+  assert.deepEqual(headingFindings(results), ['heading-case']);
+
+  assert.ok(isTitleCase('Memory and Place: A Review of the Evidence'));
+  assert.ok(isTitleCase('Living Alone.'));
+  assert.ok(!isTitleCase('Memory and place'));
+  assert.ok(!isTitleCase('Memory: a review'));
+});
@@ -0,0 +1,166 @@
+import { DOMParser, XMLSerializer } from '@xmldom/xmldom';
+import JSZip from 'jszip';
+import mammoth from 'mammoth';
+import { analyzeDocx, useDOMParser } from '../lib/index.js';
+
+// Test documents are written out as WordprocessingML, so that each test shows the
+// formatting it is about rather than depending on a sample file
+
+useDOMParser(DOMParser, XMLSerializer);
+
+export const libs = { JSZip, mammoth };
+
+const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Times New Roman 12pt, double-spaced, with a 0.5-inch first-line indent in Normal:
+// a paragraph that sets nothing is formatted the way APA asks
+export const APA_STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${W}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman"/><w:sz w:val="24"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="480" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal">
+    <w:name w:val="Normal"/>
+    <w:pPr><w:ind w:firstLine="720"/></w:pPr>
+  </w:style>
+</w:styles>`;
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// A run of text: a string, or {text, bold, italic, font, size} with the size in points
+export function run(content, props = {}) {
+  const { text, bold, italic, font, size } = typeof content === 'string' ? { ...props, text: content } : content;
+  const rPr = [
+    font && `<w:rFonts w:ascii="${font}" w:hAnsi="${font}"/>`,
+    bold && '<w:b/>',
+    italic && '<w:i/>',
+    size && `<w:sz w:val="${size * 2}"/>`
+  ].filter(Boolean).join('');
+  return `<w:r>${rPr && `<w:rPr>${rPr}</w:rPr>`}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+// A paragraph of runs (or of one string). `props` is its direct formatting: style, align,
+// line (480 is double spacing), firstLine, hanging and left in twips, pageBreakBefore;
+// bold, italic, font and size apply to a string's run.
+export function paragraph(content, props = {}) {
+  const { style, align, line, firstLine, hanging, left, pageBreakBefore } = props;
+  const indent = [
+    left !== undefined && `w:left="${left}"`,
+    firstLine !== undefined && `w:firstLine="${firstLine}"`,
+    hanging !== undefined && `w:hanging="${hanging}"`
+  ].filter(Boolean).join(' ');
+  const pPr = [
+    style && `<w:pStyle w:val="${style}"/>`,
+    pageBreakBefore && '<w:pageBreakBefore/>',
+    line && `<w:spacing w:line="${line}" w:lineRule="auto"/>`,
+    indent && `<w:ind ${indent}/>`,
+    align && `<w:jc w:val="${align}"/>`
+  ].filter(Boolean).join('');
+  const runs = typeof content === 'string' ? run(content, props) : content.join('');
+  return `<w:p>${pPr && `<w:pPr>${pPr}</w:pPr>`}${runs}</w:p>`;
+}
+
+// A PAGE field showing `number`, written the way Word inserts a page number
+export function pageNumber(number = '1') {
+  return '<w:r><w:fldChar w:fldCharType="begin"/></w:r>' +
+    '<w:r><w:instrText xml:space="preserve"> PAGE </w:instrText></w:r>' +
+    '<w:r><w:fldChar w:fldCharType="separate"/></w:r>' +
+    `${run(number)}<w:r><w:fldChar w:fldCharType="end"/></w:r>`;
+}
+
+// The reference mark of footnote `id`; ids count from 1 in the order of buildDocx's `footnotes`
+export function footnoteReference(id) {
+  return `<w:r><w:rPr><w:vertAlign w:val="superscript"/></w:rPr><w:footnoteReference w:id="${id}"/></w:r>`;
+}
+
+const PACKAGE_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+
+function toBlocks(body) {
+  return body.map(block => (block.startsWith('<') ? block : paragraph(block))).join('');
+}
+
+// A table of rows of cells, each cell one paragraph (text or XML). `borders` maps a side
+// (top, bottom, insideH, insideV, ...) to its w:val.
+export function table(rows, { borders = {} } = {}) {
+  const sides = Object.entries(borders).map(([side, val]) => `<w:${side} w:val="${val}" w:sz="4"/>`).join('');
+  const tblPr = `<w:tblPr><w:tblW w:w="0" w:type="auto"/>${sides && `<w:tblBorders>${sides}</w:tblBorders>`}</w:tblPr>`;
+  const cell = content => `<w:tc>${toBlocks([content])}</w:tc>`;
+  return `<w:tbl>${tblPr}${rows.map(row => `<w:tr>${row.map(cell).join('')}</w:tr>`).join('')}</w:tbl>`;
+}
+
+// A .docx with `body` (paragraph XML, or strings for plain paragraphs) in one section
+// with the given margins in twips. `styles` is the styles part (null leaves it out);
+// `header`, `firstHeader` and `footer` are the paragraphs of the page header, of a
+// different first-page header and of the page footer; `footnotes` the text of each footnote.
+export async function buildDocx(body, {
+  margin = 1440, styles = APA_STYLES, header = null, firstHeader = null, footer = null, footnotes = []
+} = {}) {
+  const parts = [];
+  const addPart = (name, type, relationship, xml) => {
+    parts.push({ name, type, relationship, xml, id: `rId${parts.length + 1}` });
+    return parts[parts.length - 1].id;
+  };
+
+  if (styles) addPart('styles.xml', 'styles+xml', 'styles', styles);
+  const references = [['header', 'default', header], ['header', 'first', firstHeader], ['footer', 'default', footer]]
+    .filter(([, , paragraphs]) => paragraphs)
+    .map(([kind, type, paragraphs]) => {
+      const name = `${kind}${parts.filter(part => part.relationship === kind).length + 1}.xml`;
+      const root = kind === 'header' ? 'w:hdr' : 'w:ftr';
+      const id = addPart(name, `${kind}+xml`, kind, `<${root} xmlns:w="${W}" xmlns:r="${R}">${toBlocks(paragraphs)}</${root}>`);
+      return `<w:${kind}Reference w:type="${type}" r:id="${id}"/>`;
+    })
+    .join('');
+  if (footnotes.length > 0) {
+    const notes = footnotes.map((text, i) =>
+      `<w:footnote w:id="${i + 1}"><w:p><w:r><w:rPr><w:vertAlign w:val="superscript"/></w:rPr><w:footnoteRef/></w:r>` +
+      `${run(` ${text}`)}</w:p></w:footnote>`
+    ).join('');
+    addPart('footnotes.xml', 'footnotes+xml', 'footnotes',
+      `<w:footnotes xmlns:w="${W}" xmlns:r="${R}">` +
+      '<w:footnote w:type="separator" w:id="-1"><w:p><w:r><w:separator/></w:r></w:p></w:footnote>' +
+      `<w:footnote w:type="continuationSeparator" w:id="0"><w:p><w:r><w:continuationSeparator/></w:r></w:p></w:footnote>${notes}</w:footnotes>`);
+  }
+
+  const sectPr = `<w:sectPr>${references}<w:pgSz w:w="12240" w:h="15840"/>` +
+    `<w:pgMar w:top="${margin}" w:right="${margin}" w:bottom="${margin}" w:left="${margin}" w:header="720" w:footer="720" w:gutter="0"/>` +
+    `${firstHeader ? '<w:titlePg/>' : ''}</w:sectPr>`;
+
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="${PACKAGE_TYPE}.document.main+xml"/>
+${parts.map(part => `  <Override PartName="/word/${part.name}" ContentType="${PACKAGE_TYPE}.${part.type}"/>`).join('\n')}
+</Types>`);
+  zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${RELATIONSHIP}/officeDocument" Target="word/document.xml"/>
+</Relationships>`);
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${W}" xmlns:r="${R}"><w:body>${toBlocks(body)}${sectPr}</w:body></w:document>`);
+  zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${parts.map(part => `  <Relationship Id="${part.id}" Type="${RELATIONSHIP}/${part.relationship}" Target="${part.name}"/>`).join('\n')}
+</Relationships>`);
+  for (const part of parts) {
+    zip.file(`word/${part.name}`, `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${part.xml.replace(/^<\?xml[^>]*>\s*/, '')}`);
+  }
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+// Build the document and run every check on it
+export async function checkDocx(body, options = {}, validation = {}) {
+  return analyzeDocx(await buildDocx(body, options), libs, validation);
+}
+
+// The errors and warnings a rule reported
+export function findings(results, rule) {
+  return [...results.categories.errors, ...results.categories.warnings].filter(item => item.rule === rule);
+}
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { importHistory } from '../lib/index.js';
+
+// Runs are checked before anything is written, so a rejected import never needs IndexedDB
+const RUN = {
+  name: 'paper.docx',
+  hash: 'ab12',
+  checkedAt: '2024-03-01T10:00:00.000Z',
+  guide: 'apa7',
+  ruleSetVersion: '1.3.2',
+  score: 85,
+  results: { score: 85, guide: { id: 'apa7' }, categories: { errors: [], warnings: [], passed: [] } }
+};
+
+function historyWith(changes) {
+  return JSON.stringify({ version: 1, runs: [RUN, { ...RUN, ...changes }] });
+}
+
+test('a file that is not an exported history is rejected', async () => {
+  await assert.rejects(importHistory('{"runs": []}'), /Not an exported validation history/);
+  await assert.rejects(importHistory('[]'), /Not an exported validation history/);
+});
+
+test('runs whose score, guide or date the history panel cannot show are rejected', async () => {
+  const broken = [
+    { score: '85' },
+    { score: null },
+    { score: 40 },
+    { guide: 7 },
+    { guide: 'mla9' },
+    { checkedAt: 'yesterday' },
+    { checkedAt: 1709287200000 },
+    { ruleSetVersion: undefined },
+    { results: { ...RUN.results, score: Infinity } },
+    { results: { ...RUN.results, categories: { errors: [] } } }
+  ];
+  for (const changes of broken) {
+    await assert.rejects(importHistory(historyWith(changes)), /Run 2 of the history is incomplete/, JSON.stringify(changes));
+  }
+});
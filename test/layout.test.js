@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkDocx, findings, paragraph, run } from './helpers.js';
+
+const LAYOUT_RULES = ['font-family', 'margins', 'font-size', 'line-spacing', 'paragraph-indent'];
+const BODY = 'This body paragraph has enough words in it to read like the running text of a paper.';
+
+function layoutFindings(results) {
+  return LAYOUT_RULES.flatMap(rule => findings(results, rule).map(item => item.rule));
+}
+
+function targeted(finding) {
+  return finding.targets.map(target => target.paragraph);
+}
+
+test('Times New Roman 12pt, double-spaced, indented, with 1-inch margins passes', async () => {
+  const { results } = await checkDocx(['A Study of Things', BODY, BODY]);
+  assert.deepEqual(layoutFindings(results), []);
+  for (const rule of LAYOUT_RULES) {
+    assert.ok(results.categories.passed.some(item => item.rule === rule), rule);
+  }
+});
+
+test('a document in no approved font is flagged', async () => {
+  const { results } = await checkDocx([BODY, BODY].map(text => paragraph(text, { font: 'Comic Sans MS' })));
+  const [finding] = findings(results, 'font-family');
+  assert.match(finding.details, /Comic Sans MS/);
+  assert.deepEqual(finding.autoFix, { type: 'font' });
+});
+
+test('each approved font has its own point size', async () => {
+  const { results } = await checkDocx(['A Study of Things', paragraph(BODY, { size: 10 }), BODY]);
+  const [finding] = findings(results, 'font-size');
+  assert.equal(finding.details, 'Times New Roman should be 12pt (found 10pt)');
+  assert.deepEqual(targeted(finding), [1]);
+
+  const { results: calibri } = await checkDocx([BODY, BODY].map(text => paragraph(text, { font: 'Calibri', size: 11 })));
+  assert.deepEqual(layoutFindings(calibri), []);
+});
+
+test('margins other than 1 inch are reported with their size', async () => {
+  const { results } = await checkDocx(['A Study of Things', BODY], { margin: 1800 });
+  const [finding] = findings(results, 'margins');
+  assert.match(finding.details, /found top 1\.25", bottom 1\.25", left 1\.25", right 1\.25"/);
+  assert.deepEqual(finding.autoFix, { type: 'margins', section: 0 });
+});
+
+test('paragraphs that are not double-spaced are named', async () => {
+  const { results } = await checkDocx(['A Study of Things', BODY, paragraph(BODY, { line: 360 })]);
+  const [finding] = findings(results, 'line-spacing');
+  assert.equal(finding.details, '1 paragraph(s) are not double-spaced');
+  assert.deepEqual(finding.autoFix, { type: 'doubleSpacing', paragraphs: [2] });
+});
+
+test('body paragraphs need a 0.5-inch first-line indent', async () => {
+  const { results } = await checkDocx(['A Study of Things', BODY, paragraph(BODY, { firstLine: 0 })]);
+  const [finding] = findings(results, 'paragraph-indent');
+  assert.deepEqual(targeted(finding), [2]);
+});
+
+test('headings, centered lines and title page lines are not indented', async () => {
+  const { results } = await checkDocx([
+    paragraph('A Study of Things', { align: 'center', bold: true, firstLine: 0 }),
+    paragraph('Ann Author', { align: 'center', firstLine: 0 }),
+    paragraph('Author Note', { align: 'center', bold: true, firstLine: 0 }),
+    paragraph('Correspondence concerning this article should be addressed to Ann Author.', { firstLine: 0 }),
+    paragraph(BODY, { pageBreakBefore: true }),
+    paragraph('Method', { align: 'center', bold: true, firstLine: 0 }),
+    BODY
+  ]);
+  assert.deepEqual(findings(results, 'paragraph-indent'), []);
+});
+
+test('one paragraph in another font is flagged among approved ones', async () => {
+  const { results } = await checkDocx([
+    'A Study of Things',
+    BODY,
+    paragraph(BODY, { font: 'Comic Sans MS' }),
+    BODY,
+    paragraph([run(BODY), run(' Pasted in.', { font: 'Papyrus' })])
+  ]);
+  const [finding] = findings(results, 'font-family');
+  assert.equal(finding.details, 'Comic Sans MS, Papyrus may not meet the style guide');
+  assert.deepEqual(targeted(finding), [2, 4]);
+});
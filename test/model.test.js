@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parseDocumentModel } from '../lib/index.js';
+import { checkDocx, pageNumber, paragraph, run, table } from './helpers.js';
+
+// A paragraph that ends its section; `type` is how that section starts
+function sectionBreak(text, type = 'nextPage') {
+  return `<w:p><w:pPr><w:sectPr><w:type w:val="${type}"/>` +
+    '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440"/></w:sectPr></w:pPr>' +
+    `${run(text)}</w:p>`;
+}
+
+test('paragraph text is joined by newlines, with offsets into it', async () => {
+  const { model } = await checkDocx(['First paragraph.', 'Second one.']);
+  assert.equal(model.text, 'First paragraph.\nSecond one.');
+  assert.deepEqual(model.paragraphs.map(p => [p.index, p.start, p.end]), [[0, 0, 16], [1, 17, 28]]);
+});
+
+test('runs keep their own formatting and offsets', async () => {
+  const { model } = await checkDocx([
+    paragraph([run('Bold', { bold: true }), run(' and '), run('italic', { italic: true })]),
+    paragraph([run('All bold', { bold: true }), run(' ')])
+  ]);
+  const [mixed, bold] = model.paragraphs;
+  assert.deepEqual(mixed.runs.map(r => [r.text, r.start, r.end, r.bold, r.italic]), [
+    ['Bold', 0, 4, true, false],
+    [' and ', 4, 9, false, false],
+    ['italic', 9, 15, false, true]
+  ]);
+  assert.deepEqual([mixed.isBold, mixed.isItalic], [false, false]);
+  // Spaces do not count against a paragraph being bold
+  assert.ok(bold.isBold);
+});
+
+test('text inside hyperlinks, insertions and content controls is read; tabs and breaks are kept', async () => {
+  const { model } = await checkDocx([
+    paragraph([
+      `<w:hyperlink w:anchor="top">${run('linked')}</w:hyperlink>`,
+      `<w:ins w:id="1" w:author="A">${run(' inserted')}</w:ins>`,
+      '<w:r><w:tab/><w:t>after a tab</w:t><w:br/><w:t>next line</w:t></w:r>'
+    ]),
+    `<w:sdt><w:sdtContent>${paragraph('In a content control.')}</w:sdtContent></w:sdt>`
+  ]);
+  assert.deepEqual(model.paragraphs.map(p => p.text), ['linked inserted\tafter a tab\nnext line', 'In a content control.']);
+});
+
+test('table cells are paragraphs that know their table', async () => {
+  const { model } = await checkDocx([
+    'Before the table.',
+    table([['Group', 'M'], ['Control', '4.2']], { borders: { top: 'single', insideV: 'nil' } }),
+    'After the table.'
+  ]);
+  const [grid] = model.tables;
+  assert.deepEqual(grid.rows.map(row => row.map(cell => cell.map(p => p.text).join())), [['Group', 'M'], ['Control', '4.2']]);
+  assert.deepEqual([grid.firstParagraphIndex, grid.lastParagraphIndex], [1, 4]);
+  assert.deepEqual(grid.borders, { top: 'single', insideV: 'nil' });
+  assert.deepEqual(model.paragraphs.map(p => p.tableIndex), [null, 0, 0, 0, 0, null]);
+});
+
+test('pages are counted from page breaks and sections that start a new page', async () => {
+  const { model } = await checkDocx([
+    'Title page.',
+    sectionBreak('Still the title page.'),
+    sectionBreak('Page two, in a section of its own.'),
+    'Still page two, in a continuous section.',
+    paragraph('Page three.', { pageBreakBefore: true }),
+    paragraph([run('Still page three.'), '<w:r><w:br w:type="page"/></w:r>']),
+    sectionBreak('Page four.', 'continuous'),
+    'Page five, in the last section.'
+  ]);
+  assert.deepEqual(model.paragraphs.map(p => p.page), [0, 0, 1, 1, 2, 2, 3, 4]);
+  assert.deepEqual(model.paragraphs.map(p => p.sectionIndex), [0, 0, 1, 2, 2, 2, 2, 3]);
+  assert.equal(model.sections[2].breakType, 'continuous');
+  assert.equal(model.pageCount, 5);
+});
+
+test('headers are linked to their sections and page number fields are found', async () => {
+  const { model } = await checkDocx(['Body text.'], {
+    header: [paragraph([run('RUNNING HEAD '), pageNumber('7')], { align: 'right' })]
+  });
+  const [header] = model.headers;
+  assert.equal(header.part, 'word/header1.xml');
+  assert.equal(header.text, 'RUNNING HEAD 7');
+  assert.deepEqual(header.fields.map(field => [field.instruction, field.result]), [['PAGE', '7']]);
+  assert.equal(model.sections[0].headers.default, header);
+  assert.ok(model.hasPageNumbers);
+  assert.ok(header.paragraphs[0].runs[1].inField);
+});
+
+test('a document part without a body is rejected', () => {
+  const documentXml = '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"/>';
+  assert.throws(() => parseDocumentModel({ documentXml }), { name: 'DocumentError', code: 'MALFORMED_DOCX' });
+});
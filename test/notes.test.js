@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkDocx, findings, footnoteReference, paragraph, run } from './helpers.js';
+
+// A paper whose second paragraph carries one note reference per note
+function withNotes(notes, { referenced = notes.length } = {}) {
+  const references = Array.from({ length: referenced }, (_, i) => footnoteReference(i + 1));
+  return checkDocx([
+    'A Study of Things',
+    paragraph([run('Participants completed the survey in a single session.'), ...references]),
+    'The remaining analyses follow the preregistered plan.'
+  ], { footnotes: notes });
+}
+
+const CONTENT_NOTE = 'Two participants asked to complete the survey at home; their responses were excluded.';
+
+test('brief content notes pass', async () => {
+  const { results, model } = await withNotes([CONTENT_NOTE]);
+  assert.equal(model.footnotes.length, 1);
+  assert.equal(model.footnotes[0].paragraphIndex, 1);
+  assert.deepEqual(['note-citation', 'note-length', 'note-count'].flatMap(rule => findings(results, rule)), []);
+  assert.ok(results.categories.passed.some(item => item.rule === 'note-citation'));
+});
+
+test('notes that cite a source are flagged', async () => {
+  for (const note of ['See Smith (2020) for the full questionnaire.', 'Ibid.', 'Jones, Memory and Place, pp. 12-14.']) {
+    const { results } = await withNotes([note]);
+    assert.equal(findings(results, 'note-citation').length, 1, note);
+  }
+});
+
+test('copyright permission notes may name their source', async () => {
+  const { results } = await withNotes(['Adapted from "Memory and Place," by A. Smith, 2020. Reprinted with permission.']);
+  assert.equal(findings(results, 'note-citation').length, 0);
+});
+
+test('content notes longer than 100 words are flagged', async () => {
+  const { results } = await withNotes([Array.from({ length: 101 }, () => 'word').join(' ')]);
+  const [finding] = findings(results, 'note-length');
+  assert.match(finding.details, /Footnote 1 is 101 words/);
+});
+
+test('more than five notes are flagged once', async () => {
+  const { results } = await withNotes(Array.from({ length: 6 }, () => CONTENT_NOTE));
+  const [finding] = findings(results, 'note-count');
+  assert.equal(finding.targets.length, 6);
+});
+
+test('notes nothing refers to are left out', async () => {
+  const { results } = await withNotes(['See Smith (2020).', CONTENT_NOTE], { referenced: 0 });
+  assert.equal(findings(results, 'note-citation').length, 0);
+  assert.ok(!results.categories.passed.some(item => item.rule === 'note-citation'));
+});
@@ -0,0 +1,135 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import JSZip from 'jszip';
+import { analyzeDocx } from '../lib/index.js';
+import { libs } from './helpers.js';
+
+const NAMESPACES = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+  'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"',
+  'xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0"'
+].join(' ');
+
+// Times New Roman 12pt and double spacing by default, 1-inch margins and a page number
+// in the header, as LibreOffice writes them into styles.xml
+const STYLES = `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-styles ${NAMESPACES} office:version="1.3">
+  <office:font-face-decls>
+    <style:font-face style:name="Times New Roman" svg:font-family="'Times New Roman'"/>
+    <style:font-face style:name="Comic Sans MS" svg:font-family="'Comic Sans MS'"/>
+  </office:font-face-decls>
+  <office:styles>
+    <style:default-style style:family="paragraph">
+      <style:paragraph-properties fo:line-height="200%"/>
+      <style:text-properties style:font-name="Times New Roman" fo:font-size="12pt"/>
+    </style:default-style>
+    <style:style style:name="Standard" style:family="paragraph">
+      <style:paragraph-properties fo:text-indent="0.5in"/>
+    </style:style>
+    <style:style style:name="Heading_20_1" style:display-name="Heading 1" style:family="paragraph"
+      style:parent-style-name="Standard" style:default-outline-level="1">
+      <style:paragraph-properties fo:text-align="center" fo:text-indent="0in"/>
+      <style:text-properties fo:font-weight="bold"/>
+    </style:style>
+    <style:style style:name="Heading_20_2" style:display-name="Heading 2" style:family="paragraph"
+      style:parent-style-name="Standard" style:default-outline-level="2">
+      <style:paragraph-properties fo:text-indent="0in"/>
+      <style:text-properties fo:font-weight="bold"/>
+    </style:style>
+  </office:styles>
+  <office:automatic-styles>
+    <style:page-layout style:name="pm1">
+      <style:page-layout-properties fo:page-width="8.5in" fo:page-height="11in"
+        fo:margin-top="1in" fo:margin-bottom="1in" fo:margin-left="1in" fo:margin-right="1in"/>
+    </style:page-layout>
+  </office:automatic-styles>
+  <office:master-styles>
+    <style:master-page style:name="Standard" style:page-layout-name="pm1">
+      <style:header><text:p text:style-name="Standard"><text:page-number text:select-page="current">1</text:page-number></text:p></style:header>
+    </style:master-page>
+  </office:master-styles>
+</office:document-styles>`;
+
+// Headings at two levels, body text in the default style, and one paragraph whose
+// automatic style sets Comic Sans, 11pt and single spacing
+const CONTENT = `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content ${NAMESPACES} office:version="1.3">
+  <office:automatic-styles>
+    <style:style style:name="P1" style:family="paragraph" style:parent-style-name="Standard">
+      <style:paragraph-properties fo:line-height="100%"/>
+      <style:text-properties style:font-name="Comic Sans MS" fo:font-size="11pt"/>
+    </style:style>
+  </office:automatic-styles>
+  <office:body>
+    <office:text>
+      <text:h text:style-name="Heading_20_1" text:outline-level="1">Method</text:h>
+      <text:p text:style-name="Standard">Participants completed the survey in a single session.</text:p>
+      <text:h text:style-name="Heading_20_2" text:outline-level="2">Participants</text:h>
+      <text:p text:style-name="P1">Forty adults took part in exchange for course credit.</text:p>
+    </office:text>
+  </office:body>
+</office:document-content>`;
+
+async function buildOdt({ content = CONTENT, styles = STYLES } = {}) {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/vnd.oasis.opendocument.text', { compression: 'STORE' });
+  zip.file('content.xml', content);
+  zip.file('styles.xml', styles);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+test('an .odt is read as the .docx it converts to', async () => {
+  const { model, results } = await analyzeDocx(await buildOdt(), libs);
+  assert.equal(results.source.format, 'odt');
+  assert.deepEqual(model.paragraphs.map(p => p.text), [
+    'Method',
+    'Participants completed the survey in a single session.',
+    'Participants',
+    'Forty adults took part in exchange for course credit.'
+  ]);
+});
+
+test('fonts and sizes come from the default style and automatic styles', async () => {
+  const { model } = await analyzeDocx(await buildOdt(), libs);
+  const [heading, body, , styled] = model.paragraphs;
+  assert.deepEqual([heading.fonts, body.fonts, styled.fonts], [['Times New Roman'], ['Times New Roman'], ['Comic Sans MS']]);
+  assert.deepEqual([body.fontSizes, styled.fontSizes], [[12], [11]]);
+});
+
+test('line spacing and indents are carried over in Word units', async () => {
+  const { model } = await analyzeDocx(await buildOdt(), libs);
+  const [heading, body, , styled] = model.paragraphs;
+  assert.equal(body.lineSpacing, 480);
+  assert.equal(styled.lineSpacing, 240);
+  assert.equal(body.indent, 720);
+  assert.equal(heading.alignment, 'center');
+});
+
+test('the page style gives the margins and the page number', async () => {
+  const { model } = await analyzeDocx(await buildOdt(), libs);
+  assert.deepEqual(model.margins, { top: 1440, bottom: 1440, left: 1440, right: 1440 });
+  assert.ok(model.hasPageNumbers);
+});
+
+test('headings keep their outline levels', async () => {
+  const { model } = await analyzeDocx(await buildOdt(), libs);
+  assert.deepEqual(
+    model.paragraphs.map(p => (p.isHeading ? p.headingLevel : 0)),
+    [1, 0, 2, 0]
+  );
+});
+
+test('the rules report on the converted text', async () => {
+  const { results } = await analyzeDocx(await buildOdt(), libs);
+  const issues = [...results.categories.errors, ...results.categories.warnings];
+  const spacing = issues.find(item => item.rule === 'line-spacing');
+  assert.deepEqual(spacing?.targets.map(target => target.paragraph), [3]);
+  assert.ok(!issues.some(item => ['margins', 'page-numbers', 'heading-level-order'].includes(item.rule)));
+});
+
+test('an .odt without text is malformed', async () => {
+  const content = `<?xml version="1.0" encoding="UTF-8"?><office:document-content ${NAMESPACES}><office:body/></office:document-content>`;
+  await assert.rejects(analyzeDocx(await buildOdt({ content }), libs), { code: 'MALFORMED_ODF' });
+});
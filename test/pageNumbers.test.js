@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkDocx, findings, pageNumber, paragraph, run } from './helpers.js';
+
+const BODY = ['A Study of Things', 'Memory is tied to place in ways that change as people age.'];
+const FLUSH_RIGHT = paragraph([pageNumber()], { align: 'right', firstLine: 0 });
+
+function pageNumberFindings(results) {
+  return ['page-numbers', 'page-number-position'].flatMap(rule => findings(results, rule));
+}
+
+test('a page number flush right in the header passes', async () => {
+  const { results } = await checkDocx(BODY, { header: [FLUSH_RIGHT] });
+  assert.deepEqual(pageNumberFindings(results), []);
+  assert.ok(results.categories.passed.some(item => item.rule === 'page-numbers'));
+});
+
+test('a page number after a tab counts as flush right', async () => {
+  const header = [paragraph([run('MEMORY AND PLACE'), run('\t'), pageNumber()], { firstLine: 0 })];
+  const { results } = await checkDocx(BODY, { header });
+  assert.deepEqual(pageNumberFindings(results), []);
+});
+
+test('a document without page numbers can have them added', async () => {
+  const { results } = await checkDocx(BODY, { header: [paragraph('MEMORY AND PLACE', { firstLine: 0 })] });
+  const [finding] = pageNumberFindings(results);
+  assert.equal(finding.details, 'No page number field found in any header or footer');
+  assert.deepEqual(finding.autoFix, { type: 'pageNumbers' });
+});
+
+test('page numbers belong in the header, flush right', async () => {
+  const footer = await checkDocx(BODY, { header: [paragraph('', { firstLine: 0 })], footer: [FLUSH_RIGHT] });
+  assert.deepEqual(pageNumberFindings(footer.results).map(item => item.details), ['The page page number is in the footer']);
+
+  const centered = await checkDocx(BODY, { header: [paragraph([pageNumber()], { align: 'center', firstLine: 0 })] });
+  assert.deepEqual(pageNumberFindings(centered.results).map(item => [item.rule, item.details]),
+    [['page-number-position', 'The page page number is not flush right']]);
+});
+
+test('a different first-page header needs its own page number', async () => {
+  const { results } = await checkDocx(BODY, {
+    header: [FLUSH_RIGHT],
+    firstHeader: [paragraph('MEMORY AND PLACE', { firstLine: 0 })]
+  });
+  const [finding] = pageNumberFindings(results);
+  assert.equal(finding.location, 'Section 1, first-page header');
+  assert.deepEqual(finding.autoFix, { type: 'pageNumbers', section: 0, slot: 'first' });
+});
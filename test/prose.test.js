@@ -0,0 +1,114 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkDocx, findings } from './helpers.js';
+
+const PROSE_RULES = [
+  'serial-comma', 'number-words', 'abbreviation-defined', 'sentence-spacing',
+  'ampersand-in-text', 'bias-gendered-terms', 'bias-labels'
+];
+
+function check(...paragraphs) {
+  return checkDocx(['A Study of Things', ...paragraphs]);
+}
+
+function proseFindings(results) {
+  return PROSE_RULES.flatMap(rule => findings(results, rule));
+}
+
+// The characters each finding points at
+function flagged(results, rule) {
+  return findings(results, rule).flatMap(item => item.targets.map(({ start, end }) => ({ start, end })));
+}
+
+test('prose that follows APA mechanics passes', async () => {
+  const { results } = await check(
+    'Participants reported anxiety, stress, and sleep in three short sessions.',
+    'Older adults completed the Beck Depression Inventory (BDI) twice, and the BDI scores of 12 of 40 participants rose.'
+  );
+  assert.deepEqual(proseFindings(results), []);
+  assert.ok(results.categories.passed.some(item => item.rule === 'bias-labels'));
+});
+
+test('a list needs a comma before its last item', async () => {
+  const text = 'Participants reported anxiety, stress and sleep problems.';
+  const { results } = await check(text);
+  const [target] = flagged(results, 'serial-comma');
+  assert.equal(text.slice(target.start, target.end), 'stress and');
+});
+
+test('a comma after an opening phrase is not a list', async () => {
+  const { results } = await check('In the lab, participants and controls sat apart.');
+  assert.deepEqual(findings(results, 'serial-comma'), []);
+});
+
+test('numbers under 10 are words, except in measurements, statistics and comparisons', async () => {
+  const text = 'We ran 3 sessions.';
+  const { results } = await check(text);
+  const [target] = flagged(results, 'number-words');
+  assert.equal(text.slice(target.start, target.end), '3');
+  assert.match(findings(results, 'number-words')[0].fix, /"three"/);
+
+  const { results: exempt } = await check(
+    'Each session lasted 5 minutes, as shown in Table 2 (n = 8).',
+    'Only 3 of 12 participants finished.'
+  );
+  assert.deepEqual(findings(exempt, 'number-words'), []);
+});
+
+test('one space follows the end of a sentence', async () => {
+  const text = 'The task was short.  Most participants finished.  Two did not.';
+  const { results } = await check(text);
+  const [finding] = findings(results, 'sentence-spacing');
+  assert.equal(finding.targets.length, 2);
+  assert.equal(text.slice(finding.targets[0].start, finding.targets[0].end), '  ');
+});
+
+test('"&" is only used inside parentheses', async () => {
+  const text = 'Reading & writing were scored apart (Lee & Park, 2019).';
+  const { results } = await check(text);
+  const targets = flagged(results, 'ampersand-in-text');
+  assert.deepEqual(targets, [{ start: text.indexOf('&'), end: text.indexOf('&') + 1 }]);
+
+  // An "&" in a narrative citation is left to the citation rules
+  const { results: cited } = await check('Smith & Jones (2020) found the same effect.');
+  assert.deepEqual(findings(cited, 'ampersand-in-text'), []);
+});
+
+test('gendered generic terms and labels are flagged with a suggestion', async () => {
+  const { results } = await check(
+    'Mankind has long studied memory, and each participant rated his or her mood.',
+    'The elderly and people who suffer from insomnia took part.'
+  );
+  assert.deepEqual(findings(results, 'bias-gendered-terms').map(item => item.fix),
+    ['Consider "humankind or people"', 'Consider "their"']);
+  assert.deepEqual(findings(results, 'bias-labels').map(item => item.fix),
+    ['Consider "older adults"', 'Consider "have"']);
+});
+
+test('abbreviations are spelled out at their first use', async () => {
+  const { results } = await check(
+    'The BDI was given first.',
+    'The Beck Depression Inventory (BDI) measures mood, and the STAI measures anxiety.'
+  );
+  assert.deepEqual(findings(results, 'abbreviation-defined').map(item => item.details), [
+    '"BDI" is used before it is spelled out in paragraph 3',
+    '"STAI" is never spelled out'
+  ]);
+});
+
+test('well-known and statistical abbreviations need no definition', async () => {
+  const { results } = await check('Scores on the IQ test differed (SD = 4), as in the US sample.');
+  assert.deepEqual(findings(results, 'abbreviation-defined'), []);
+});
+
+test('quoted material keeps its source\'s wording', async () => {
+  const { results } = await check(
+    'Smith (2020) wrote that "mankind suffers from 3 fears, dread and the elderly" (p. 4).'
+  );
+  assert.deepEqual(proseFindings(results), []);
+});
+
+test('"oriental" is flagged as a label but not in a proper noun', async () => {
+  const { results } = await check('The oriental participants were recruited at the Oriental Institute.');
+  assert.deepEqual(flagged(results, 'bias-labels'), [{ start: 4, end: 12 }]);
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkDocx, findings, paragraph } from './helpers.js';
+
+const BLOCK = { left: 720, firstLine: 0 };
+const FORTY_WORDS = Array.from({ length: 8 }, () => 'memory holds the past here').join(' ');
+
+function check(...paragraphs) {
+  return checkDocx(['A Study of Things', ...paragraphs]);
+}
+
+function quotationFindings(results) {
+  return ['block-quote-required', 'block-quote-format', 'block-quote-length', 'quote-locator']
+    .flatMap(rule => findings(results, rule).map(item => item.rule));
+}
+
+test('a short quotation with a page number passes', async () => {
+  const { results } = await check('Smith (2020) wrote that "the house holds the past in place" (p. 12).');
+  assert.deepEqual(quotationFindings(results), []);
+  assert.ok(results.categories.passed.some(item => item.rule === 'quote-locator'));
+});
+
+test('a quotation without a page or paragraph number is flagged', async () => {
+  const { results } = await check('Smith (2020) wrote that "the house holds the past in place" in her study.');
+  const [finding] = findings(results, 'quote-locator');
+  assert.equal(finding.targets[0].paragraph, 1);
+});
+
+test('quoted terms of one to three words are not quotations', async () => {
+  const { results } = await check('The authors call this the "memory house" effect in later work.');
+  assert.deepEqual(quotationFindings(results), []);
+});
+
+test('a quotation of 40 words or more in the text should be a block quote', async () => {
+  const { results } = await check(`Smith (2020) wrote that "${FORTY_WORDS}" (p. 12).`);
+  assert.deepEqual(quotationFindings(results), ['block-quote-required']);
+});
+
+test('a block quotation indented 0.5 inch and ending with its citation passes', async () => {
+  const { results } = await check(
+    'Smith (2020) described the house at length:',
+    paragraph(`${FORTY_WORDS}. (p. 12)`, BLOCK),
+    'The description returns in later chapters.'
+  );
+  assert.deepEqual(quotationFindings(results), []);
+});
+
+test('block quotations keep no quotation marks and sit 0.5 inch in', async () => {
+  const marks = await check(paragraph(`"${FORTY_WORDS}." (p. 12)`, BLOCK));
+  assert.match(findings(marks.results, 'block-quote-format')[0].details, /drop the quotation marks/);
+
+  const deep = await check(paragraph(`${FORTY_WORDS}. (p. 12)`, { left: 1440, firstLine: 0 }));
+  assert.match(findings(deep.results, 'block-quote-format')[0].details, /indented 0.5 inch/);
+});
+
+test('a short block quotation belongs in the text', async () => {
+  const { results } = await check(paragraph('The house holds the past in place. (p. 12)', BLOCK));
+  assert.deepEqual(quotationFindings(results), ['block-quote-length']);
+});
+
+test('a block quotation without a page number is flagged', async () => {
+  const { results } = await check(paragraph(`${FORTY_WORDS}.`, BLOCK));
+  assert.deepEqual(quotationFindings(results), ['quote-locator']);
+});
+
+test('consecutive block paragraphs are one quotation', async () => {
+  const half = Array.from({ length: 4 }, () => 'memory holds the past here').join(' ');
+  const { results } = await check(paragraph(`${half}.`, BLOCK), paragraph(`${half}. (p. 12)`, BLOCK));
+  assert.deepEqual(quotationFindings(results), []);
+});
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { resolveRules } from '../lib/index.js';
+import { checkDocx, findings, paragraph, run } from './helpers.js';
+
+const HANGING = { left: 720, hanging: 720 };
+const REFERENCE_RULES = Object.keys(resolveRules()).filter(id => id.startsWith('reference'));
+
+// A book and a journal article with their titles, journal and volume set in italics
+const BOOK = paragraph([run('Adams, R. (2019). '), run('Memory and place', { italic: true }), run('. Oxford University Press.')], HANGING);
+const ARTICLE = paragraph([
+  run('Baker, S. T., & Clark, J. (2020). Houses and the people who remember them. '),
+  run('Journal of Memory, 12', { italic: true }),
+  run('(3), 45–67. https://doi.org/10.1000/jm.2020.12')
+], HANGING);
+
+// A paper whose reference list holds `entries`: paragraph XML, or strings set with a hanging indent
+function withReferences(entries) {
+  return checkDocx([
+    'A Study of Things',
+    'Earlier work found the same effect in a larger sample.',
+    paragraph('References', { align: 'center', bold: true, firstLine: 0, pageBreakBefore: true }),
+    ...entries.map(entry => (entry.startsWith('<') ? entry : paragraph(entry, HANGING)))
+  ]);
+}
+
+function referenceFindings(results) {
+  return REFERENCE_RULES.flatMap(rule => findings(results, rule).map(item => item.rule));
+}
+
+test('entries in APA format pass', async () => {
+  const { results } = await withReferences([BOOK, ARTICLE]);
+  assert.deepEqual(referenceFindings(results), []);
+  assert.ok(results.categories.passed.some(item => item.details === 'All 2 references follow APA 7 format'));
+});
+
+test('a paper without a References heading, or with nothing under it, is flagged', async () => {
+  const { results: missing } = await checkDocx(['A Study of Things', 'Body text.']);
+  assert.equal(findings(missing, 'references-present').length, 1);
+
+  const { results: empty } = await withReferences([]);
+  assert.equal(findings(empty, 'references-empty').length, 1);
+});
+
+test('an entry without author, date and title elements is reported once', async () => {
+  const { results } = await withReferences(['Some notes I took on memory']);
+  assert.deepEqual(referenceFindings(results), ['reference-format']);
+});
+
+test('the year goes in parentheses after the authors', async () => {
+  const { results } = await withReferences([
+    paragraph([run('American Psychological Association. 2020. '), run('Publication manual', { italic: true }), run('. Author.')], HANGING)
+  ]);
+  assert.deepEqual(referenceFindings(results), ['reference-year']);
+
+  // Only the year is reported: the authors' last initial keeps its period
+  const { results: person } = await withReferences([
+    paragraph([run('Adams, R. 2019. '), run('Memory and place', { italic: true }), run('. Oxford University Press.')], HANGING)
+  ]);
+  assert.deepEqual(referenceFindings(person), ['reference-year']);
+});
+
+test('authors are Surname, I. I. with "&" before the last', async () => {
+  const { results } = await withReferences([
+    paragraph([run('Adams, R. and Baker, S. (2019). '), run('Memory and place', { italic: true }), run('. Publisher.')], HANGING),
+    paragraph([run('Clark, Jane. (2020). '), run('Houses', { italic: true }), run('. Publisher.')], HANGING)
+  ]);
+  assert.deepEqual(findings(results, 'reference-authors').map(item => item.details), [
+    'Use "&" rather than "and" before the last author',
+    '"Clark, Jane." should be written as Surname, I. I.'
+  ]);
+});
+
+test('a group author needs no initials', async () => {
+  const { results } = await withReferences([
+    paragraph([run('American Psychological Association. (2020). '), run('Publication manual', { italic: true }), run('. Author.')], HANGING)
+  ]);
+  assert.deepEqual(referenceFindings(results), []);
+});
+
+test('titles are in sentence case', async () => {
+  const { results } = await withReferences([
+    paragraph([run('Adams, R. (2019). '), run('Memory And The Places We Remember', { italic: true }), run('. Publisher.')], HANGING)
+  ]);
+  assert.deepEqual(referenceFindings(results), ['reference-title-case']);
+});
+
+test('book titles and journal names are italic, article titles are not', async () => {
+  const { results } = await withReferences([
+    'Adams, R. (2019). Memory and place. Oxford University Press.',
+    paragraph([
+      run('Baker, S. T., & Clark, J. (2020). '),
+      run('Houses and the people who remember them', { italic: true }),
+      run('. Journal of Memory, 12(3), 45–67.')
+    ], HANGING)
+  ]);
+  assert.deepEqual(findings(results, 'reference-italics').map(item => item.details), [
+    'Title "Memory and place" should be italic',
+    'Journal name "Journal of Memory" and volume 12 should be italic'
+  ]);
+});
+
+test('DOIs are written as https://doi.org/ URLs', async () => {
+  const { results } = await withReferences([
+    paragraph([
+      run('Baker, S. T., & Clark, J. (2020). Houses and the people who remember them. '),
+      run('Journal of Memory, 12', { italic: true }),
+      run('(3), 45–67. doi:10.1000/jm.2020.12')
+    ], HANGING)
+  ]);
+  assert.deepEqual(referenceFindings(results), ['reference-doi']);
+});
+
+test('entries without a hanging indent can be fixed', async () => {
+  const flush = paragraph([run('Baker, S. (2020). '), run('Houses', { italic: true }), run('. Publisher.')], { firstLine: 0 });
+  const { results } = await withReferences([BOOK, flush]);
+  const [finding] = findings(results, 'reference-hanging-indent');
+  assert.deepEqual(finding.autoFix, { type: 'hangingIndent', paragraphs: [4] });
+});
+
+test('entries are in alphabetical order by surname', async () => {
+  const { results } = await withReferences([ARTICLE, BOOK]);
+  const [finding] = findings(results, 'reference-order');
+  assert.deepEqual(finding.targets.map(target => target.paragraph), [4]);
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { APA_STYLES, checkDocx, findings, paragraph, run } from './helpers.js';
+
+// The APA styles with more styles added after Normal
+function stylesWith(...styles) {
+  return APA_STYLES.replace('</w:styles>', `${styles.join('\n')}\n</w:styles>`);
+}
+
+// Block Text indents the whole paragraph; Quote is based on it and sets 11pt italics
+const QUOTE_STYLES = stylesWith(
+  `<w:style w:type="paragraph" w:styleId="BlockText"><w:name w:val="Block Text"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:ind w:left="720" w:firstLine="0"/></w:pPr></w:style>`,
+  `<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="BlockText"/>
+    <w:rPr><w:i/><w:sz w:val="22"/></w:rPr></w:style>`,
+  `<w:style w:type="character" w:styleId="Strong"><w:name w:val="Strong"/><w:rPr><w:b/></w:rPr></w:style>`
+);
+
+function styledRun(text, style, rPr = '') {
+  return `<w:r><w:rPr><w:rStyle w:val="${style}"/>${rPr}</w:rPr><w:t xml:space="preserve">${text}</w:t></w:r>`;
+}
+
+test('a paragraph that sets nothing takes docDefaults and the default paragraph style', async () => {
+  const { model } = await checkDocx(['Plain text.']);
+  const [p] = model.paragraphs;
+  assert.deepEqual([p.fonts, p.fontSizes], [['Times New Roman'], [12]]);
+  assert.equal(p.lineSpacing, 480);
+  assert.equal(p.indent, 720);
+  assert.equal(model.defaultFont, 'Times New Roman');
+});
+
+test('a style takes everything from the styles it is based on, nearest first', async () => {
+  const { model } = await checkDocx([paragraph('Quoted text.', { style: 'Quote' })], { styles: QUOTE_STYLES });
+  const [p] = model.paragraphs;
+  assert.equal(p.leftIndent, 720);
+  assert.equal(p.indent, 0);
+  assert.equal(p.lineSpacing, 480);
+  assert.deepEqual([p.fonts, p.fontSizes], [['Times New Roman'], [11]]);
+  assert.ok(p.isItalic);
+});
+
+test('direct formatting overrides the style', async () => {
+  const { model } = await checkDocx([
+    paragraph([run('Quoted text.', { size: 12 })], { style: 'Quote', line: 240, left: 1440 })
+  ], { styles: QUOTE_STYLES });
+  const [p] = model.paragraphs;
+  assert.deepEqual([p.lineSpacing, p.leftIndent, p.indent], [240, 1440, 0]);
+  assert.deepEqual(p.fontSizes, [12]);
+  assert.ok(p.isItalic);
+});
+
+test('character styles apply to their runs, and direct formatting can turn a toggle off', async () => {
+  const { model } = await checkDocx([
+    paragraph([styledRun('Bold by style.', 'Strong')]),
+    paragraph([styledRun('Not bold.', 'Strong', '<w:b w:val="0"/>')])
+  ], { styles: QUOTE_STYLES });
+  assert.deepEqual(model.paragraphs.map(p => p.isBold), [true, false]);
+});
+
+test('headings come from the built-in heading names or an outline level', async () => {
+  const styles = stylesWith(
+    `<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/>
+      <w:rPr><w:b/></w:rPr></w:style>`,
+    `<w:style w:type="paragraph" w:styleId="SectionTitle"><w:name w:val="Section Title"/><w:basedOn w:val="Normal"/>
+      <w:pPr><w:outlineLvl w:val="0"/><w:jc w:val="center"/></w:pPr></w:style>`,
+    `<w:style w:type="paragraph" w:styleId="MySubhead"><w:name w:val="My Subhead"/><w:basedOn w:val="Heading2"/></w:style>`
+  );
+  const { model } = await checkDocx([
+    paragraph('Method', { style: 'SectionTitle' }),
+    paragraph('Participants', { style: 'Heading2' }),
+    paragraph('Materials', { style: 'MySubhead' })
+  ], { styles });
+  assert.deepEqual(model.paragraphs.map(p => [p.headingLevel, p.headingSource]), [[1, 'style'], [2, 'style'], [2, 'style']]);
+  assert.ok(model.paragraphs[0].isCentered);
+});
+
+test('a basedOn loop ends rather than repeating', async () => {
+  const styles = stylesWith(
+    `<w:style w:type="paragraph" w:styleId="A"><w:name w:val="A"/><w:basedOn w:val="B"/><w:rPr><w:sz w:val="22"/></w:rPr></w:style>`,
+    `<w:style w:type="paragraph" w:styleId="B"><w:name w:val="B"/><w:basedOn w:val="A"/><w:pPr><w:spacing w:line="240"/></w:pPr></w:style>`
+  );
+  const { model } = await checkDocx([paragraph('Looping style.', { style: 'A' })], { styles });
+  assert.deepEqual([model.paragraphs[0].fontSizes, model.paragraphs[0].lineSpacing], [[11], 240]);
+});
+
+test('the rules see formatting that only a style sets', async () => {
+  const styles = APA_STYLES.replace('<w:ind w:firstLine="720"/>', '<w:spacing w:line="360"/><w:ind w:firstLine="720"/>');
+  const { results } = await checkDocx(['A Study of Things', 'Body text.', 'More body text.'], { styles });
+  const [finding] = findings(results, 'line-spacing');
+  assert.equal(finding.details, '3 paragraph(s) are not double-spaced');
+});
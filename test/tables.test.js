@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { RULES } from '../lib/rules/tables.js';
+import { checkDocx, findings, paragraph, run, table } from './helpers.js';
+
+const DISPLAY_RULES = RULES.map(rule => rule.id);
+const FLUSH = { firstLine: 0 };
+const HORIZONTAL = { top: 'single', bottom: 'single', insideV: 'nil' };
+const ROWS = [['Group', 'M'], ['Control', '4.2']];
+const FIGURE = paragraph(['<w:r><w:pict/></w:r>'], FLUSH);
+
+const label = text => paragraph(text, { ...FLUSH, bold: true });
+const title = text => paragraph(text, { ...FLUSH, italic: true });
+const NOTE = paragraph([run('Note.', { italic: true }), run(' Means are on a 5-point scale.')], FLUSH);
+
+function displayFindings(results) {
+  return DISPLAY_RULES.flatMap(rule => findings(results, rule).map(item => item.rule));
+}
+
+test('a labeled, titled and mentioned table and figure pass', async () => {
+  const { results } = await checkDocx([
+    'A Study of Things',
+    'Table 1 and Figure 1 show the means.',
+    label('Table 1'), title('Mean Recall by Group'), table(ROWS, { borders: HORIZONTAL }), NOTE,
+    label('Figure 1'), title('Recall Over Time'), FIGURE
+  ]);
+  assert.deepEqual(displayFindings(results), []);
+  assert.ok(results.categories.passed.some(item => item.details === '2 table(s) and figure(s) are labeled, titled and referred to in order'));
+});
+
+test('a document without tables or figures is not checked', async () => {
+  const { results } = await checkDocx(['A Study of Things', 'Memory is tied to place.']);
+  assert.ok(![...results.categories.passed, ...results.categories.errors, ...results.categories.warnings]
+    .some(item => DISPLAY_RULES.includes(item.rule)));
+});
+
+test('labels are bold, with an italic title case title on the next line', async () => {
+  const { results } = await checkDocx([
+    'A Study of Things',
+    'Table 1 and Table 2 show the means.',
+    paragraph('Table 1', FLUSH), title('Mean recall by group'), table(ROWS, { borders: HORIZONTAL }),
+    label('Table 2'), paragraph('Recall by Age', FLUSH), table(ROWS, { borders: HORIZONTAL })
+  ]);
+  assert.deepEqual(displayFindings(results), ['display-label', 'display-title', 'display-title-case']);
+  assert.equal(findings(results, 'display-title')[0].details, 'The title of Table 2 should be italic');
+
+  const { results: sameLine } = await checkDocx([
+    'A Study of Things', 'Table 1 shows the means.', label('Table 1. Mean Recall by Group'), table(ROWS, { borders: HORIZONTAL })
+  ]);
+  assert.deepEqual(findings(sameLine, 'display-title').map(item => item.details), ['The title of Table 1 is on the same line as its label']);
+});
+
+test('tables are numbered in order and each label has its table', async () => {
+  const { results } = await checkDocx([
+    'A Study of Things',
+    'Table 2 and Table 3 show the means.',
+    label('Table 2'), title('Mean Recall by Group'), table(ROWS, { borders: HORIZONTAL }),
+    label('Table 3'), title('Recall by Age'), 'Memory is tied to place.', 'Memory changes with age.'
+  ]);
+  assert.deepEqual(findings(results, 'display-numbering').map(item => item.details), [
+    'Table 2 is the 1st table; number tables in the order they appear',
+    'Table 3 is the 2nd table; number tables in the order they appear'
+  ]);
+  assert.deepEqual(findings(results, 'display-missing').map(item => item.details), ['No table follows the "Table 3" label']);
+});
+
+test('an unlabeled table is reported', async () => {
+  const { results } = await checkDocx(['A Study of Things', 'Memory is tied to place.', table(ROWS, { borders: HORIZONTAL })]);
+  assert.deepEqual(findings(results, 'display-label').map(item => item.details), ['This table has no "Table 1" label above it']);
+});
+
+test('every table is mentioned in the text before it appears', async () => {
+  const { results: never } = await checkDocx([
+    'A Study of Things', label('Table 1'), title('Mean Recall by Group'), table(ROWS, { borders: HORIZONTAL })
+  ]);
+  assert.deepEqual(displayFindings(never), ['display-callout']);
+
+  const { results: late } = await checkDocx([
+    'A Study of Things', label('Table 1'), title('Mean Recall by Group'), table(ROWS, { borders: HORIZONTAL }),
+    'Table 1 shows the means.'
+  ]);
+  assert.deepEqual(displayFindings(late), ['display-callout-order']);
+});
+
+test('notes begin with an italic "Note." and tables have no vertical rules', async () => {
+  const { results } = await checkDocx([
+    'A Study of Things',
+    'Table 1 shows the means.',
+    label('Table 1'), title('Mean Recall by Group'), table(ROWS, { borders: { ...HORIZONTAL, insideV: 'single' } }),
+    paragraph('Note. Means are on a 5-point scale.', FLUSH)
+  ]);
+  assert.deepEqual(displayFindings(results), ['display-note', 'table-borders']);
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { checkDocx, findings, pageNumber, paragraph, run } from './helpers.js';
+
+const CENTERED = { align: 'center', firstLine: 0 };
+const TITLE = paragraph('Memory and Place in Older Adults', { ...CENTERED, bold: true });
+const BODY = paragraph('Memory is tied to place in ways that change as people age.', { pageBreakBefore: true });
+
+const STUDENT_LINES = [
+  'Ann Author',
+  'Department of Psychology, State University',
+  'PSY 2010: Research Methods',
+  'Dr. Jane Smith',
+  'October 15, 2024'
+];
+
+const TITLE_PAGE_RULES = [
+  'title-page-break', 'title-format', 'title-position', 'title-page-elements', 'title-page-alignment',
+  'author-note-label', 'running-head', 'running-head-format'
+];
+
+function titlePageFindings(results) {
+  return TITLE_PAGE_RULES.flatMap(rule => findings(results, rule).map(item => item.rule));
+}
+
+function studentPaper({ title = TITLE, lines = STUDENT_LINES.map(line => paragraph(line, CENTERED)) } = {}) {
+  return checkDocx([title, ...lines, BODY]);
+}
+
+// A professional paper: byline, affiliation and author note, with `runningHead` in the header
+function professionalPaper(runningHead = 'MEMORY AND PLACE', authorNote = { ...CENTERED, bold: true }) {
+  const header = [paragraph([run(runningHead), run('\t'), pageNumber()], { firstLine: 0 })];
+  return checkDocx([
+    TITLE,
+    paragraph('Ann Author and Ben Writer', CENTERED),
+    paragraph('Department of Psychology, State University', CENTERED),
+    paragraph('Author Note', authorNote),
+    'Correspondence concerning this article should be addressed to Ann Author.',
+    BODY
+  ], { header }, { paperType: 'professional' });
+}
+
+test('a student title page with every element passes', async () => {
+  const { results } = await studentPaper();
+  assert.deepEqual(titlePageFindings(results), []);
+  assert.ok(results.categories.passed.some(item => item.details === 'Title page includes all student paper elements'));
+});
+
+test('a paper with no break after the title page is reported once', async () => {
+  const { results } = await checkDocx([TITLE, ...STUDENT_LINES, 'Memory is tied to place.']);
+  assert.deepEqual(titlePageFindings(results), ['title-page-break']);
+});
+
+test('the title is bold and centered', async () => {
+  const { results } = await studentPaper({ title: paragraph('Memory and Place in Older Adults', { firstLine: 0 }) });
+  const [finding] = findings(results, 'title-format');
+  assert.equal(finding.details, 'The paper title should be bold and centered');
+});
+
+test('the title sits in the upper half of the page', async () => {
+  const blank = paragraph('', CENTERED);
+  const { results } = await checkDocx([...Array(12).fill(blank), TITLE, ...STUDENT_LINES.map(line => paragraph(line, CENTERED)), BODY]);
+  assert.deepEqual(titlePageFindings(results), ['title-position']);
+});
+
+test('each missing student element is named', async () => {
+  const lines = ['Ann Author', 'Department of Psychology, State University', 'October 15, 2024'];
+  const { results } = await studentPaper({ lines: lines.map(line => paragraph(line, CENTERED)) });
+  assert.deepEqual(findings(results, 'title-page-elements').map(item => item.details), [
+    'Could not find the course number and name on the title page',
+    'Could not find the instructor name on the title page'
+  ]);
+});
+
+test('title page lines are centered', async () => {
+  const lines = STUDENT_LINES.map((line, i) => paragraph(line, i === 1 ? { firstLine: 0 } : CENTERED));
+  const { results } = await studentPaper({ lines });
+  const [finding] = findings(results, 'title-page-alignment');
+  assert.deepEqual(finding.targets.map(target => target.paragraph), [2]);
+});
+
+test('a professional paper has an author note and an all-caps running head', async () => {
+  const { results } = await professionalPaper();
+  assert.deepEqual(titlePageFindings(results), []);
+  assert.ok(results.categories.passed.some(item => item.details === 'Running head "MEMORY AND PLACE" is in the header'));
+});
+
+test('the author note label is bold and centered', async () => {
+  const { results } = await professionalPaper('MEMORY AND PLACE', CENTERED);
+  assert.deepEqual(titlePageFindings(results), ['author-note-label']);
+});
+
+test('the running head is in capitals and 50 characters or fewer', async () => {
+  const { results: lower } = await professionalPaper('Memory and place');
+  assert.deepEqual(titlePageFindings(lower), ['running-head-format']);
+
+  const { results: long } = await professionalPaper('MEMORY AND PLACE IN OLDER ADULTS LIVING IN THEIR OWN HOMES');
+  assert.deepEqual(titlePageFindings(long), ['running-head-format']);
+
+  const { results: none } = await professionalPaper('');
+  assert.deepEqual(titlePageFindings(none), ['running-head']);
+});